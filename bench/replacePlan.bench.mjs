@@ -0,0 +1,96 @@
+// bench/replacePlan.bench.mjs
+// - Glossary replace benchmark over a synthetic glossary (default 50k terms)
+//   - aho-corasick : compileReplacePlan + replaceByGlossaryWithLogs (current)
+//   - regex        : previous approach (one RegExp per term, applied sequentially), on a sample
+//
+// usage: node bench/replacePlan.bench.mjs [terms=50000] [texts=2000]
+
+import { compileReplacePlan, replaceByGlossaryWithLogs } from "../src/replace/replace.mjs";
+import { escapeRegExp } from "../src/utils/common.mjs";
+
+const TERMS = Number(process.argv[2] ?? 50_000);
+const TEXTS = Number(process.argv[3] ?? 2_000);
+const REGEX_SAMPLE = Math.min(TEXTS, 50); // the old path is O(terms × texts); keep it short
+
+// deterministic PRNG (same glossary every run)
+let seed = 42;
+function rnd(n) {
+  // mulberry32
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) % n;
+}
+
+const SYLLABLES = ["ka", "ro", "mi", "tan", "sel", "vor", "ist", "ul", "pe", "dra", "gon", "lux", "ne", "sha", "tor"];
+function word() {
+  let w = "";
+  for (let i = 1 + rnd(3); i > 0; i--) w += SYLLABLES[rnd(SYLLABLES.length)];
+  return w[0].toUpperCase() + w.slice(1);
+}
+function term() {
+  return Array.from({ length: 1 + rnd(3) }, word).join(" ");
+}
+
+function buildSourceTextMap() {
+  const m = new Map();
+  while (m.size < TERMS) {
+    const t = term();
+    if (m.has(t)) continue;
+    m.set(t, [{ key: `K${m.size}`, _rowIndex: m.size + 2, translations: { "de-de": `DE:${t}` } }]);
+  }
+  return m;
+}
+
+function buildTexts(terms) {
+  return Array.from({ length: TEXTS }, () => {
+    const parts = [];
+    for (let i = 4 + rnd(8); i > 0; i--) parts.push(rnd(3) === 0 ? terms[rnd(terms.length)] : word().toLowerCase());
+    return parts.join(" ") + ".";
+  });
+}
+
+function ms(t0) {
+  return Number(process.hrtime.bigint() - t0) / 1e6;
+}
+
+function fmt(n) {
+  return n.toFixed(1).padStart(10);
+}
+
+const sourceTextMap = buildSourceTextMap();
+const texts = buildTexts(Array.from(sourceTextMap.keys()));
+console.log(`terms=${sourceTextMap.size} texts=${texts.length} (regex sample=${REGEX_SAMPLE})`);
+
+// aho-corasick
+let t0 = process.hrtime.bigint();
+const plan = compileReplacePlan({ targetLangKey: "de-de", sourceTextMap });
+const acCompile = ms(t0);
+
+t0 = process.hrtime.bigint();
+let acHits = 0;
+for (const text of texts) {
+  acHits += replaceByGlossaryWithLogs({ text, sourceLangKey: "en-us", targetLangKey: "de-de", replacePlan: plan })
+    .replacedTotal;
+}
+const acRun = ms(t0);
+
+// regex (previous implementation)
+t0 = process.hrtime.bigint();
+const regexItems = plan.items.map((it) => ({ re: new RegExp(escapeRegExp(it.term), "g"), target: it.target }));
+const reCompile = ms(t0);
+
+t0 = process.hrtime.bigint();
+for (const text of texts.slice(0, REGEX_SAMPLE)) {
+  let out = text;
+  for (const it of regexItems) out = out.replace(it.re, `<<${it.target}>>`);
+}
+const reRun = ms(t0);
+const reRunAll = (reRun / REGEX_SAMPLE) * texts.length;
+
+console.log("");
+console.log("             compile(ms)   run(ms)   per-text(ms)");
+console.log(`aho-corasick ${fmt(acCompile)}${fmt(acRun)}${fmt(acRun / texts.length)}`);
+console.log(`regex        ${fmt(reCompile)}${fmt(reRunAll)}${fmt(reRun / REGEX_SAMPLE)}  (run extrapolated)`);
+console.log("");
+console.log(`hits=${acHits} nodes=${plan.matcher.nodeCount} speedup≈${(reRunAll / Math.max(acRun, 0.001)).toFixed(0)}x`);
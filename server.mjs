@@ -2,7 +2,7 @@
  * server.mjs (ENTRY)
  * - Express app + middleware
  * - Response size guard (CustomGPT Actions 안정성)
- * - Route registration: v1 (QA) + v2 (batch translate)
+ * - Route registration: v1 (QA) + v2 (batch translate) + MCP (/mcp)
  */
 
 import "dotenv/config";
@@ -11,6 +11,7 @@ import express from "express";
 import { PORT, assertRequiredEnv } from "./src/config/env.mjs";
 import { registerRoutes } from "./src/http/routes.mjs";     // v1 (QA/update/apply)
 import { registerRoutesV2 } from "./src/http/routesV2.mjs"; // v2 (batch)
+import { registerMcp } from "./src/mcp/index.mjs";          // MCP (streamable HTTP)
 
 assertRequiredEnv();
 
@@ -101,12 +102,14 @@ app.use((req, res, next) => {
 // ---------------- Routes ----------------
 registerRoutes(app);   // v1
 registerRoutesV2(app); // v2
+registerMcp(app);      // MCP
 
 // ---------------- Start ----------------
 app.listen(PORT, () => {
   console.log(`Server listening on :${PORT}`);
   console.log(`BODY_LIMIT=${BODY_LIMIT}`);
   console.log(`RESPONSE_LIMIT_KB=${RESPONSE_LIMIT_KB}`);
-  console.log(`REST(v1): /v1/glossary/update, /v1/glossary/qa/next, /v1/glossary/apply`);
-  console.log(`REST(v2): /v2/batch/run, /v2/batch/:id/anomalies`);
+  console.log(`REST(v1): /v1/glossary/update, /v1/glossary/conflicts, /v1/glossary/lint, /v1/glossary/qa/next, /v1/glossary/apply, /v1/rules/test, /v1/rules/validate`);
+  console.log(`REST(v2): /v2/batch/run, /v2/batch/:id/results, /v2/batch/:id/anomalies, /v2/batch/:id/status, /v2/batch/:id/cancel, /v2/batch/:id/rollback, /v2/candidates/batch`);
+  console.log(`MCP: /mcp`);
 });
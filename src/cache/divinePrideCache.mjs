@@ -0,0 +1,207 @@
+// src/cache/divinePrideCache.mjs
+// - File-backed cache for Divine Pride lookups (JSON under a data dir)
+//   - resolve: (server, entityType, name) -> { itemId, reason, debug }
+//   - name:    (server, entityType, itemId, lang) -> localized name
+// - TTL + manual invalidation + hit/miss counters
+//
+// env (read lazily on first use, so tests can point it elsewhere):
+// - DIVINE_PRIDE_CACHE_ENABLED (default: "true")
+// - DIVINE_PRIDE_CACHE_DIR (default: DATA_DIR or "./data")
+// - DIVINE_PRIDE_CACHE_TTL_MS (default: 7 days)
+// - DIVINE_PRIDE_CACHE_MAX_ENTRIES (default: 50000)
+
+import fs from "fs";
+import path from "path";
+
+const FILE_NAME = "divine-pride-cache.json";
+const FLUSH_DELAY_MS = 1000;
+
+let _state = null; // { enabled, file, ttlMs, maxEntries, entries: Map<key, record>, timer }
+const _stats = { hits: 0, misses: 0, writes: 0 };
+
+function _settings() {
+  const enabled =
+    String(process.env.DIVINE_PRIDE_CACHE_ENABLED ?? "true").trim().toLowerCase() !== "false";
+  const dir = process.env.DIVINE_PRIDE_CACHE_DIR || process.env.DATA_DIR || "./data";
+  const ttlMs = Number(process.env.DIVINE_PRIDE_CACHE_TTL_MS ?? 7 * 24 * 60 * 60 * 1000);
+  const maxEntries = Number(process.env.DIVINE_PRIDE_CACHE_MAX_ENTRIES ?? 50_000);
+  return { enabled, file: path.resolve(dir, FILE_NAME), ttlMs, maxEntries };
+}
+
+function _isExpired(rec, now) {
+  return !rec?.at || (_state.ttlMs > 0 && now - rec.at > _state.ttlMs);
+}
+
+function _ensureState() {
+  if (_state) return _state;
+
+  const s = _settings();
+  _state = { ...s, entries: new Map(), timer: null };
+  if (!s.enabled) return _state;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(s.file, "utf8"));
+    const now = Date.now();
+    for (const [k, rec] of Object.entries(raw?.entries ?? {})) {
+      if (!_isExpired(rec, now)) _state.entries.set(k, rec);
+    }
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error(`[DP-CACHE] failed to load ${s.file}:`, e?.message || e);
+  }
+
+  return _state;
+}
+
+function _flushNow() {
+  const st = _state;
+  if (!st?.enabled) return;
+  if (st.timer) {
+    clearTimeout(st.timer);
+    st.timer = null;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(st.file), { recursive: true });
+    const tmp = `${st.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, entries: Object.fromEntries(st.entries) }));
+    fs.renameSync(tmp, st.file);
+  } catch (e) {
+    console.error(`[DP-CACHE] failed to write ${st.file}:`, e?.message || e);
+  }
+}
+
+function _scheduleFlush() {
+  const st = _state;
+  if (!st?.enabled || st.timer) return;
+  st.timer = setTimeout(_flushNow, FLUSH_DELAY_MS);
+  st.timer.unref?.();
+}
+
+process.on("exit", () => {
+  if (_state?.timer) _flushNow();
+});
+
+function _evictIfNeeded() {
+  const st = _state;
+  if (st.entries.size <= st.maxEntries) return;
+  // Map keeps insertion order; set() re-inserts, so first keys are the oldest writes
+  const over = st.entries.size - st.maxEntries;
+  let i = 0;
+  for (const k of st.entries.keys()) {
+    if (i++ >= over) break;
+    st.entries.delete(k);
+  }
+}
+
+function _norm(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+// ---------------- keys ----------------
+export function dpResolveKey({ server, entityType, name }) {
+  return ["r", _norm(server), _norm(entityType), _norm(name)].join("|");
+}
+
+export function dpNameKey({ server, entityType, itemId, lang }) {
+  return ["n", _norm(server), _norm(entityType), _norm(itemId), _norm(lang)].join("|");
+}
+
+// ---------------- get / set ----------------
+/**
+ * @param {string} key
+ * @param {{hits:number, misses:number}} [stats] per-call counters (also counted globally)
+ * @returns {*} cached value or undefined
+ */
+export function dpCacheGet(key, stats) {
+  const st = _ensureState();
+  if (!st.enabled) return undefined;
+
+  const rec = st.entries.get(key);
+  if (rec && !_isExpired(rec, Date.now())) {
+    _stats.hits += 1;
+    if (stats) stats.hits += 1;
+    return rec.value;
+  }
+
+  if (rec) {
+    st.entries.delete(key);
+    _scheduleFlush();
+  }
+  _stats.misses += 1;
+  if (stats) stats.misses += 1;
+  return undefined;
+}
+
+/**
+ * @param {string} key
+ * @param {*} value JSON-serializable
+ * @param {{server?:string, entityType?:string, itemId?:string|number, lang?:string, name?:string}} [tags]
+ *   stored alongside the value for invalidation filters
+ */
+export function dpCacheSet(key, value, tags = {}) {
+  const st = _ensureState();
+  if (!st.enabled) return;
+
+  st.entries.delete(key);
+  st.entries.set(key, {
+    at: Date.now(),
+    value,
+    tags: {
+      server: _norm(tags.server),
+      entityType: _norm(tags.entityType),
+      itemId: _norm(tags.itemId),
+      lang: _norm(tags.lang),
+      name: _norm(tags.name),
+    },
+  });
+  _stats.writes += 1;
+  _evictIfNeeded();
+  _scheduleFlush();
+}
+
+// ---------------- invalidation / stats ----------------
+/**
+ * Remove cached records matching every given filter field.
+ * - no filter (or all=true) clears the whole cache
+ * @returns {{ removed: number, remaining: number }}
+ */
+export function invalidateDivinePrideCache(filter = {}) {
+  const st = _ensureState();
+
+  const f = {};
+  for (const k of ["server", "entityType", "itemId", "lang", "name"]) {
+    const v = _norm(filter?.[k]);
+    if (v) f[k] = v;
+  }
+
+  let removed = 0;
+  if (filter?.all || Object.keys(f).length === 0) {
+    removed = st.entries.size;
+    st.entries.clear();
+  } else {
+    for (const [k, rec] of st.entries.entries()) {
+      const tags = rec?.tags || {};
+      const match = Object.entries(f).every(([fk, fv]) => tags[fk] === fv);
+      if (match) {
+        st.entries.delete(k);
+        removed += 1;
+      }
+    }
+  }
+
+  if (removed > 0 && st.enabled) _flushNow();
+  return { removed, remaining: st.entries.size };
+}
+
+export function getDivinePrideCacheStats() {
+  const st = _ensureState();
+  return {
+    enabled: st.enabled,
+    file: st.enabled ? st.file : null,
+    ttlMs: st.ttlMs,
+    entries: st.entries.size,
+    hits: _stats.hits,
+    misses: _stats.misses,
+    writes: _stats.writes,
+  };
+}
@@ -1,16 +1,19 @@
 // src/cache/global.mjs
-// - Sheet-scoped glossary cache
+// - Sheet-scoped glossary cache (listLoadedGlossaries: all loaded sheets)
 // - Derived caches: replace plan
-// - Rules cache: ensureRulesLoaded
+// - Rules cache: ensureRulesLoaded (per Rules sheet)
 
 import { loadGlossaryAll } from "../glossary/load.mjs";
 import { buildIndexBySourcePreserveDuplicates, mergeSourceTextMapsFromCache } from "../glossary/index.mjs";
 import { loadRulesAll } from "../rules/load.mjs";
+import { RULE_SHEET_NAME } from "../config/env.mjs";
 import { compileReplacePlan } from "../replace/replace.mjs";
-import { escapeRegExp } from "../utils/common.mjs";
+import { resolveConflictPolicy } from "../glossary/conflicts.mjs";
+import { compileRule } from "../rules/engine.mjs";
 
 // ---------------- internal caches ----------------
-let _rulesCache = null;
+// rules sheetName(lower/trim) -> rules cache
+const _rulesCacheBySheet = new Map();
 
 // sheetName(lower/trim) -> glossary cache
 const _glossaryCacheBySheet = new Map();
@@ -45,22 +48,30 @@ function _makeCategoriesKey(categories) {
 }
 
 // ---------------- Replace plan ----------------
-export function getReplacePlanFromCache({ cache, sheetName, sourceLangKey, categories, targetLangKey }) {
+export function getReplacePlanFromCache({
+  cache,
+  sheetName,
+  sourceLangKey,
+  categories,
+  targetLangKey,
+  conflictPolicy,
+}) {
   const loadedAt = String(cache?.loadedAt ?? "");
   const sheet = String(sheetName ?? cache?.sheetName ?? "Glossary").trim() || "Glossary";
 
   const slk = _normKeyPart(sourceLangKey);
   const tlk = _normKeyPart(targetLangKey);
   const catsKey = _makeCategoriesKey(categories);
+  const policy = resolveConflictPolicy(conflictPolicy);
 
   // loadedAt를 키에 포함해서 "글로서리 reload" 이후 plan이 섞이지 않게 함
-  const key = `rp@@${sheet}@@${loadedAt}@@${slk}@@${catsKey}@@${tlk}`;
+  const key = `rp@@${sheet}@@${loadedAt}@@${slk}@@${catsKey}@@${tlk}@@${policy.join(",") || "first"}`;
 
   const hit = _replacePlanCache.get(key);
   if (hit) return hit;
 
   const sourceTextMap = mergeSourceTextMapsFromCache(cache, slk, categories);
-  const plan = compileReplacePlan({ targetLangKey: tlk, sourceTextMap });
+  const plan = compileReplacePlan({ targetLangKey: tlk, sourceTextMap, conflictPolicy: policy });
 
   _replacePlanCache.set(key, plan);
   _bumpCacheSize(_replacePlanCache);
@@ -105,44 +116,32 @@ export async function ensureGlossaryLoaded(opts = {}) {
   return cache;
 }
 
-// ---------------- Rules cache ----------------
-function tokenizePatternToRegex(pattern) {
-  const escaped = escapeRegExp(pattern);
-  return escaped
-    .replace(/\\\{N\\\}/g, "(\\d+)")
-    .replace(/\\\{X\\\}/g, "(\\d+)")
-    .replace(/\\\{T\\\}/g, "(\\d+)")
-    .replace(/\\\{V\\\}/g, "([^\\r\\n]+)");
-}
-
-function precompileRule(entry) {
-  const ko = String(entry?.translations?.["ko-kr"] ?? "").trim();
-  if (!ko) return entry;
-
-  const mt = String(entry?.matchType ?? "").trim().toLowerCase();
-
-  try {
-    if (!mt || mt === "exact") entry._compiledRe = new RegExp(`^${escapeRegExp(ko)}$`, "m");
-    else if (mt === "contains") entry._compiledRe = new RegExp(escapeRegExp(ko), "m");
-    else if (mt === "word") entry._compiledRe = new RegExp(`\\b${escapeRegExp(ko)}\\b`, "m");
-    else if (mt === "regex") entry._compiledRe = new RegExp(ko, "m");
-    else if (mt === "pattern") entry._compiledRe = new RegExp(tokenizePatternToRegex(ko), "m");
-  } catch {
-    // ignore invalid regex compile
-  }
-
-  return entry;
+/** Glossary caches currently loaded (any sheet), e.g. as translation memory sources. */
+export function listLoadedGlossaries() {
+  return Array.from(_glossaryCacheBySheet.values());
 }
 
+// ---------------- Rules cache ----------------
+/**
+ * @param {{ sheetName?:string, forceReload?:boolean }} [opts] sheetName: Rules sheet
+ *   (callers resolve it with resolveRulesSheet; default RULE_SHEET_NAME)
+ */
 export async function ensureRulesLoaded(opts = {}) {
   const forceReload = Boolean(opts.forceReload);
-  if (_rulesCache && !forceReload) return _rulesCache;
 
-  const loaded = await loadRulesAll();
+  const sheetNameRaw = String(opts.sheetName ?? "").trim() || RULE_SHEET_NAME;
+  const sheetKey = _normKeyPart(sheetNameRaw);
+
+  const hit = _rulesCacheBySheet.get(sheetKey);
+  if (hit && !forceReload) return hit;
+
+  const loaded = await loadRulesAll({ sheetName: sheetNameRaw });
 
-  const entries = Array.isArray(loaded.entries) ? loaded.entries.map(precompileRule) : [];
+  const entries = Array.isArray(loaded.entries) ? loaded.entries : [];
+  entries.forEach(compileRule);
 
-  _rulesCache = freezeShallow({
+  const cache = freezeShallow({
+    sheetName: loaded.sheetName || sheetNameRaw,
     loadedAt: loaded.loadedAt || nowIso(),
     header: loaded.header,
     rawRows: loaded.rawRows,
@@ -151,5 +150,6 @@ export async function ensureRulesLoaded(opts = {}) {
     langIndex: loaded.langIndex,
   });
 
-  return _rulesCache;
+  _rulesCacheBySheet.set(sheetKey, cache);
+  return cache;
 }
@@ -1,6 +1,8 @@
 /**
  * src/candidates/batch.mjs
- * - Production policy: Divine Pride ONLY
+ * - Candidate sources are pluggable (see ./registry.mjs), selected per request via `sources`
+ *   - default: CANDIDATE_SOURCES env or ["divinePride"]
+ *   - results from all sources are merged by text and ranked by score (source weight × confidence)
  * - Supports sourceLang: en-US or ko-KR
  *   - If sourceLang=en-US: server tries ko-KR (resolved from glossary) first, then en-US fallback
  *   - If sourceLang=ko-KR: server tries ko-KR first, then en-US fallback (resolved from glossary)
@@ -8,8 +10,12 @@
  */
 
 import { normalizeLang, nowIso, isLikelyEnglish } from "../utils/common.mjs";
-import { collectDivinePrideCandidates } from "../glossary/divinePride.mjs";
 import { ensureGlossaryLoaded } from "../cache/global.mjs";
+import { mapWithConcurrency } from "../utils/outbound.mjs";
+import { resolveCandidateSources } from "./registry.mjs";
+
+// inputs processed in parallel (outbound calls are rate-limited by each source's client)
+const INPUT_CONCURRENCY = Number(process.env.CANDIDATES_INPUT_CONCURRENCY ?? 4);
 
 function uniqNonEmptyTrimmed(arr) {
   const out = [];
@@ -31,33 +37,85 @@ function clampInt(n, min, max, fallback) {
   return Math.min(max, Math.max(min, i));
 }
 
-function dedupeCandidates(cands, maxN) {
-  const uniq = [];
-  const seen = new Set();
+// ---------------- ranking ----------------
+const CONFIDENCE_VALUE = { high: 0.9, medium: 0.6, low: 0.3 };
+
+function confidenceValue(c) {
+  if (typeof c === "number" && Number.isFinite(c)) return Math.min(1, Math.max(0, c));
+  const v = CONFIDENCE_VALUE[String(c ?? "").trim().toLowerCase()];
+  return v ?? 0.5;
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function mapProviderCandidate(provider, c) {
+  const text = String(c?.text ?? "").trim();
+  if (!text) return null;
+
+  const weight = Math.min(1, Math.max(0, Number(provider?.weight ?? 1)));
+
+  return {
+    text,
+    source: provider.name,
+    url: String(c?.url ?? "").trim(),
+    evidence: c?.evidence,
+    meta: c?.meta,
+    confidence: c?.confidence,
+    score: round3(weight * confidenceValue(c?.confidence)),
+  };
+}
+
+/**
+ * Merge candidates by text across sources and rank.
+ * - score = 1 - Π(1 - score_i)  (agreement between sources raises the score)
+ * - best-scoring hit provides source/url/meta/confidence; evidence is concatenated
+ */
+function mergeAndRank(cands, maxN) {
+  const byText = new Map();
 
   for (const c of cands || []) {
     const text = String(c?.text ?? "").trim();
-    const url = String(c?.url ?? "").trim();
-    const src = String(c?.source ?? "").trim();
     if (!text) continue;
 
-    const k = `${text}@@${url}@@${src}`;
-    if (seen.has(k)) continue;
-    seen.add(k);
+    const hit = byText.get(text);
+    if (!hit) {
+      byText.set(text, {
+        best: c,
+        sources: [c.source],
+        scores: [Number(c.score ?? 0)],
+        evidence: Array.isArray(c.evidence) ? [...c.evidence] : [],
+      });
+      continue;
+    }
+
+    // same source twice (e.g. primary + secondary query) is not an agreement
+    if (!hit.sources.includes(c.source)) {
+      hit.sources.push(c.source);
+      hit.scores.push(Number(c.score ?? 0));
+    }
+    if (Array.isArray(c.evidence)) hit.evidence.push(...c.evidence);
+    if (Number(c.score ?? 0) > Number(hit.best.score ?? 0)) hit.best = c;
+  }
 
-    uniq.push({
+  const merged = [];
+  for (const [text, g] of byText.entries()) {
+    const score = 1 - g.scores.reduce((acc, s) => acc * (1 - Math.min(1, Math.max(0, s))), 1);
+    merged.push({
       text,
-      source: src || "unknown",
-      url,
-      evidence: c?.evidence,
-      meta: c?.meta,
-      confidence: c?.confidence,
+      source: g.best.source,
+      sources: g.sources,
+      url: g.best.url,
+      evidence: g.evidence.length ? g.evidence : undefined,
+      meta: g.best.meta,
+      confidence: g.best.confidence,
+      score: round3(score),
     });
-
-    if (uniq.length >= maxN) break;
   }
 
-  return uniq;
+  merged.sort((a, b) => b.score - a.score);
+  return merged.slice(0, maxN);
 }
 
 function stripEvidenceIfNeeded(cands, includeEvidence) {
@@ -99,23 +157,6 @@ function filterSameAsSourceCandidates({ compareAnchorText, targetLangKey, candid
   return out;
 }
 
-function mapDpCandidateToBatchCandidate(dpCand) {
-  const text = String(dpCand?.text ?? "").trim();
-  if (!text) return null;
-
-  const ev0 = Array.isArray(dpCand?.evidence) ? dpCand.evidence[0] : null;
-  const url = String(ev0?.url ?? "").trim();
-
-  return {
-    text,
-    source: "divinePride",
-    url,
-    evidence: dpCand?.evidence,
-    meta: dpCand?.meta,
-    confidence: dpCand?.confidence,
-  };
-}
-
 function getCategoriesToSearch(cache, categoryKey) {
   if (categoryKey && String(categoryKey).trim()) {
     const ck = String(categoryKey).trim().toLowerCase();
@@ -137,7 +178,7 @@ function resolveKoFromEn({ cache, categories, enText }) {
 
     for (const e of hits) {
       const ko = String(e?.translations?.["ko-kr"] ?? "").trim();
-      if (ko) return { ok: true, text: ko, reason: `exact:${cat}` };
+      if (ko) return { ok: true, text: ko, category: cat, reason: `exact:${cat}` };
     }
   }
 
@@ -156,32 +197,75 @@ function resolveEnFromKo({ cache, categories, koText }) {
 
     for (const e of hits) {
       const en = String(e?.translations?.["en-us"] ?? "").trim();
-      if (en) return { ok: true, text: en, reason: `exact:${cat}` };
+      if (en) return { ok: true, text: en, category: cat, reason: `exact:${cat}` };
     }
   }
 
   return { ok: false, reason: "not-found-or-en-empty" };
 }
 
-async function collectDpOnce({ queryText, targetLangKeys, maxN }) {
-  const dp = await collectDivinePrideCandidates({
-    sourceText: queryText,
-    targetLangKeys,
-    maxCandidatesPerLang: maxN,
-  });
+/**
+ * Run one query through every selected provider.
+ * @returns {Promise<Object<string, Array>>} langKey -> mapped candidates (unranked)
+ */
+async function collectFromSources({ providers, query, targetLangKeys, maxN, context, stage, errors, cacheStats }) {
+  const byLang = {};
+  for (const lk of targetLangKeys) byLang[lk] = [];
+
+  for (const provider of providers) {
+    try {
+      const r = await provider.collect({
+        queryText: query.text,
+        queryLang: query.lang,
+        targetLangKeys,
+        maxN,
+        context,
+      });
+
+      if (r?.cache && cacheStats) {
+        cacheStats.hits += Number(r.cache.hits ?? 0);
+        cacheStats.misses += Number(r.cache.misses ?? 0);
+      }
+
+      for (const e of Array.isArray(r?.errors) ? r.errors : []) {
+        errors.push({
+          source: provider.name,
+          lang: e?.lang ?? null,
+          stage,
+          message: String(e?.message ?? e),
+          retryable: Boolean(e?.retryable),
+        });
+      }
+
+      for (const lk of targetLangKeys) {
+        const got = Array.isArray(r?.candidatesByLang?.[lk]) ? r.candidatesByLang[lk] : [];
+        byLang[lk].push(...got.map((c) => mapProviderCandidate(provider, c)).filter(Boolean));
+      }
+    } catch (e) {
+      errors.push({
+        source: provider.name,
+        lang: null,
+        stage,
+        message: String(e?.message ?? e),
+        retryable: false,
+      });
+    }
+  }
 
-  return dp;
+  return byLang;
 }
 
 /**
- * Step 2 candidates/batch (Divine Pride only)
+ * Step 2 candidates/batch (pluggable sources)
  */
 export async function runCandidatesBatch({
+  sheet,
   category,
   sourceLang,
   sourceTexts,
   targetLangs,
-  sources, // ignored or validated at schema level; kept for forward-compat
+  sources,
+  candidateSheets,
   maxCandidatesPerLang,
   includeEvidence,
 }) {
@@ -214,13 +298,19 @@ export async function runCandidatesBatch({
   const maxN = clampInt(maxCandidatesPerLang, 1, 5, 2);
   const withEvidence = Boolean(includeEvidence);
 
+  const providers = resolveCandidateSources(sources);
+  const context = {
+    sheet,
+    category: categoryKey,
+    candidateSheets: uniqNonEmptyTrimmed(candidateSheets),
+  };
+  const cacheStats = { hits: 0, misses: 0 };
+
   // load glossary cache for ko<->en resolution
-  const cache = await ensureGlossaryLoaded({ forceReload: false });
+  const cache = await ensureGlossaryLoaded({ sheetName: sheet, forceReload: false });
   const categories = getCategoriesToSearch(cache, categoryKey);
 
-  const results = [];
-
-  for (const inputText of inputs) {
+  const results = await mapWithConcurrency(inputs, INPUT_CONCURRENCY, async (inputText) => {
     const candidatesByLang = {};
     const fallbackNeededByLang = {};
     const errors = [];
@@ -237,106 +327,64 @@ export async function runCandidatesBatch({
     // For "same-as-source" filtering, prefer comparing against en-US anchor if resolvable.
     let compareAnchorText = inputText;
 
+    // Row category of the glossary hit (used by sources when request category is ALL)
+    let resolvedCategory = null;
+
+    // Anchor resolution (resolved once; also reported in debug)
+    let resolveKo = null;
+    let resolveEn = null;
+
     if (sourceLangKey === "en-us") {
       // input is en anchor
       const koResolved = resolveKoFromEn({ cache, categories, enText: inputText });
       if (koResolved.ok) primary = { lang: "ko-KR", text: koResolved.text };
       secondary = { lang: "en-US", text: inputText };
       compareAnchorText = inputText;
-
-      // Attach debug later
+      resolvedCategory = koResolved.category ?? null;
+      resolveKo = { ok: koResolved.ok, reason: koResolved.reason };
     } else {
       // sourceLangKey === "ko-kr"
       primary = { lang: "ko-KR", text: inputText };
       const enResolved = resolveEnFromKo({ cache, categories, koText: inputText });
       if (enResolved.ok) secondary = { lang: "en-US", text: enResolved.text };
       compareAnchorText = enResolved.ok ? enResolved.text : inputText;
+      resolvedCategory = enResolved.category ?? null;
+      resolveEn = { ok: enResolved.ok, reason: enResolved.reason };
     }
 
+    const inputContext = { ...context, category: categoryKey || resolvedCategory };
+
     // Collect with primary (if present)
     if (primary?.text) {
-      try {
-        const dp1 = await collectDpOnce({
-          queryText: primary.text,
-          targetLangKeys: normalizedTargets,
-          maxN,
-        });
-
-        if (Array.isArray(dp1?.errors) && dp1.errors.length) {
-          for (const msg of dp1.errors) {
-            errors.push({
-              source: "divinePride",
-              lang: null,
-              stage: "collect-primary",
-              message: String(msg),
-              retryable: false,
-            });
-          }
-        }
-
-        for (const lk of normalizedTargets) {
-          const got = Array.isArray(dp1?.candidatesByLang?.[lk]) ? dp1.candidatesByLang[lk] : [];
-          const mapped = got.map(mapDpCandidateToBatchCandidate).filter(Boolean);
-          const stripped = stripEvidenceIfNeeded(mapped, withEvidence);
-          const uniq = dedupeCandidates(stripped, maxN);
-          candidatesByLang[lk].push(...uniq);
-        }
-      } catch (e) {
-        errors.push({
-          source: "divinePride",
-          lang: null,
-          stage: "collect-primary",
-          message: String(e?.message ?? e),
-          retryable: false,
-        });
-      }
+      const got = await collectFromSources({
+        providers,
+        query: primary,
+        targetLangKeys: normalizedTargets,
+        maxN,
+        context: inputContext,
+        stage: "collect-primary",
+        errors,
+        cacheStats,
+      });
+      for (const lk of normalizedTargets) candidatesByLang[lk].push(...got[lk]);
     }
 
     // Determine which langs still need fallback after primary
-    const needFallbackLangs = [];
-    for (const lk of normalizedTargets) {
-      const uniq = dedupeCandidates(candidatesByLang[lk], maxN);
-      candidatesByLang[lk] = uniq;
-      if (uniq.length === 0) needFallbackLangs.push(lk);
-    }
+    const needFallbackLangs = normalizedTargets.filter((lk) => candidatesByLang[lk].length === 0);
 
     // Collect with secondary only for missing langs
     if (secondary?.text && needFallbackLangs.length > 0) {
-      try {
-        const dp2 = await collectDpOnce({
-          queryText: secondary.text,
-          targetLangKeys: needFallbackLangs,
-          maxN,
-        });
-
-        if (Array.isArray(dp2?.errors) && dp2.errors.length) {
-          for (const msg of dp2.errors) {
-            errors.push({
-              source: "divinePride",
-              lang: null,
-              stage: "collect-secondary",
-              message: String(msg),
-              retryable: false,
-            });
-          }
-        }
-
-        for (const lk of needFallbackLangs) {
-          const got = Array.isArray(dp2?.candidatesByLang?.[lk]) ? dp2.candidatesByLang[lk] : [];
-          const mapped = got.map(mapDpCandidateToBatchCandidate).filter(Boolean);
-          const stripped = stripEvidenceIfNeeded(mapped, withEvidence);
-          const uniq = dedupeCandidates(stripped, maxN);
-          candidatesByLang[lk].push(...uniq);
-        }
-      } catch (e) {
-        errors.push({
-          source: "divinePride",
-          lang: null,
-          stage: "collect-secondary",
-          message: String(e?.message ?? e),
-          retryable: false,
-        });
-      }
+      const got = await collectFromSources({
+        providers,
+        query: secondary,
+        targetLangKeys: needFallbackLangs,
+        maxN,
+        context: inputContext,
+        stage: "collect-secondary",
+        errors,
+        cacheStats,
+      });
+      for (const lk of needFallbackLangs) candidatesByLang[lk].push(...got[lk]);
     }
 
     // Apply same-as-source policy vs compareAnchorText (prefer en-US anchor if available)
@@ -359,24 +407,12 @@ export async function runCandidatesBatch({
         });
       }
 
-      const uniq = dedupeCandidates(filtered, maxN);
-      candidatesByLang[lk] = uniq;
-      fallbackNeededByLang[lk] = uniq.length === 0;
-    }
-
-    // Build debug payload
-    let resolveKo = null;
-    let resolveEn = null;
-
-    if (sourceLangKey === "en-us") {
-      const koResolved = resolveKoFromEn({ cache, categories, enText: inputText });
-      resolveKo = { ok: koResolved.ok, reason: koResolved.reason };
-    } else {
-      const enResolved = resolveEnFromKo({ cache, categories, koText: inputText });
-      resolveEn = { ok: enResolved.ok, reason: enResolved.reason };
+      const ranked = mergeAndRank(filtered, maxN);
+      candidatesByLang[lk] = stripEvidenceIfNeeded(ranked, withEvidence);
+      fallbackNeededByLang[lk] = ranked.length === 0;
     }
 
-    results.push({
+    return {
       sourceText: inputText,
       candidatesByLang,
       fallbackNeededByLang,
@@ -389,9 +425,10 @@ export async function runCandidatesBatch({
         resolveKo,
         resolveEn,
         compareAnchorText,
+        category: inputContext.category,
       },
-    });
-  }
+    };
+  });
 
   const completedAt = nowIso();
 
@@ -400,16 +437,18 @@ export async function runCandidatesBatch({
     category: categoryKey || "ALL",
     sourceLang: sourceLangKey === "ko-kr" ? "ko-KR" : "en-US",
     targetLangs,
-    sourcesUsed: ["divinePride"],
+    sourcesUsed: providers.map((p) => p.name),
     meta: {
       startedAt,
       completedAt,
       inputCount: inputs.length,
       uniqueInputCount: results.length,
+      cache: cacheStats,
     },
     results,
     notes: [
-      "Divine Pride only. Search priority: ko-KR first when available; fallback to en-US when needed.",
+      "Search priority: ko-KR first when available; fallback to en-US when needed (per language, across all sources).",
+      "Candidates are merged by text across sources and ranked by score (source weight × confidence).",
       "Identical-to-source candidates (compared against compareAnchorText) are treated as no useful candidate.",
     ],
     warnings: [],
@@ -0,0 +1,92 @@
+/**
+ * src/candidates/registry.mjs
+ * - Candidate source registry (pluggable providers)
+ *
+ * Provider interface:
+ *   {
+ *     name: string,                 // request `sources` 값과 동일
+ *     weight: number,               // 0..1, source 신뢰도 (랭킹에 사용)
+ *     description?: string,
+ *     collect({ queryText, queryLang, targetLangKeys, maxN, context })
+ *       => Promise<{ candidatesByLang: { [langKey]: Candidate[] }, errors: Array<string|{message,retryable}>,
+ *                    cache?: { hits, misses } }>
+ *   }
+ *
+ * Candidate: { text, url?, confidence?: "high"|"medium"|"low"|number, evidence?, meta? }
+ *
+ * - 기본 provider: divinePride, sheets
+ * - 기본 선택: CANDIDATE_SOURCES env (comma) → 없으면 ["divinePride"]
+ */
+
+import { divinePrideSource } from "./sourceDivinePride.mjs";
+import { sheetsSource } from "./sourceSheets.mjs";
+
+const _providers = new Map(); // name(lower) -> provider
+
+const DEFAULT_SOURCES = String(process.env.CANDIDATE_SOURCES || "divinePride")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+function _key(name) {
+  return String(name ?? "").trim().toLowerCase();
+}
+
+export function registerCandidateSource(provider) {
+  const k = _key(provider?.name);
+  if (!k) throw new Error("Candidate source must have a name.");
+  if (typeof provider.collect !== "function") {
+    throw new Error(`Candidate source '${provider.name}' must implement collect().`);
+  }
+  _providers.set(k, provider);
+  return provider;
+}
+
+export function getCandidateSource(name) {
+  return _providers.get(_key(name)) || null;
+}
+
+export function listCandidateSources() {
+  return Array.from(_providers.values()).map((p) => ({
+    name: p.name,
+    weight: p.weight,
+    description: p.description || "",
+  }));
+}
+
+/**
+ * Resolve requested source names into providers.
+ * - empty/undefined → DEFAULT_SOURCES
+ * - unknown name → 400
+ */
+export function resolveCandidateSources(names) {
+  const requested = Array.isArray(names) && names.length ? names : DEFAULT_SOURCES;
+
+  const out = [];
+  const seen = new Set();
+  for (const n of requested) {
+    const k = _key(n);
+    if (!k || seen.has(k)) continue;
+    seen.add(k);
+
+    const p = _providers.get(k);
+    if (!p) {
+      const err = new Error(`Unknown candidate source: ${n}`);
+      err.status = 400;
+      err.extra = { available: Array.from(_providers.values()).map((x) => x.name) };
+      throw err;
+    }
+    out.push(p);
+  }
+
+  if (!out.length) {
+    const err = new Error("At least 1 candidate source is required.");
+    err.status = 400;
+    throw err;
+  }
+  return out;
+}
+
+// ---------------- built-in providers ----------------
+registerCandidateSource(divinePrideSource);
+registerCandidateSource(sheetsSource);
@@ -0,0 +1,36 @@
+/**
+ * src/candidates/sourceDivinePride.mjs
+ * - Candidate provider: Divine Pride (official in-game names)
+ * - Entity type (item/monster/skill/map) follows the row category (see DIVINE_PRIDE_CATEGORY_MAP)
+ */
+
+import { collectDivinePrideCandidates, resolveDivinePrideEntityType } from "../glossary/divinePride.mjs";
+
+export const divinePrideSource = {
+  name: "divinePride",
+  weight: Number(process.env.CANDIDATE_WEIGHT_DIVINE_PRIDE ?? 1),
+  description: "Divine Pride database (official localized names)",
+
+  async collect({ queryText, targetLangKeys, maxN, context }) {
+    const dp = await collectDivinePrideCandidates({
+      sourceText: queryText,
+      targetLangKeys,
+      maxCandidatesPerLang: maxN,
+      entityType: resolveDivinePrideEntityType(context?.category),
+    });
+
+    const candidatesByLang = {};
+    for (const [lk, list] of Object.entries(dp?.candidatesByLang || {})) {
+      candidatesByLang[lk] = (Array.isArray(list) ? list : []).map((c) => {
+        const ev0 = Array.isArray(c?.evidence) ? c.evidence[0] : null;
+        return { ...c, url: String(ev0?.url ?? "").trim() };
+      });
+    }
+
+    return {
+      candidatesByLang,
+      errors: Array.isArray(dp?.errors) ? dp.errors : [],
+      cache: dp?.cache,
+    };
+  },
+};
@@ -0,0 +1,88 @@
+/**
+ * src/candidates/sourceSheets.mjs
+ * - Candidate provider: other sheets in the same spreadsheet
+ *   (previous releases, translation memory tabs, ...)
+ * - Exact source-text match on ko-KR / en-US columns, all categories
+ *
+ * Sheets to search:
+ * - request context.candidateSheets (preferred)
+ * - CANDIDATE_SHEETS env (comma separated)
+ */
+
+import { ensureGlossaryLoaded } from "../cache/global.mjs";
+import { normalizeLang } from "../utils/common.mjs";
+
+const DEFAULT_SHEETS = String(process.env.CANDIDATE_SHEETS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+function findExactEntries(cache, queryLangKey, queryText) {
+  const out = [];
+  for (const bySource of cache.byCategoryBySource?.values?.() ?? []) {
+    const hits = bySource?.get?.(queryLangKey)?.get?.(queryText);
+    if (hits?.length) out.push(...hits);
+  }
+  return out;
+}
+
+export const sheetsSource = {
+  name: "sheets",
+  weight: Number(process.env.CANDIDATE_WEIGHT_SHEETS ?? 0.8),
+  description: "Other sheets in the spreadsheet (exact source match)",
+
+  async collect({ queryText, queryLang, targetLangKeys, maxN, context }) {
+    const candidatesByLang = {};
+    const errors = [];
+    for (const lk of targetLangKeys) candidatesByLang[lk] = [];
+
+    const sheets =
+      Array.isArray(context?.candidateSheets) && context.candidateSheets.length
+        ? context.candidateSheets
+        : DEFAULT_SHEETS;
+
+    if (!sheets.length) {
+      errors.push("sheets: no sheets configured (set CANDIDATE_SHEETS or candidateSheets).");
+      return { candidatesByLang, errors };
+    }
+
+    const qlk = normalizeLang(queryLang);
+    const text = String(queryText ?? "").trim();
+    if (!text) return { candidatesByLang, errors };
+
+    for (const sheetName of sheets) {
+      let cache;
+      try {
+        cache = await ensureGlossaryLoaded({ sheetName });
+      } catch (e) {
+        errors.push(`sheets: failed to load '${sheetName}' (${String(e?.message ?? e)})`);
+        continue;
+      }
+
+      for (const e of findExactEntries(cache, qlk, text)) {
+        for (const lk of targetLangKeys) {
+          if (candidatesByLang[lk].length >= maxN) continue;
+          const v = String(e?.translations?.[lk] ?? "").trim();
+          if (!v) continue;
+
+          candidatesByLang[lk].push({
+            text: v,
+            url: "",
+            confidence: "high",
+            evidence: [
+              {
+                source: "sheets",
+                sourceText: text,
+                match: { sheet: cache.sheetName, rowIndex: e._rowIndex, key: e.key, lang: qlk },
+                value: { name: v },
+              },
+            ],
+            meta: { sheet: cache.sheetName, rowIndex: e._rowIndex, category: e.category },
+          });
+        }
+      }
+    }
+
+    return { candidatesByLang, errors };
+  },
+};
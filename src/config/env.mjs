@@ -58,6 +58,13 @@ export const SHEET_RANGE = process.env.SHEET_RANGE || buildSheetRange(DEFAULT_SH
 export const RULE_SHEET_NAME = process.env.RULE_SHEET_NAME || "Rules";
 export const RULE_SHEET_RANGE = process.env.RULE_SHEET_RANGE || buildSheetRange(RULE_SHEET_NAME, "A:U");
 
+/**
+ * glossary sheet → rules sheet binding (src/rules/load.mjs resolveRulesSheet)
+ * - "Trans5=Rules_Trans5,QA=Rules_QA" or JSON {"Trans5":"Rules_Trans5"}
+ * - unmapped sheets use RULE_SHEET_NAME
+ */
+export const RULES_SHEET_MAP = process.env.RULES_SHEET_MAP || "";
+
 /**
  * Google Service Account JSON (stringified)
  */
@@ -103,6 +110,21 @@ export const OPENAI_MODEL_AUDIT =
  */
 export const OPENAI_MODEL = OPENAI_MODEL_TRANSLATE;
 
+/**
+ * LLM provider (src/translate/providers.mjs): openai | anthropic | mock
+ * - request `model`이 "provider:model" 형태면 그쪽이 우선
+ * - mock: 네트워크 없이 echo / pseudo 번역 (로컬/테스트용)
+ */
+export const LLM_PROVIDER = String(process.env.LLM_PROVIDER || "openai").trim().toLowerCase();
+
+/**
+ * 번역 프롬프트 템플릿 (src/translate/prompt.mjs)
+ * - JSON 문자열 또는 JSON 파일 경로
+ * - key: "<targetLang>:<category>" > "<targetLang>" > "*:<category>" > "*"
+ *   예) {"en-US":"You are localizing a fantasy MMORPG into {targetLang}.","*:ui":["UI string: keep it short."]}
+ */
+export const TRANSLATE_PROMPT_TEMPLATES = process.env.TRANSLATE_PROMPT_TEMPLATES || "";
+
 /**
  * 타임아웃/재시도/청크
  */
@@ -128,6 +150,17 @@ export function assertRequiredEnv() {
     throw new Error("GOOGLE_SERVICE_ACCOUNT_JSON is missing. Check env.");
 
   if (ENABLE_OPENAI_TRANSLATION) {
-    if (!OPENAI_API_KEY) throw new Error("OPENAI_API_KEY is missing. Check env.");
+    if (LLM_PROVIDER === "openai" && !OPENAI_API_KEY) throw new Error("OPENAI_API_KEY is missing. Check env.");
+    if (LLM_PROVIDER === "anthropic" && !process.env.ANTHROPIC_API_KEY) {
+      throw new Error("ANTHROPIC_API_KEY is missing. Check env.");
+    }
+  }
+
+  // node:sqlite (src/store/sqliteDriver.mjs) ships with Node >= 22.13; fail at boot, not on the first batch
+  if (String(process.env.BATCH_STORE_DRIVER ?? "").trim().toLowerCase() === "sqlite") {
+    const [major, minor] = process.versions.node.split(".").map(Number);
+    if (major < 22 || (major === 22 && minor < 13)) {
+      throw new Error(`BATCH_STORE_DRIVER=sqlite requires Node >= 22.13. Current: ${process.version}`);
+    }
   }
 }
@@ -0,0 +1,135 @@
+// src/glossary/conflicts.mjs
+// - Duplicate source terms: which entry's translation wins
+// - Policy = ordered list of tie-breakers, sheet order is always the final fallback
+//   - priority : higher `priority` / `우선순위` column wins
+//   - category : specific category beats generic ones (GLOSSARY_GENERIC_CATEGORIES)
+//   - recent   : newer `updated_at` column wins; without it, the lower (later appended) row wins
+//   - first    : sheet order only (previous behavior)
+//
+// env:
+// - GLOSSARY_CONFLICT_POLICY (default: "first" = sheet order, previous behavior),
+//   opt in with e.g. "priority,category" or "recent"
+// - GLOSSARY_GENERIC_CATEGORIES (default: "default,common,general,all,공통")
+
+const POLICY_KEYS = new Set(["priority", "category", "recent"]);
+
+function genericCategories() {
+  return new Set(
+    String(process.env.GLOSSARY_GENERIC_CATEGORIES ?? "default,common,general,all,공통")
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean)
+  );
+}
+
+/**
+ * @param {string|string[]} [raw] policy string ("priority,recent") or list; default from env
+ * @returns {string[]} tie-breakers in order ([] = sheet order)
+ */
+export function resolveConflictPolicy(raw) {
+  const src = raw ?? process.env.GLOSSARY_CONFLICT_POLICY ?? "first";
+  const list = (Array.isArray(src) ? src : String(src).split(/[\s,>]+/))
+    .map((s) => String(s ?? "").trim().toLowerCase())
+    .filter(Boolean);
+
+  if (list.includes("first")) return [];
+
+  const unknown = list.filter((k) => !POLICY_KEYS.has(k));
+  if (unknown.length) {
+    const err = new Error(`Unknown conflict policy: ${unknown.join(", ")} (priority | category | recent | first)`);
+    err.status = 400;
+    throw err;
+  }
+  return Array.from(new Set(list));
+}
+
+function compareBy(key, a, b, generic) {
+  if (key === "priority") return Number(b?.priority ?? 0) - Number(a?.priority ?? 0);
+
+  if (key === "category") {
+    const ga = generic.has(String(a?.category ?? "").trim().toLowerCase()) ? 1 : 0;
+    const gb = generic.has(String(b?.category ?? "").trim().toLowerCase()) ? 1 : 0;
+    return ga - gb;
+  }
+
+  if (key === "recent") {
+    const ta = Number(a?.updatedAtMs ?? 0);
+    const tb = Number(b?.updatedAtMs ?? 0);
+    if (ta !== tb) return tb - ta;
+    return Number(b?._rowIndex ?? 0) - Number(a?._rowIndex ?? 0);
+  }
+  return 0;
+}
+
+/**
+ * Candidates that translate into `targetLangKey`, best first.
+ * @param {Array<object>} entries duplicates of one source term
+ * @param {string} targetLangKey
+ * @param {string[]} policy from resolveConflictPolicy
+ */
+export function rankCandidates(entries, targetLangKey, policy) {
+  const tlk = String(targetLangKey ?? "").trim().toLowerCase();
+  const generic = genericCategories();
+
+  const withTarget = (Array.isArray(entries) ? entries : []).filter((e) =>
+    String(e?.translations?.[tlk] ?? "").trim()
+  );
+
+  return withTarget
+    .map((e, i) => ({ e, i }))
+    .sort((x, y) => {
+      for (const key of policy) {
+        const d = compareBy(key, x.e, y.e, generic);
+        if (d) return d;
+      }
+      return x.i - y.i;
+    })
+    .map((x) => x.e);
+}
+
+function describe(e, tlk) {
+  return {
+    key: e?.key ?? "",
+    rowIndex: e?._rowIndex ?? null,
+    category: e?.category ?? "",
+    priority: e?.priority ?? null,
+    updatedAt: e?.updatedAt ?? null,
+    translation: String(e?.translations?.[tlk] ?? "").trim(),
+  };
+}
+
+/**
+ * Source terms whose duplicates translate differently.
+ * @param {Map<string, Array<object>>} sourceTextMap Map<sourceText, entry[]>
+ * @param {string} targetLangKey
+ * @param {string[]} policy
+ * @returns {Array<{ sourceText:string, variants:Array<object>, winner:object }>}
+ */
+export function findTranslationConflicts(sourceTextMap, targetLangKey, policy) {
+  const tlk = String(targetLangKey ?? "").trim().toLowerCase();
+  const out = [];
+
+  for (const [sourceText, entries] of sourceTextMap.entries()) {
+    if (!Array.isArray(entries) || entries.length < 2) continue;
+
+    const ranked = rankCandidates(entries, tlk, policy);
+    const distinct = new Set(ranked.map((e) => String(e.translations[tlk]).trim()));
+    if (distinct.size < 2) continue;
+
+    // group by translation text (variants in rank order)
+    const byText = new Map();
+    for (const e of ranked) {
+      const t = String(e.translations[tlk]).trim();
+      if (!byText.has(t)) byText.set(t, []);
+      byText.get(t).push(describe(e, tlk));
+    }
+
+    out.push({
+      sourceText,
+      variants: Array.from(byText.entries()).map(([translation, rows]) => ({ translation, rows })),
+      winner: describe(ranked[0], tlk),
+    });
+  }
+
+  return out.sort((a, b) => a.sourceText.localeCompare(b.sourceText));
+}
@@ -2,18 +2,174 @@
 // Divine Pride candidate collector (improved disambiguation)
 //
 // Strategy:
-// 1) Resolve itemId by scraping DP database search result page (HTML)
+// 1) Resolve entity id by scraping DP database search result page (HTML)
+//    - entity type (item / monster / skill / map) picks the search page + API endpoint
 //    - extract href + anchor text
-//    - score candidates to avoid [Event]/Costume/Box variants when input is plain
-// 2) Fetch localized item name via DP API using Accept-Language header
+//    - score candidates to avoid variants when input is plain ([Event]/Costume/Box for items, MVP/Clone for monsters, ...)
+// 2) Fetch localized name via DP API using Accept-Language header
 //
 // Requirements (env):
 // - DIVINE_PRIDE_API_KEY (required for API calls)
 // - DIVINE_PRIDE_SERVER (optional, default: "iRO")
 // - DIVINE_PRIDE_BASE_URL (optional, default: "https://www.divine-pride.net")
+// - DIVINE_PRIDE_CATEGORY_MAP (optional, "category=entityType,..." e.g. "몬스터=monster,장비=item")
+// - DIVINE_PRIDE_DEFAULT_ENTITY (optional, default: "item") for categories without a mapping
+// - DIVINE_PRIDE_CACHE_* (optional) on-disk lookup cache, see src/cache/divinePrideCache.mjs
+// - DIVINE_PRIDE_RATE_PER_SEC / _BURST / _MAX_CONCURRENT / _MAX_RETRIES / _TIMEOUT_MS (optional)
+//   shared outbound client (token bucket + retry with jitter on 429/5xx), see src/utils/outbound.mjs
+
+import { dpCacheGet, dpCacheSet, dpResolveKey, dpNameKey } from "../cache/divinePrideCache.mjs";
+import { createOutboundClient, mapWithConcurrency } from "../utils/outbound.mjs";
 
 const DEFAULT_BASE_URL = "https://www.divine-pride.net";
 
+// ---------------- Outbound client (shared by all DP calls) ----------------
+let _client = null;
+
+function getDpClient() {
+  if (_client) return _client;
+  _client = createOutboundClient({
+    name: "DivinePride",
+    ratePerSec: Number(process.env.DIVINE_PRIDE_RATE_PER_SEC ?? 5),
+    burst: Number(process.env.DIVINE_PRIDE_BURST ?? 5),
+    maxConcurrent: Number(process.env.DIVINE_PRIDE_MAX_CONCURRENT ?? 4),
+    maxRetries: Number(process.env.DIVINE_PRIDE_MAX_RETRIES ?? 3),
+    timeoutMs: Number(process.env.DIVINE_PRIDE_TIMEOUT_MS ?? 8000),
+  });
+  return _client;
+}
+
+// ---------------- Entity types ----------------
+
+/**
+ * Per entity type:
+ * - path: DP database path (/database/<path>, search page + detail links)
+ * - searchParams: query params for the search page (name → input text)
+ * - api: DP API resource (/api/database/<api>/<id>)
+ * - idPattern: regex source for the id segment in detail hrefs
+ * - variantKeywords: ranking penalties when input is plain
+ */
+const ENTITY_TYPES = {
+  item: {
+    path: "item",
+    searchParams: (name) => ({ find: "Search", name }),
+    api: "Item",
+    idPattern: "\\d+",
+    variantKeywords: [
+      "event",
+      "costume",
+      "box",
+      "scroll",
+      "card",
+      "shadow",
+      "enchant",
+      "rune",
+      "rental",
+      "sealed",
+      "fragment",
+      "voucher",
+      "ticket",
+      "package",
+      "bundle",
+      "random",
+      "choice",
+      "special",
+    ],
+  },
+  monster: {
+    path: "monster",
+    searchParams: (name) => ({ Name: name }),
+    api: "Monster",
+    idPattern: "\\d+",
+    variantKeywords: [
+      "event",
+      "mvp",
+      "boss",
+      "summon",
+      "clone",
+      "illusion",
+      "guardian",
+      "fake",
+      "phantom",
+      "instance",
+      "memorial",
+      "quest",
+      "arena",
+      "elite",
+      "angry",
+    ],
+  },
+  skill: {
+    path: "skill",
+    searchParams: (name) => ({ Name: name }),
+    api: "Skill",
+    idPattern: "\\d+",
+    variantKeywords: ["npc", "monster", "quest", "guild", "mercenary", "homunculus", "event"],
+  },
+  map: {
+    path: "map",
+    searchParams: (name) => ({ Name: name }),
+    api: "Map",
+    idPattern: "[A-Za-z0-9_@.\\-]+",
+    variantKeywords: ["instance", "memorial", "pvp", "gvg", "arena", "event", "quest", "dungeon"],
+  },
+};
+
+export const DIVINE_PRIDE_ENTITY_TYPES = Object.freeze(Object.keys(ENTITY_TYPES));
+
+// glossary category (lower) -> entity type
+const DEFAULT_CATEGORY_MAP = {
+  item: "item",
+  items: "item",
+  equipment: "item",
+  아이템: "item",
+  장비: "item",
+  monster: "monster",
+  monsters: "monster",
+  mob: "monster",
+  몬스터: "monster",
+  skill: "skill",
+  skills: "skill",
+  스킬: "skill",
+  map: "map",
+  maps: "map",
+  맵: "map",
+  지역: "map",
+};
+
+function parseCategoryMap(raw) {
+  const out = {};
+  for (const pair of String(raw ?? "").split(",")) {
+    const eq = pair.indexOf("=");
+    if (eq <= 0) continue;
+    const cat = pair.slice(0, eq).trim().toLowerCase();
+    const type = pair.slice(eq + 1).trim().toLowerCase();
+    if (cat && ENTITY_TYPES[type]) out[cat] = type;
+  }
+  return out;
+}
+
+const CATEGORY_MAP = {
+  ...DEFAULT_CATEGORY_MAP,
+  ...parseCategoryMap(process.env.DIVINE_PRIDE_CATEGORY_MAP),
+};
+
+const DEFAULT_ENTITY_TYPE = ENTITY_TYPES[String(process.env.DIVINE_PRIDE_DEFAULT_ENTITY ?? "").trim().toLowerCase()]
+  ? String(process.env.DIVINE_PRIDE_DEFAULT_ENTITY).trim().toLowerCase()
+  : "item";
+
+/**
+ * Glossary category -> DP entity type ("item" | "monster" | "skill" | "map")
+ * - explicit entity type names are accepted as-is
+ * - unmapped / empty category -> DIVINE_PRIDE_DEFAULT_ENTITY
+ */
+export function resolveDivinePrideEntityType(category) {
+  const c = String(category ?? "").trim().toLowerCase();
+  if (!c) return DEFAULT_ENTITY_TYPE;
+  if (ENTITY_TYPES[c]) return c;
+  return CATEGORY_MAP[c] || DEFAULT_ENTITY_TYPE;
+}
+
 function normLang(langKey) {
   return String(langKey ?? "")
     .trim()
@@ -43,34 +199,38 @@ function toSlugLike(s) {
     .replace(/^-|-$/g, "");
 }
 
-function buildEvidence({ sourceText, itemId, url, server, langKey, name }) {
+function buildEvidence({ sourceText, entityType, itemId, url, server, langKey, name }) {
   return {
     source: "divinePride",
     sourceText,
-    match: { itemId, server, lang: langKey },
+    match: { entityType, itemId, server, lang: langKey },
     url,
     value: { name },
   };
 }
 
 /**
- * Extract item links from HTML including anchor text:
+ * Extract entity links from HTML including anchor text:
  * <a href="/database/item/501/red-potion">Red Potion</a>
+ * <a href="/database/map/prontera">Prontera</a>
  */
-function extractItemAnchorsFromHtml(html) {
+function extractEntityAnchorsFromHtml(html, entity) {
   const out = [];
   const s = String(html ?? "");
   if (!s) return out;
 
   // Capture href and anchor inner text (non-greedy)
   // href="/database/item/501/red-potion" ...> ... </a>
-  const re = /<a\b[^>]*href="(\/database\/item\/(\d+)(?:\/[^"]*)?)"[^>]*>([\s\S]*?)<\/a>/gi;
+  const re = new RegExp(
+    `<a\\b[^>]*href="(\\/database\\/${entity.path}\\/(${entity.idPattern})(?:\\/[^"]*)?)"[^>]*>([\\s\\S]*?)<\\/a>`,
+    "gi"
+  );
 
   let m;
   while ((m = re.exec(s)) !== null) {
     const href = m[1];
-    const id = Number(m[2]);
-    if (!Number.isFinite(id)) continue;
+    const id = /^\d+$/.test(m[2]) ? Number(m[2]) : m[2];
+    if (id === "" || (typeof id === "number" && !Number.isFinite(id))) continue;
 
     // strip tags inside anchor text (DP may include spans/icons)
     const rawInner = String(m[3] ?? "");
@@ -81,39 +241,20 @@ function extractItemAnchorsFromHtml(html) {
   return out;
 }
 
-function containsVariantKeyword(s) {
+/**
+ * Variant markers present in candidate but not in input.
+ * Keep this conservative; we are only *ranking* candidates, not hard-filtering.
+ */
+function containsVariantKeyword(s, keywords, inputNorm = "") {
   const t = normalizeForCompare(s);
 
-  // High-frequency “variant” markers we want to avoid when input is plain.
-  // Keep this conservative; we are only *ranking* candidates, not hard-filtering.
-  const bad = [
-    "event",
-    "costume",
-    "box",
-    "scroll",
-    "card",
-    "shadow",
-    "enchant",
-    "rune",
-    "rental",
-    "sealed",
-    "fragment",
-    "voucher",
-    "ticket",
-    "package",
-    "bundle",
-    "random",
-    "choice",
-    "special",
-  ];
-
-  for (const w of bad) {
-    if (t.includes(w)) return true;
+  for (const w of keywords || []) {
+    if (t.includes(w) && !inputNorm.includes(w)) return true;
   }
   return false;
 }
 
-function scoreCandidate({ sourceText, href, anchorText }) {
+function scoreCandidate({ sourceText, href, anchorText, entity = ENTITY_TYPES.item }) {
   const inputRaw = safeText(sourceText);
   const inputNorm = normalizeForCompare(inputRaw);
   const inputSlug = toSlugLike(inputRaw);
@@ -129,65 +270,57 @@ function scoreCandidate({ sourceText, href, anchorText }) {
   else if (inputNorm.includes(anchorNorm) && anchorNorm.length >= 4) score += 20;
 
   // 2) Slug match in href (strong)
-  // e.g., /database/item/501/red-potion
+  // e.g., /database/item/501/red-potion, /database/map/prontera
   if (inputSlug && hrefLower.includes(`/${inputSlug}`)) score += 80;
   else if (inputSlug && hrefLower.includes(inputSlug)) score += 30;
 
-  // 3) Penalize variant markers in anchor text
-  if (containsVariantKeyword(anchorText)) score -= 60;
+  // 3) Penalize variant markers in anchor text (per entity type)
+  if (containsVariantKeyword(anchorText, entity.variantKeywords, inputNorm)) score -= 60;
 
   // 4) Penalize bracketed prefixes like "[Event]" or "[Costume]" etc.
   if (/^\s*\[[^\]]+\]\s*/.test(String(anchorText ?? ""))) score -= 40;
 
-  // 5) Prefer shorter href path (heuristic: fewer slashes after /database/item/<id>)
+  // 5) Prefer shorter href path (heuristic: fewer slashes after /database/<type>/<id>)
   // "/database/item/501/red-potion" better than "/database/item/501/some/extra"
-  const afterId = hrefLower.replace(/.*\/database\/item\/\d+\/?/, "");
+  const afterId = hrefLower.replace(new RegExp(`.*\\/database\\/${entity.path}\\/${entity.idPattern}\\/?`, "i"), "");
   const slashCount = (afterId.match(/\//g) || []).length;
   score += Math.max(0, 10 - slashCount * 5);
 
-  // 6) Small bonus if anchor text starts with input (common for exact items)
+  // 6) Small bonus if anchor text starts with input (common for exact names)
   if (anchorNorm.startsWith(inputNorm) && inputNorm.length >= 4) score += 10;
 
   return score;
 }
 
 /**
- * Resolve itemId by querying DP search page, then scoring candidates.
+ * Resolve entity id by querying DP search page, then scoring candidates.
  *
- * Search URL:
+ * Search URL (per entity type):
  *   /database/item?find=Search&name=<term>
+ *   /database/monster?Name=<term>
  *
  * We fail gracefully; the caller will leave fallbackNeeded=true.
  */
-async function resolveItemIdByName({ baseUrl, sourceText, timeoutMs = 8000 }) {
+async function resolveEntityIdByName({ client, baseUrl, sourceText, entity }) {
   const name = safeText(sourceText);
-  if (!name) return { ok: false, itemId: null, reason: "empty sourceText" };
-
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), timeoutMs);
+  if (!name) return { ok: false, itemId: null, reason: "empty sourceText", retryable: false };
 
   try {
-    const url = new URL("/database/item", baseUrl);
-    url.searchParams.set("find", "Search");
-    url.searchParams.set("name", name);
+    const url = new URL(`/database/${entity.path}`, baseUrl);
+    for (const [k, v] of Object.entries(entity.searchParams(name))) url.searchParams.set(k, v);
 
-    const res = await fetch(url.toString(), {
+    const res = await client.request(url.toString(), {
       method: "GET",
       headers: {
         "Accept-Language": "en-US",
       },
-      signal: controller.signal,
     });
 
-    if (!res.ok) {
-      return { ok: false, itemId: null, reason: `search http ${res.status}` };
-    }
-
     const html = await res.text();
-    const links = extractItemAnchorsFromHtml(html);
+    const links = extractEntityAnchorsFromHtml(html, entity);
 
     if (!links.length) {
-      return { ok: false, itemId: null, reason: "no item links in search HTML" };
+      return { ok: false, itemId: null, reason: `no ${entity.path} links in search HTML`, retryable: false };
     }
 
     // Score and pick best
@@ -199,6 +332,7 @@ async function resolveItemIdByName({ baseUrl, sourceText, timeoutMs = 8000 }) {
         sourceText: name,
         href: x.href,
         anchorText: x.text,
+        entity,
       });
 
       if (sc > bestScore) {
@@ -208,7 +342,7 @@ async function resolveItemIdByName({ baseUrl, sourceText, timeoutMs = 8000 }) {
     }
 
     if (!best) {
-      return { ok: false, itemId: null, reason: "no best candidate after scoring" };
+      return { ok: false, itemId: null, reason: "no best candidate after scoring", retryable: false };
     }
 
     // If the best score is extremely low, it might be noise; still return (better than nothing),
@@ -223,39 +357,30 @@ async function resolveItemIdByName({ baseUrl, sourceText, timeoutMs = 8000 }) {
     return {
       ok: false,
       itemId: null,
-      reason: e?.name === "AbortError" ? "search timeout" : String(e?.message ?? e),
+      reason: `search: ${String(e?.message ?? e)}`,
+      retryable: Boolean(e?.retryable),
     };
-  } finally {
-    clearTimeout(t);
   }
 }
 
-async function fetchItemLocalizedName({ baseUrl, apiKey, server, itemId, langKey, timeoutMs = 8000 }) {
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), timeoutMs);
-
+async function fetchEntityLocalizedName({ client, baseUrl, apiKey, server, entity, itemId, langKey }) {
   try {
-    const url = new URL(`/api/database/Item/${itemId}`, baseUrl);
+    const url = new URL(`/api/database/${entity.api}/${encodeURIComponent(String(itemId))}`, baseUrl);
     url.searchParams.set("apiKey", apiKey);
     if (server) url.searchParams.set("server", server);
 
-    const res = await fetch(url.toString(), {
+    const res = await client.request(url.toString(), {
       method: "GET",
       headers: {
         // DP API supports language selection via Accept-Language
         "Accept-Language": langKey,
       },
-      signal: controller.signal,
     });
 
-    if (!res.ok) {
-      return { ok: false, name: "", reason: `api http ${res.status}` };
-    }
-
     const json = await res.json();
     const name = safeText(json?.name);
     if (!name) {
-      return { ok: false, name: "", reason: "api returned empty name" };
+      return { ok: false, name: "", reason: "api returned empty name", retryable: false };
     }
 
     return { ok: true, name, reason: "ok" };
@@ -263,10 +388,9 @@ async function fetchItemLocalizedName({ baseUrl, apiKey, server, itemId, langKey
     return {
       ok: false,
       name: "",
-      reason: e?.name === "AbortError" ? "api timeout" : String(e?.message ?? e),
+      reason: `api: ${String(e?.message ?? e)}`.replace(apiKey, "***"),
+      retryable: Boolean(e?.retryable),
     };
-  } finally {
-    clearTimeout(t);
   }
 }
 
@@ -276,20 +400,30 @@ async function fetchItemLocalizedName({ baseUrl, apiKey, server, itemId, langKey
  * @param {string} args.sourceText - en-US anchor name
  * @param {string[]} args.targetLangKeys - normalized keys like ["ko-kr","de-de"]
  * @param {number} args.maxCandidatesPerLang - typically 1~2
- * @returns {Promise<{ candidatesByLang: Object, fallbackNeededByLang: Object, errors: string[] }>}
+ * @param {string} [args.entityType] - "item" | "monster" | "skill" | "map" (default: item)
+ * @returns {Promise<{ candidatesByLang: Object, fallbackNeededByLang: Object,
+ *   errors: Array<{message:string, retryable:boolean, lang?:string}>, cache: {hits:number, misses:number} }>}
  */
 export async function collectDivinePrideCandidates({
   sourceText,
   targetLangKeys,
   maxCandidatesPerLang = 2,
+  entityType = "item",
 }) {
+  const entityKey = ENTITY_TYPES[entityType] ? entityType : "item";
+  const entity = ENTITY_TYPES[entityKey];
+
   const baseUrl = process.env.DIVINE_PRIDE_BASE_URL || DEFAULT_BASE_URL;
   const apiKey = process.env.DIVINE_PRIDE_API_KEY || "";
   const server = process.env.DIVINE_PRIDE_SERVER || "iRO";
 
+  const client = getDpClient();
+  const maxN = Math.max(1, Number(maxCandidatesPerLang) || 2);
+
   const candidatesByLang = {};
   const fallbackNeededByLang = {};
   const errors = [];
+  const cache = { hits: 0, misses: 0 };
 
   for (const lk of targetLangKeys) {
     const k = normLang(lk);
@@ -298,33 +432,71 @@ export async function collectDivinePrideCandidates({
   }
 
   if (!apiKey) {
-    errors.push("DIVINE_PRIDE_API_KEY is missing (Divine Pride API requires an API key).");
-    return { candidatesByLang, fallbackNeededByLang, errors };
+    errors.push({
+      message: "DIVINE_PRIDE_API_KEY is missing (Divine Pride API requires an API key).",
+      retryable: false,
+    });
+    return { candidatesByLang, fallbackNeededByLang, errors, cache };
   }
 
-  const resolved = await resolveItemIdByName({ baseUrl, sourceText });
+  const resolveKey = dpResolveKey({ server, entityType: entityKey, name: sourceText });
+  let resolved = dpCacheGet(resolveKey, cache);
+  if (resolved) {
+    resolved = { ...resolved, ok: true, reason: `${resolved.reason} (cached)` };
+  } else {
+    resolved = await resolveEntityIdByName({ client, baseUrl, sourceText, entity });
+    if (resolved.ok && resolved.itemId) {
+      dpCacheSet(
+        resolveKey,
+        { itemId: resolved.itemId, reason: resolved.reason, debug: resolved.debug },
+        { server, entityType: entityKey, itemId: resolved.itemId, name: sourceText }
+      );
+    }
+  }
 
   if (!resolved.ok || !resolved.itemId) {
-    errors.push(`DivinePride: failed to resolve itemId for '${sourceText}' (${resolved.reason})`);
-    return { candidatesByLang, fallbackNeededByLang, errors };
+    errors.push({
+      message: `DivinePride: failed to resolve ${entityKey} id for '${sourceText}' (${resolved.reason})`,
+      retryable: Boolean(resolved.retryable),
+    });
+    return { candidatesByLang, fallbackNeededByLang, errors, cache };
   }
 
   const itemId = resolved.itemId;
+  const langKeys = Array.from(new Set(targetLangKeys.map(normLang).filter(Boolean)));
+
+  // For each target language, call API with Accept-Language (bounded parallel; client rate-limits)
+  const perLang = await mapWithConcurrency(
+    langKeys,
+    Number(process.env.DIVINE_PRIDE_LANG_CONCURRENCY ?? 4),
+    async (langKey) => {
+      const nameKey = dpNameKey({ server, entityType: entityKey, itemId, lang: langKey });
+      const cachedName = dpCacheGet(nameKey, cache);
+      if (cachedName) return { langKey, r: { ok: true, name: cachedName, reason: "cached" } };
+
+      const r = await fetchEntityLocalizedName({ client, baseUrl, apiKey, server, entity, itemId, langKey });
+      if (r.ok && r.name) {
+        dpCacheSet(nameKey, r.name, { server, entityType: entityKey, itemId, lang: langKey });
+      }
+      return { langKey, r };
+    }
+  );
 
-  // For each target language, call API with Accept-Language
-  for (const rawLang of targetLangKeys) {
-    const langKey = normLang(rawLang);
-    if (!langKey) continue;
-
-    const r = await fetchItemLocalizedName({ baseUrl, apiKey, server, itemId, langKey });
+  for (const { langKey, r } of perLang) {
     if (!r.ok || !r.name) {
       // keep fallbackNeeded=true
+      errors.push({
+        message: `DivinePride: no ${langKey} name for ${entityKey} ${itemId} (${r.reason})`,
+        retryable: Boolean(r.retryable),
+        lang: langKey,
+      });
       continue;
     }
 
-    const url = `${baseUrl}/database/item/${itemId}`;
+    const url = `${baseUrl}/database/${entity.path}/${itemId}`;
     const evidence = buildEvidence({
       sourceText,
+      entityType: entityKey,
       itemId,
       url,
       server,
@@ -337,6 +509,7 @@ export async function collectDivinePrideCandidates({
       confidence: "high",
       evidence: [evidence],
       meta: {
+        entityType: entityKey,
         resolver: {
           reason: resolved.reason,
           debug: resolved.debug,
@@ -344,12 +517,9 @@ export async function collectDivinePrideCandidates({
       },
     });
 
-    candidatesByLang[langKey] = candidatesByLang[langKey].slice(
-      0,
-      Math.max(1, Number(maxCandidatesPerLang) || 2)
-    );
+    candidatesByLang[langKey] = candidatesByLang[langKey].slice(0, maxN);
     fallbackNeededByLang[langKey] = candidatesByLang[langKey].length === 0;
   }
 
-  return { candidatesByLang, fallbackNeededByLang, errors };
+  return { candidatesByLang, fallbackNeededByLang, errors, cache };
 }
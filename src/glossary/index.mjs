@@ -4,7 +4,7 @@
 // ✅ Fix: glossary term에도 invisible 문자 정규화 적용
 // ✅ Fix: 빈 category 방어(default)
 
-function stripInvisible(s) {
+export function stripInvisible(s) {
   return String(s ?? "")
     .replace(/\r\n/g, "\n")
     .replace(/\u00A0/g, " ") // NBSP
@@ -0,0 +1,287 @@
+// src/glossary/lint.mjs
+// - Glossary health report: rule set over a parsed glossary (cache or parseGlossaryValues() output)
+// - Pure (no Sheets I/O) → rules can be run against in-memory rows
+// - Rules
+//   - invisible_chars          (warning): leading/trailing whitespace, NBSP, zero-width chars, BOM
+//                                         (index/replace strip them silently → sheet ≠ what matches)
+//   - empty_anchor             (error)  : row has translations but no ko-KR term (never matched)
+//   - cross_category_duplicate (warning): same ko-KR term in 2+ categories
+//   - target_equals_source     (info)   : translation identical to the ko-KR term
+//   - substring_term           (info)   : substring-mode term contained in other terms
+//                                         (fix: `particle` for Hangul terms, `word` for spaced scripts;
+//                                          none for Han/Kana or when that mode still matches inside them)
+// - Finding: { rule, severity, rowIndex, column, value, message, suggestion, fix? }
+//   - fix = { column, value } when the correction is mechanical
+
+import { stripInvisible } from "./index.mjs";
+import { buildMatcher } from "../replace/matcher.mjs";
+import { parseMatchMode, acceptMatch } from "../replace/matchMode.mjs";
+
+export const LINT_SEVERITIES = ["error", "warning", "info"];
+
+const ANCHOR_LANG = "ko-kr";
+const MAX_RELATED = 5;
+
+function severityRank(s) {
+  const i = LINT_SEVERITIES.indexOf(s);
+  return i < 0 ? LINT_SEVERITIES.length : i;
+}
+
+function preview(list) {
+  return list.length > MAX_RELATED ? `${list.slice(0, MAX_RELATED).join(", ")}, …` : list.join(", ");
+}
+
+// ---------------- rules ----------------
+
+function lintInvisibleChars(ctx) {
+  const out = [];
+  const cols = [
+    ...Object.values(ctx.langIndex),
+    ...[ctx.idx.key, ctx.idx.category].filter((i) => Number.isInteger(i) && i >= 0),
+  ];
+
+  for (const row of ctx.rows) {
+    for (const col of cols) {
+      const raw = String(row.raw[col] ?? "");
+      if (!raw) continue;
+
+      const cleaned = stripInvisible(raw);
+      if (cleaned === raw.replace(/\r\n/g, "\n")) continue;
+
+      out.push({
+        rowIndex: row.rowIndex,
+        column: ctx.header[col],
+        value: JSON.stringify(raw),
+        message: "Cell has leading/trailing whitespace or invisible characters (NBSP / zero-width / BOM).",
+        suggestion: cleaned ? `Replace with ${JSON.stringify(cleaned)}.` : "Clear the cell (only invisible characters).",
+        fix: { column: ctx.header[col], value: cleaned },
+      });
+    }
+  }
+  return out;
+}
+
+function lintEmptyAnchor(ctx) {
+  const out = [];
+  for (const row of ctx.rows) {
+    if (row.anchor) continue;
+
+    const others = Object.entries(ctx.langIndex)
+      .filter(([lang, col]) => lang !== ANCHOR_LANG && stripInvisible(row.raw[col]))
+      .map(([, col]) => ctx.header[col]);
+    if (!others.length) continue;
+
+    out.push({
+      rowIndex: row.rowIndex,
+      column: ctx.header[ctx.langIndex[ANCHOR_LANG]],
+      value: "",
+      message: `ko-KR is empty but ${others.join(", ")} ${others.length > 1 ? "are" : "is"} filled; the row is never matched.`,
+      suggestion: "Fill in the ko-KR term or delete the row.",
+    });
+  }
+  return out;
+}
+
+function lintCrossCategoryDuplicate(ctx) {
+  const out = [];
+  for (const [term, rows] of ctx.rowsByAnchor) {
+    const categories = Array.from(new Set(rows.map((r) => r.category)));
+    if (categories.length < 2) continue;
+
+    for (const row of rows) {
+      const others = rows.filter((r) => r !== row).map((r) => `${r.rowIndex} (${r.category})`);
+      out.push({
+        rowIndex: row.rowIndex,
+        column: ctx.header[ctx.langIndex[ANCHOR_LANG]],
+        value: term,
+        message: `'${term}' also appears in row ${preview(others)}.`,
+        suggestion:
+          "Merge into one category, or keep both and set `priority` so the conflict policy picks the intended row.",
+        related: rows.filter((r) => r !== row).map((r) => r.rowIndex),
+      });
+    }
+  }
+  return out;
+}
+
+function lintTargetEqualsSource(ctx) {
+  const out = [];
+  for (const row of ctx.rows) {
+    if (!row.anchor) continue;
+
+    for (const [lang, col] of Object.entries(ctx.langIndex)) {
+      if (lang === ANCHOR_LANG) continue;
+      const v = stripInvisible(row.raw[col]);
+      if (!v || v !== row.anchor) continue;
+
+      out.push({
+        rowIndex: row.rowIndex,
+        column: ctx.header[col],
+        value: v,
+        message: `${ctx.header[col]} is identical to the ko-KR term.`,
+        suggestion: "Clear the cell if it was copied untranslated; keep it for names that stay as-is.",
+      });
+    }
+  }
+  return out;
+}
+
+const RE_HANGUL = /\p{Script=Hangul}/u;
+const RE_HAN_KANA = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+/**
+ * match_type that keeps `term` out of the longer terms containing it, or null when ambiguous.
+ * @param {string} term
+ * @param {Array<{ text:string, start:number, end:number }>} hits occurrences of term inside other terms
+ */
+function substringFixMode(term, hits) {
+  // Korean words carry particles ("포션을"); Han/Kana text has no word boundaries to rely on
+  if (RE_HAN_KANA.test(term)) return null;
+  const label = RE_HANGUL.test(term) ? "particle" : "word";
+
+  const mode = parseMatchMode(label);
+  if (hits.some((h) => acceptMatch(mode, term, h.text, h.start, h.end))) return null; // e.g. "포션 상자"
+  return label;
+}
+
+function lintSubstringTerm(ctx) {
+  const out = [];
+
+  // patterns: substring-mode terms only (word / prefix / particle modes already guard boundaries)
+  const patterns = [];
+  const patternRows = [];
+  for (const [term, rows] of ctx.rowsByAnchor) {
+    const loose = rows.filter((r) => !r.mode.word && !r.mode.prefix && !r.mode.particle);
+    if (!loose.length) continue;
+    patterns.push(term);
+    patternRows.push(loose);
+  }
+  if (!patterns.length) return out;
+
+  const matcher = buildMatcher(patterns);
+  const containers = patterns.map(() => []);
+  const hits = patterns.map(() => []); // { text, start, end } per occurrence
+
+  for (const term of ctx.rowsByAnchor.keys()) {
+    const seen = new Set();
+    for (const m of matcher.findEvery(term)) {
+      if (patterns[m.id] === term) continue;
+      hits[m.id].push({ text: term, start: m.start, end: m.end });
+      if (seen.has(m.id)) continue;
+      seen.add(m.id);
+      containers[m.id].push(term);
+    }
+  }
+
+  containers.forEach((terms, id) => {
+    if (!terms.length) return;
+    const fixMode = substringFixMode(patterns[id], hits[id]);
+    for (const row of patternRows[id]) {
+      out.push({
+        rowIndex: row.rowIndex,
+        column: ctx.header[ctx.langIndex[ANCHOR_LANG]],
+        value: patterns[id],
+        message: `'${patterns[id]}' is part of ${terms.length} other term(s): ${preview(terms)}.`,
+        suggestion: fixMode
+          ? `Set match_type to \`${fixMode}\` so it does not match inside longer words.`
+          : "Review: a word / particle match_type would still match inside these terms (or the script has no word boundaries); rely on `priority` or rename the terms.",
+        ...(fixMode ? { fix: { column: "match_type", value: fixMode } } : {}),
+        containedIn: terms.length,
+      });
+    }
+  });
+  return out;
+}
+
+export const LINT_RULES = Object.freeze([
+  { id: "invisible_chars", severity: "warning", run: lintInvisibleChars },
+  { id: "empty_anchor", severity: "error", run: lintEmptyAnchor },
+  { id: "cross_category_duplicate", severity: "warning", run: lintCrossCategoryDuplicate },
+  { id: "target_equals_source", severity: "info", run: lintTargetEqualsSource },
+  { id: "substring_term", severity: "info", run: lintSubstringTerm },
+]);
+
+// ---------------- runner ----------------
+
+function buildContext(glossary) {
+  const header = Array.isArray(glossary?.header) ? glossary.header : [];
+  const rawRows = Array.isArray(glossary?.rawRows) ? glossary.rawRows : [];
+  const entries = Array.isArray(glossary?.entries) ? glossary.entries : [];
+
+  const rows = [];
+  const rowsByAnchor = new Map();
+
+  entries.forEach((entry, i) => {
+    const raw = Array.isArray(rawRows[i]) ? rawRows[i] : [];
+    if (!raw.some((c) => stripInvisible(c))) return; // blank row
+
+    const row = {
+      rowIndex: entry?._rowIndex ?? i + 2,
+      raw,
+      entry,
+      anchor: stripInvisible(entry?.translations?.[ANCHOR_LANG]),
+      category: String(entry?.category ?? "").trim().toLowerCase() || "default",
+      mode: parseMatchMode(entry?.matchType),
+    };
+    rows.push(row);
+
+    if (!row.anchor) return;
+    if (!rowsByAnchor.has(row.anchor)) rowsByAnchor.set(row.anchor, []);
+    rowsByAnchor.get(row.anchor).push(row);
+  });
+
+  return {
+    header,
+    langIndex: glossary?.langIndex ?? {},
+    idx: glossary?.idx ?? {},
+    rows,
+    rowsByAnchor,
+  };
+}
+
+/**
+ * Run lint rules over a parsed glossary.
+ * @param {{ header:string[], rawRows:string[][], entries:object[], langIndex:object, idx:object }} glossary
+ * @param {{ rules?: string[] }} [opts] rule ids to run (default: all)
+ * @returns {{ findings:Array<object>, summary:{ total:number, bySeverity:object, byRule:object } }}
+ */
+export function lintGlossary(glossary, { rules } = {}) {
+  const wanted = Array.isArray(rules) && rules.length ? new Set(rules) : null;
+  if (wanted) {
+    const unknown = [...wanted].filter((id) => !LINT_RULES.some((r) => r.id === id));
+    if (unknown.length) {
+      const err = new Error(`Unknown lint rule: ${unknown.join(", ")} (${LINT_RULES.map((r) => r.id).join(" | ")})`);
+      err.status = 400;
+      throw err;
+    }
+  }
+
+  const ctx = buildContext(glossary);
+  const findings = [];
+
+  for (const rule of LINT_RULES) {
+    if (wanted && !wanted.has(rule.id)) continue;
+    for (const f of rule.run(ctx)) findings.push({ rule: rule.id, severity: rule.severity, ...f });
+  }
+
+  findings.sort(
+    (a, b) => a.rowIndex - b.rowIndex || severityRank(a.severity) - severityRank(b.severity) || a.rule.localeCompare(b.rule)
+  );
+
+  const bySeverity = Object.fromEntries(LINT_SEVERITIES.map((s) => [s, 0]));
+  const byRule = Object.fromEntries(LINT_RULES.filter((r) => !wanted || wanted.has(r.id)).map((r) => [r.id, 0]));
+  for (const f of findings) {
+    bySeverity[f.severity] += 1;
+    byRule[f.rule] += 1;
+  }
+
+  return { findings, summary: { total: findings.length, bySeverity, byRule } };
+}
+
+/**
+ * Findings at or above `minSeverity` ("error" ⊂ "warning" ⊂ "info").
+ */
+export function filterBySeverity(findings, minSeverity = "info") {
+  const max = severityRank(minSeverity);
+  return findings.filter((f) => severityRank(f.severity) <= max);
+}
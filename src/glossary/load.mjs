@@ -1,11 +1,27 @@
 // src/glossary/load.mjs
 // - Load glossary sheet into normalized entries
 // - Auto-detect language columns
+// - Optional `match_type` column → entry.matchType (see src/replace/matchMode.mjs)
+// - parseGlossaryValues(): pure header/rows → entries (no Sheets I/O)
+// - Optional `priority`/`우선순위`, `updated_at`/`수정일` columns → duplicate resolution
+//   (see src/glossary/conflicts.mjs)
+// - Optional `note`/`notes`/`번역메모` column → entry.note (passed to the LLM as a term hint)
 
 import { DEFAULT_SHEET_NAME, buildSheetRange } from "../config/env.mjs";
 import { readSheetRange } from "../google/sheets.mjs";
 import { normalizeHeader, nowIso } from "../utils/common.mjs";
 
+const UPDATED_AT_HEADERS = ["updated_at", "last_edited", "modified_at", "수정일"];
+const NOTE_HEADERS = ["note", "notes", "번역메모"];
+
+function firstIndexOf(norm, names) {
+  for (const n of names) {
+    const i = norm.indexOf(n);
+    if (i >= 0) return i;
+  }
+  return -1;
+}
+
 function normCategoryFallback(sheetName) {
   return String(sheetName ?? "").trim().toLowerCase() || "default";
 }
@@ -15,7 +31,16 @@ export async function loadGlossaryAll(opts = {}) {
   const range = buildSheetRange(sheetName);
 
   const { header, rows } = await readSheetRange(range);
-  const loadedAt = nowIso();
+  return parseGlossaryValues({ sheetName, range, header, rows });
+}
+
+/**
+ * Sheet values → normalized entries (no I/O; also used on in-memory rows, e.g. lint).
+ * @param {{ sheetName?:string, range?:string, header:string[], rows:string[][], loadedAt?:string }} input
+ */
+export function parseGlossaryValues({ sheetName = DEFAULT_SHEET_NAME, range = "", header, rows, loadedAt = nowIso() }) {
+  header = Array.isArray(header) ? header : [];
+  rows = Array.isArray(rows) ? rows : [];
 
   if (!header.length) {
     return {
@@ -37,6 +62,10 @@ export async function loadGlossaryAll(opts = {}) {
   const idxKey = norm.indexOf("key") >= 0 ? norm.indexOf("key") : norm.indexOf("id");
   const idxCategory =
     norm.indexOf("분류") >= 0 ? norm.indexOf("분류") : norm.indexOf("category");
+  const idxMatchType = norm.indexOf("match_type");
+  const idxPriority = firstIndexOf(norm, ["priority", "우선순위"]);
+  const idxUpdatedAt = firstIndexOf(norm, UPDATED_AT_HEADERS);
+  const idxNote = firstIndexOf(norm, NOTE_HEADERS);
 
   // non-language headers
   const excluded = new Set([
@@ -47,14 +76,13 @@ export async function loadGlossaryAll(opts = {}) {
     "term",
     "len",
     "length",
-    "note",
-    "notes",
-    "번역메모",
+    ...NOTE_HEADERS,
     "클리펀트",
     "우선순위",
     "priority",
     "src_lang",
     "match_type",
+    ...UPDATED_AT_HEADERS,
   ]);
 
   // language columns
@@ -89,11 +117,26 @@ export async function loadGlossaryAll(opts = {}) {
       if (v) translations[lang] = v;
     }
 
+    const matchType = idxMatchType >= 0 ? String(r[idxMatchType] ?? "").trim() : "";
+
+    const priorityRaw = idxPriority >= 0 ? String(r[idxPriority] ?? "").trim() : "";
+    const priority = priorityRaw && Number.isFinite(Number(priorityRaw)) ? Number(priorityRaw) : undefined;
+
+    const updatedAt = idxUpdatedAt >= 0 ? String(r[idxUpdatedAt] ?? "").trim() : "";
+    const updatedAtMs = updatedAt ? Date.parse(updatedAt) : NaN;
+
+    const note = idxNote >= 0 ? String(r[idxNote] ?? "").trim() : "";
+
     return {
       _rowIndex: rowIndex,
       key,
       category,
       translations,
+      ...(matchType ? { matchType } : {}),
+      ...(priority !== undefined ? { priority } : {}),
+      ...(updatedAt ? { updatedAt } : {}),
+      ...(Number.isFinite(updatedAtMs) ? { updatedAtMs } : {}),
+      ...(note ? { note } : {}),
     };
   });
 
@@ -106,6 +149,13 @@ export async function loadGlossaryAll(opts = {}) {
     entries,
     rawRowCount: rows.length,
     langIndex,
-    idx: { key: idxKey, category: idxCategory },
+    idx: {
+      key: idxKey,
+      category: idxCategory,
+      matchType: idxMatchType,
+      priority: idxPriority,
+      updatedAt: idxUpdatedAt,
+      note: idxNote,
+    },
   };
 }
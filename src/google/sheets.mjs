@@ -1,6 +1,7 @@
 // src/google/sheets.mjs
 // - Google Sheets API client (Read/Write)
 // - readSheetRange(range): values.get
+// - readValuesA1(ranges): values.batchGet (cell snapshots, e.g. before/after writes)
 // - batchUpdateValuesA1(updates): values.batchUpdate
 
 import { google } from "googleapis";
@@ -53,6 +54,26 @@ export async function readSheetRange(range) {
   return { header, rows };
 }
 
+/**
+ * Read several A1 ranges at once.
+ * @param {string[]} ranges
+ * @returns {Promise<Array<{ range:string, values:Array<Array<any>> }>>} same order as `ranges`
+ */
+export async function readValuesA1(ranges) {
+  const sheets = getSheetsClient();
+
+  const list = Array.isArray(ranges) ? ranges : [];
+  if (!list.length) return [];
+
+  const res = await sheets.spreadsheets.values.batchGet({
+    spreadsheetId: SPREADSHEET_ID,
+    ranges: list,
+  });
+
+  const valueRanges = res.data.valueRanges || [];
+  return list.map((range, i) => ({ range, values: valueRanges[i]?.values || [] }));
+}
+
 // ---------------- Write ----------------
 export async function batchUpdateValuesA1(updates) {
   const sheets = getSheetsClient();
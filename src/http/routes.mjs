@@ -1,31 +1,55 @@
 // src/http/routes.mjs
 // FINAL: Server-side QA engine (Full preserved version)
 // - QA sheet and Glossary sheet separated
-// - Anchor reverse validation
+// - Anchor reverse validation («T:...» anchors, see src/replace/mask.mjs)
 // - finalize includes sourceText (Apply compatible)
 // - All original routes preserved
+// - /v1/glossary/update, /v1/glossary/qa/next, /v1/glossary/apply (/run-apply alias)
+// - GET /v1/glossary/conflicts : duplicate source terms with differing translations
+// - GET /v1/glossary/lint : glossary health report (src/glossary/lint.mjs)
+// - POST /v1/rules/test : run texts through the Rules sheet (src/rules/engine.mjs), with explanation
+// - GET /v1/rules/validate : per-row Rules sheet problems (src/rules/validate.mjs), read fresh from the sheet
+// - apply writes are journaled in the batch store (batchId a_*) → POST /v2/batch/:id/rollback
 
 import {
   normalizeLang,
   getParsedBody,
-  escapeRegExp,
+  nowIso,
 } from "../utils/common.mjs";
 
 import {
   ensureGlossaryLoaded,
+  ensureRulesLoaded,
 } from "../cache/global.mjs";
 
 import {
   mergeSourceTextMapsFromCache,
 } from "../glossary/index.mjs";
 
+import {
+  resolveConflictPolicy,
+  findTranslationConflicts,
+} from "../glossary/conflicts.mjs";
+
+import { lintGlossary, filterBySeverity } from "../glossary/lint.mjs";
+import { applyRules, selectRules } from "../rules/engine.mjs";
+import { loadRulesAll, resolveRulesSheet } from "../rules/load.mjs";
+import { validateRules } from "../rules/validate.mjs";
+
 import {
   colIndexToA1,
-  batchUpdateValuesA1,
 } from "../google/sheets.mjs";
 
+import { getBatchStore, newBatchId } from "../store/batchStore.mjs";
+import { anchorText, createMaskSet, findAnchors, findMaskTokens, unmaskText } from "../replace/mask.mjs";
+import { writeWithJournal } from "../store/writeJournal.mjs";
+
 import {
   GlossaryQaNextSchema,
+  GlossaryConflictsQuerySchema,
+  GlossaryLintQuerySchema,
+  RulesTestSchema,
+  RulesValidateQuerySchema,
   ApplySchema,
   UpdateSchema,
 } from "./schemas.mjs";
@@ -72,8 +96,13 @@ function strip(s) {
 
 /* ---------------- Apply Logic ---------------- */
 
-async function handleApply(req, res) {
-  const body = normalizeBody(getParsedBody(req));
+/**
+ * Apply finalized translations to the sheet.
+ * - Shared by HTTP (/run-apply) and MCP (glossary_apply)
+ * @returns {Promise<object>} response payload
+ */
+export async function runApply(rawBody) {
+  const body = normalizeBody(rawBody);
   const v = ApplySchema.parse(body);
 
   const sheet = pickSheet(v);
@@ -126,182 +155,523 @@ async function handleApply(req, res) {
     });
   }
 
-  const writeRes = await batchUpdateValuesA1(updates);
+  const { writeRes, journal } = await writeWithJournal(updates);
   await ensureGlossaryLoaded({ sheetName: sheet, forceReload: true });
 
-  toJson(res, 200, {
+  // journal for rollback (only when something was written)
+  let batchId = null;
+  if (journal.length) {
+    const store = await getBatchStore();
+    await store.prune();
+
+    batchId = newBatchId("a");
+    const at = nowIso();
+    await store.saveBatch({
+      batchId,
+      createdAt: Date.now(),
+      sheet,
+      kind: "apply",
+      request: { sheet, category: v.category, sourceLang: v.sourceLang, entries: v.entries.length },
+      summary: { ok: true, batchId, sheet, plannedUpdates: updates.length, updatedCells: writeRes.updatedCells, finishedAt: at },
+      status: { state: "succeeded", phase: "done", startedAt: at, updatedAt: at, finishedAt: at },
+      anomalies: [],
+      results,
+      writes: journal,
+    });
+  }
+
+  return {
     ok: true,
     sheet,
+    batchId,
     plannedUpdates: updates.length,
     updatedCells: writeRes.updatedCells,
     updatedRanges: writeRes.updatedRanges,
     results,
-  });
+    rollback: batchId ? { endpoint: `/v2/batch/${batchId}/rollback` } : undefined,
+  };
 }
 
-/* ---------------- Routes ---------------- */
+/* ---------------- Update (cache reload) ---------------- */
 
-export function registerRoutes(app) {
+/**
+ * Reload glossary cache for one sheet.
+ * @returns {Promise<object>} response payload
+ */
+export async function runGlossaryUpdate(rawBody) {
+  const body = normalizeBody(rawBody);
+  const v = UpdateSchema.parse(body);
 
-  app.get("/health", (_req, res) => {
-    toJson(res, 200, { ok: true });
+  const sheet = pickSheet(v);
+  const cache = await ensureGlossaryLoaded({ sheetName: sheet, forceReload: true });
+
+  return {
+    ok: true,
+    sheet: cache.sheetName,
+    glossaryLoadedAt: cache.loadedAt,
+    rawRowCount: cache.rawRowCount,
+    categoriesCount: cache.byCategoryBySource.size,
+    langs: Object.keys(cache.langIndex),
+  };
+}
+
+/* ---------------- QA Next (missing target rows) ---------------- */
+
+/**
+ * Cursor-paged list of rows whose targetLang cell is empty.
+ * - cursor: 0-based rawRows index (string), cursorNext=null when exhausted
+ * - items are Apply compatible (rowIndex + sourceText)
+ * @returns {Promise<object>} response payload
+ */
+export async function runQaNext(rawBody) {
+  const body = normalizeBody(rawBody);
+  const v = GlossaryQaNextSchema.parse(body);
+
+  const sheet = pickSheet(v);
+  const cache = await ensureGlossaryLoaded({ sheetName: sheet, forceReload: v.forceReload });
+
+  const sourceLangKey = normalizeLang(v.sourceLang);
+  const targetLangKey = normalizeLang(v.targetLang);
+  const category = String(v.category ?? "").trim().toLowerCase();
+
+  const srcCol = cache.langIndex[sourceLangKey];
+  const tgtCol = cache.langIndex[targetLangKey];
+  if (srcCol == null) throw httpError(400, `Missing sourceLang column: ${sourceLangKey}`, { sheet });
+  if (tgtCol == null) throw httpError(400, `Missing targetLang column: ${targetLangKey}`, { sheet });
+
+  if (category && !cache.byCategoryBySource.has(category)) {
+    throw httpError(400, `Category not found: ${category}`, { sheet });
+  }
+
+  const cursor = v.cursor == null ? 0 : Number(v.cursor);
+  if (!Number.isInteger(cursor) || cursor < 0) throw httpError(400, "cursor must be a non-negative integer string");
+
+  const rawRows = cache.rawRows;
+  const items = [];
+  let nextCursor = rawRows.length;
+
+  for (let i = cursor; i < rawRows.length; i++) {
+    const row = rawRows[i] || [];
+    const entry = cache.entries[i];
+
+    if (category && String(entry?.category ?? "").trim().toLowerCase() !== category) continue;
+
+    const sourceText = strip(row[srcCol]);
+    if (!sourceText) continue;
+    if (strip(row[tgtCol])) continue;
+
+    items.push({
+      rowIndex: i + 2,
+      key: entry?.key ?? "",
+      category: entry?.category ?? "",
+      sourceText,
+    });
+
+    if (items.length >= v.limit) {
+      nextCursor = i + 1;
+      break;
+    }
+  }
+
+  return {
+    ok: true,
+    sheet,
+    category: category || "ALL",
+    sourceLang: v.sourceLang,
+    targetLang: v.targetLang,
+    glossaryLoadedAt: cache.loadedAt,
+    count: items.length,
+    cursorNext: nextCursor < rawRows.length ? String(nextCursor) : null,
+    items,
+  };
+}
+
+/* ---------------- Conflicts report ---------------- */
+
+/**
+ * Duplicate source terms whose entries translate differently into targetLang.
+ * - winner = what replace/batch will use under `policy`
+ * @returns {Promise<object>} response payload
+ */
+export async function runGlossaryConflicts(rawQuery) {
+  const v = GlossaryConflictsQuerySchema.parse(rawQuery ?? {});
+
+  const sheet = pickSheet(v);
+  const cache = await ensureGlossaryLoaded({ sheetName: sheet, forceReload: v.forceReload });
+
+  const sourceLangKey = normalizeLang(v.sourceLang);
+  const targetLangKey = normalizeLang(v.targetLang);
+  if (cache.langIndex[sourceLangKey] == null) throw httpError(400, `Missing sourceLang column: ${v.sourceLang}`);
+  if (cache.langIndex[targetLangKey] == null) throw httpError(400, `Missing targetLang column: ${v.targetLang}`);
+
+  const category = String(v.category ?? "").trim().toLowerCase();
+  if (category && !cache.byCategoryBySource.has(category)) {
+    throw httpError(400, `Category not found: ${category}`, { sheet });
+  }
+  const categories = category ? [category] : Array.from(cache.byCategoryBySource.keys());
+
+  const policy = resolveConflictPolicy(v.policy);
+  const sourceTextMap = mergeSourceTextMapsFromCache(cache, sourceLangKey, categories);
+  const conflicts = findTranslationConflicts(sourceTextMap, targetLangKey, policy);
+
+  return {
+    ok: true,
+    sheet: cache.sheetName,
+    category: category || "ALL",
+    sourceLang: v.sourceLang,
+    targetLang: v.targetLang,
+    policy: policy.length ? policy : ["first"],
+    glossaryLoadedAt: cache.loadedAt,
+    total: conflicts.length,
+    offset: v.offset,
+    limit: v.limit,
+    items: conflicts.slice(v.offset, v.offset + v.limit),
+  };
+}
+
+/**
+ * Glossary lint report over the loaded cache.
+ * - Shared by HTTP (GET /v1/glossary/lint) and MCP (glossary_lint)
+ */
+export async function runGlossaryLint(rawQuery) {
+  const v = GlossaryLintQuerySchema.parse(rawQuery ?? {});
+
+  const sheet = pickSheet(v);
+  const cache = await ensureGlossaryLoaded({ sheetName: sheet, forceReload: v.forceReload });
+
+  const rules = String(v.rules ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const { findings, summary } = lintGlossary(cache, { rules });
+  const filtered = filterBySeverity(findings, v.severity);
+
+  return {
+    ok: true,
+    sheet: cache.sheetName,
+    glossaryLoadedAt: cache.loadedAt,
+    rawRowCount: cache.rawRowCount,
+    summary,
+    severity: v.severity,
+    total: filtered.length,
+    offset: v.offset,
+    limit: v.limit,
+    items: filtered.slice(v.offset, v.offset + v.limit),
+  };
+}
+
+/* ---------------- Rules ---------------- */
+
+/**
+ * Test texts against the Rules sheet (same engine as /v2/batch/run, no glossary / LLM).
+ * - Shared by HTTP (POST /v1/rules/test) and MCP (rules_test)
+ */
+export async function runRulesTest(rawBody) {
+  const v = RulesTestSchema.parse(rawBody ?? {});
+
+  const rulesCache = await ensureRulesLoaded({
+    sheetName: resolveRulesSheet({ rulesSheet: v.rulesSheet, glossarySheet: v.glossarySheet }),
+    forceReload: v.forceReload,
   });
+  const targetLangKey = normalizeLang(v.targetLang);
+  if (rulesCache.langIndex?.[targetLangKey] == null) {
+    throw httpError(400, `Missing targetLang column in Rules sheet '${rulesCache.sheetName}': ${v.targetLang}`);
+  }
 
-  /* =========================================================
-     🔥 FULL QA ENGINE (FIXED + APPLY COMPATIBLE)
-  ========================================================= */
+  const category = String(v.category ?? "").trim().toLowerCase();
+  const texts = v.texts ?? [v.text];
+
+  const items = texts.map((text) => {
+    const masks = createMaskSet();
+    const r = applyRules({ text, categoryKey: category, targetLangKey, rulesCache, masks, dryRun: v.dryRun });
+    return {
+      text,
+      // «T:...» = fixed by a rule; the rest still goes to the LLM
+      output: unmaskText(r.out, masks.list(), { style: "anchor" }).out,
+      forTranslation: r.out,
+      hits: r.hits,
+      matched: r.matched,
+      ...(v.dryRun ? { explain: r.explain } : {}),
+    };
+  });
 
-  app.post("/v1/qa/run", async (req, res) => {
-    try {
-      const body = getParsedBody(req) || {};
+  return {
+    ok: true,
+    rulesSheet: rulesCache.sheetName,
+    rulesLoadedAt: rulesCache.loadedAt,
+    category: category || "ALL",
+    targetLang: v.targetLang,
+    rulesConsidered: selectRules(rulesCache.entries, category).length,
+    rulesTotal: rulesCache.entries.length,
+    items,
+  };
+}
 
-      const qaSheet = String(body.sheet ?? "").trim();
-      const sourceLangKey = normalizeLang(body.sourceLang);
-      const targetLangKey = normalizeLang(body.targetLang);
-      const limit = Number(body.limit ?? 50);
-      const cursor = Number(body.cursor ?? 0);
+/**
+ * Validate the Rules sheet (always read fresh, header problems do not throw).
+ * - Shared by HTTP (GET /v1/rules/validate) and MCP (rules_validate)
+ */
+export async function runRulesValidate(rawQuery) {
+  const v = RulesValidateQuerySchema.parse(rawQuery ?? {});
+
+  const glossarySheet = String(v.glossarySheet ?? "").trim() || "Glossary";
+  const glossary = await ensureGlossaryLoaded({ sheetName: glossarySheet });
+  const rules = await loadRulesAll({
+    sheetName: resolveRulesSheet({ rulesSheet: v.rulesSheet, glossarySheet }),
+    strict: false,
+  });
 
-      if (!qaSheet) throw httpError(400, "sheet is required.");
-      if (!sourceLangKey) throw httpError(400, "sourceLang is required.");
-      if (!targetLangKey) throw httpError(400, "targetLang is required.");
+  const { findings, summary } = validateRules(rules, {
+    glossaryCategories: glossary.byCategoryBySource.keys(),
+  });
 
-      const qaCache = await ensureGlossaryLoaded({ sheetName: qaSheet });
-      const glossaryCache = await ensureGlossaryLoaded({ sheetName: "Glossary" });
+  return {
+    ok: true,
+    valid: summary.errors === 0,
+    rulesSheet: rules.sheetName,
+    rulesReadAt: rules.loadedAt,
+    rawRowCount: rules.rawRowCount,
+    glossarySheet: glossary.sheetName,
+    summary,
+    total: findings.length,
+    offset: v.offset,
+    limit: v.limit,
+    items: findings.slice(v.offset, v.offset + v.limit),
+  };
+}
 
-      const qaSrcCol = qaCache.langIndex[sourceLangKey];
-      const qaTgtCol = qaCache.langIndex[targetLangKey];
+/* ---------------- QA Logic ---------------- */
 
-      if (qaSrcCol == null) throw httpError(400, "Missing sourceLang column in QA sheet");
-      if (qaTgtCol == null) throw httpError(400, "Missing targetLang column in QA sheet");
+/**
+ * Anchor reverse validation over a QA sheet.
+ * - Shared by HTTP (/v1/qa/run) and MCP (qa_run)
+ * @returns {Promise<object>} response payload
+ */
+export async function runQa(rawBody) {
+  const body = rawBody && typeof rawBody === "object" ? rawBody : {};
 
-      /* ---------- QA 대상 수집 ---------- */
+  const qaSheet = String(body.sheet ?? "").trim();
+  const sourceLangKey = normalizeLang(body.sourceLang);
+  const targetLangKey = normalizeLang(body.targetLang);
+  const limit = Number(body.limit ?? 50);
+  const cursor = Number(body.cursor ?? 0);
 
-      const items = [];
-      let nextCursor = cursor;
+  if (!qaSheet) throw httpError(400, "sheet is required.");
+  if (!sourceLangKey) throw httpError(400, "sourceLang is required.");
+  if (!targetLangKey) throw httpError(400, "targetLang is required.");
 
-      for (let i = cursor; i < qaCache.entries.length; i++) {
-        const row = qaCache.rawRows[i] || [];
-        const rowIndex = i + 2;
+  const qaCache = await ensureGlossaryLoaded({ sheetName: qaSheet });
+  const glossaryCache = await ensureGlossaryLoaded({ sheetName: "Glossary" });
 
-        const sourceText = strip(row[qaSrcCol]);
-        const targetText = strip(row[qaTgtCol]);
+  const qaSrcCol = qaCache.langIndex[sourceLangKey];
+  const qaTgtCol = qaCache.langIndex[targetLangKey];
 
-        if (!sourceText || !targetText) continue;
+  if (qaSrcCol == null) throw httpError(400, "Missing sourceLang column in QA sheet");
+  if (qaTgtCol == null) throw httpError(400, "Missing targetLang column in QA sheet");
 
-        items.push({ rowIndex, sourceText, targetText });
+  /* ---------- QA 대상 수집 ---------- */
 
-        if (items.length >= limit) {
-          nextCursor = i + 1;
-          break;
-        }
-      }
+  const items = [];
+  let nextCursor = cursor;
+
+  for (let i = cursor; i < qaCache.entries.length; i++) {
+    const row = qaCache.rawRows[i] || [];
+    const rowIndex = i + 2;
+
+    const sourceText = strip(row[qaSrcCol]);
+    const targetText = strip(row[qaTgtCol]);
+
+    if (!sourceText || !targetText) continue;
+
+    items.push({ rowIndex, sourceText, targetText });
 
-      /* ---------- Glossary reverseMap 생성 ---------- */
+    if (items.length >= limit) {
+      nextCursor = i + 1;
+      break;
+    }
+  }
+
+  /* ---------- Glossary reverseMap 생성 ---------- */
 
-      const categories = Array.from(glossaryCache.byCategoryBySource.keys());
-      const sourceTextMap = mergeSourceTextMapsFromCache(
-        glossaryCache,
-        glossaryCache.langIndex[sourceLangKey] != null ? sourceLangKey : "ko-kr",
-        categories
-      );
+  const categories = Array.from(glossaryCache.byCategoryBySource.keys());
+  const sourceTextMap = mergeSourceTextMapsFromCache(
+    glossaryCache,
+    glossaryCache.langIndex[sourceLangKey] != null ? sourceLangKey : "ko-kr",
+    categories
+  );
 
-      const reverseMap = Object.create(null);
+  const reverseMap = Object.create(null);
 
-      for (const entries of sourceTextMap.values()) {
-        for (const e of entries || []) {
-          const translations = e?.translations || {};
-          const correct = strip(translations[targetLangKey] ?? "");
-          if (!correct) continue;
+  for (const entries of sourceTextMap.values()) {
+    for (const e of entries || []) {
+      const translations = e?.translations || {};
+      const correct = strip(translations[targetLangKey] ?? "");
+      if (!correct) continue;
 
-          for (const [langKeyRaw, valRaw] of Object.entries(translations)) {
-            const langKey = normalizeLang(langKeyRaw);
-            const val = strip(valRaw);
-            if (!val) continue;
+      for (const [langKeyRaw, valRaw] of Object.entries(translations)) {
+        const langKey = normalizeLang(langKeyRaw);
+        const val = strip(valRaw);
+        if (!val) continue;
 
-            if (!reverseMap[val]) {
-              reverseMap[val] = { correct, lang: langKey };
-            }
-          }
+        if (!reverseMap[val]) {
+          reverseMap[val] = { correct, lang: langKey };
         }
       }
+    }
+  }
 
-      /* ---------- Anchor 강제 검증 ---------- */
+  /* ---------- Anchor 강제 검증 ---------- */
 
-      const finalize = [];
-      const maskSummary = [];
-      const anchorRegex = /«T:([^»]+)»/g;
+  const finalize = [];
+  const maskSummary = [];
+  const maskIssues = [];
 
-      for (const item of items) {
-        let modified = item.targetText;
-        const applied = [];
+  for (const item of items) {
+    let modified = item.targetText;
+    const applied = [];
 
-        const matches = [...modified.matchAll(anchorRegex)];
-        if (!matches.length) continue;
+    // {mask:N} tokens must never reach the sheet (translation was not unmasked)
+    const leftover = findMaskTokens(modified);
+    if (leftover.length) maskIssues.push({ rowIndex: item.rowIndex, type: "mask_leftover", tokens: leftover });
 
-        let rebuilt = "";
-        let lastIndex = 0;
+    const matches = findAnchors(modified);
+    if (!matches.length) continue;
 
-        for (const m of matches) {
-          const full = m[0];
-          const inner = strip(m[1]);
-          const idx = Number(m.index ?? 0);
+    let rebuilt = "";
+    let lastIndex = 0;
 
-          rebuilt += modified.slice(lastIndex, idx);
+    for (const m of matches) {
+      const full = m.full;
+      const inner = strip(m.inner);
+      const idx = m.index;
 
-          const info = reverseMap[inner];
+      rebuilt += modified.slice(lastIndex, idx);
 
-          if (info && info.lang !== targetLangKey) {
-            rebuilt += `«T:${info.correct}»`;
-            applied.push({
-              source: `${inner} (${info.lang})`,
-              target: info.correct,
-            });
-          } else {
-            rebuilt += full;
-          }
+      const info = reverseMap[inner];
 
-          lastIndex = idx + full.length;
-        }
+      if (info && info.lang !== targetLangKey) {
+        rebuilt += anchorText(info.correct);
+        applied.push({
+          source: `${inner} (${info.lang})`,
+          target: info.correct,
+        });
+      } else {
+        rebuilt += full;
+      }
 
-        rebuilt += modified.slice(lastIndex);
+      lastIndex = idx + full.length;
+    }
 
-        if (applied.length) {
-          maskSummary.push({
-            rowIndex: item.rowIndex,
-            applied,
-          });
-        }
+    rebuilt += modified.slice(lastIndex);
 
-        if (rebuilt !== item.targetText) {
-          finalize.push({
-            rowIndex: item.rowIndex,
-            sourceText: item.sourceText,   // 🔥 Apply 호환 핵심
-            translation: rebuilt,
-          });
-        }
-      }
+    if (applied.length) {
+      maskSummary.push({
+        rowIndex: item.rowIndex,
+        applied,
+      });
+    }
 
-      toJson(res, 200, {
-        ok: true,
-        cursorNext: nextCursor < qaCache.entries.length ? String(nextCursor) : null,
-        hasFix: finalize.length > 0,
-        maskSummary,
-        finalize,
+    if (rebuilt !== item.targetText) {
+      finalize.push({
+        rowIndex: item.rowIndex,
+        sourceText: item.sourceText,   // 🔥 Apply 호환 핵심
+        translation: rebuilt,
       });
+    }
+  }
+
+  return {
+    ok: true,
+    cursorNext: nextCursor < qaCache.entries.length ? String(nextCursor) : null,
+    hasFix: finalize.length > 0,
+    maskSummary,
+    maskIssues,
+    finalize,
+  };
+}
+
+/* ---------------- Routes ---------------- */
+
+export function registerRoutes(app) {
 
+  app.get("/health", (_req, res) => {
+    toJson(res, 200, { ok: true });
+  });
+
+  /* ---------- Glossary ---------- */
+
+  app.post("/v1/glossary/update", async (req, res) => {
+    try {
+      toJson(res, 200, await runGlossaryUpdate(getParsedBody(req)));
     } catch (e) {
       handleErr(res, e);
     }
   });
 
-  /* ---------- Apply ---------- */
+  app.get("/v1/glossary/conflicts", async (req, res) => {
+    try {
+      toJson(res, 200, await runGlossaryConflicts(req.query));
+    } catch (e) {
+      handleErr(res, e);
+    }
+  });
+
+  app.get("/v1/glossary/lint", async (req, res) => {
+    try {
+      toJson(res, 200, await runGlossaryLint(req.query));
+    } catch (e) {
+      handleErr(res, e);
+    }
+  });
+
+  app.post("/v1/rules/test", async (req, res) => {
+    try {
+      toJson(res, 200, await runRulesTest(getParsedBody(req)));
+    } catch (e) {
+      handleErr(res, e);
+    }
+  });
+
+  app.get("/v1/rules/validate", async (req, res) => {
+    try {
+      toJson(res, 200, await runRulesValidate(req.query));
+    } catch (e) {
+      handleErr(res, e);
+    }
+  });
 
-  app.post("/run-apply", async (req, res) => {
+  app.post("/v1/glossary/qa/next", async (req, res) => {
     try {
-      await handleApply(req, res);
+      toJson(res, 200, await runQaNext(getParsedBody(req)));
     } catch (e) {
       handleErr(res, e);
     }
   });
 
+  /* =========================================================
+     🔥 FULL QA ENGINE (FIXED + APPLY COMPATIBLE)
+  ========================================================= */
+
+  app.post("/v1/qa/run", async (req, res) => {
+    try {
+      toJson(res, 200, await runQa(getParsedBody(req)));
+    } catch (e) {
+      handleErr(res, e);
+    }
+  });
+
+  /* ---------- Apply ---------- */
+
+  const applyHandler = async (req, res) => {
+    try {
+      toJson(res, 200, await runApply(getParsedBody(req)));
+    } catch (e) {
+      handleErr(res, e);
+    }
+  };
+
+  app.post("/v1/glossary/apply", applyHandler); // canonical
+  app.post("/run-apply", applyHandler);         // alias (legacy)
+
 }
@@ -1,53 +1,94 @@
 /**
  * src/http/routesV2.mjs (PATCHED)
  * - /v2/batch/run : pending -> glossary replace -> rules replace -> LLM translate -> (optional) upload
- * - Stores per-row results in _batchStore
+ * - Stores per-row results in the batch store (src/store/batchStore.mjs: memory | file | sqlite)
  * - ✅ NEW: GET /v2/batch/:id/results (paged) to fetch translated result list on demand
  * - ✅ Existing: GET /v2/batch/:id/anomalies (paged)
+ * - POST /v2/candidates/batch : official name candidates (pluggable sources: Divine Pride, sheets, ...)
+ * - GET  /v2/candidates/cache, POST /v2/candidates/cache/invalidate : Divine Pride lookup cache
+ *
+ * - glossary/rule hits are masked as {mask:N} before translation and restored after
+ *   (src/replace/mask.mjs); lost/duplicated tokens are reported as anomalies
+ * - rules: src/rules/engine.mjs (targets are templates: "{N}초 후" → "after {N} seconds")
+ *   - rule set per request: rulesSheet > RULES_SHEET_MAP[sheet] > RULE_SHEET_NAME
+ * - LLM wire protocol per batch (`protocol`: records | json, default TRANSLATE_PROTOCOL env):
+ *   rows the model output could not be read for are reported as `parse_error` anomalies
+ *   and never uploaded (meta.uploadSkipped = "parse_error"), whatever the protocol;
+ *   an LLM call that failed outright reports its rows with reason "request_failed" (+ meta.error)
+ * - prompt carries per-row glossary terms (+ note/번역메모) and matched rules; intro template per
+ *   target language / category (TRANSLATE_PROMPT_TEMPLATES, src/translate/prompt.mjs)
+ * - translation memory (src/tm/memory.mjs, request `tm`): sheets + rows earlier batches uploaded (not rolled back)
+ *   - exact source match → filled without the LLM; fuzzy → prefilled (`tm_fuzzy_prefill` anomaly) or prompt hint
+ *   - summary.meta.tm: hit counts / rates
+ * - rows the LLM output missed are retried on their own (src/translate/openaiTranslate.mjs);
+ *   results[].meta.attempts = LLM requests the row was sent in
+ * - upload re-reads the planned source/target cells right before writing;
+ *   rows edited since planning are skipped and reported as `conflict` anomalies
+ * - POST /v2/batch/:id/rollback : restore cells overwritten by an upload (batch) or apply (a_*)
+ *   - cells edited since the write are reported as conflicts and left as-is (force:true overrides)
+ *   - possible for BATCH_JOURNAL_RETENTION_MS (default 24h) after the batch; later → 404 (journal expired)
+ *
+ * - async:true → returns batchId immediately, job runs in the in-process worker queue
+ *   - GET /v2/batch/:id/status (phase, chunk progress, ETA, partial counts)
+ *   - POST /v2/batch/:id/cancel (stops after the current chunk; nothing is uploaded)
  *
  * Notes:
  * - Results are NOT returned in /v2/batch/run to avoid 413 ResponseTooLarge.
  * - Fetch them via /v2/batch/:id/results?offset=&limit=
  */
 
-import { getParsedBody, normalizeLang, nowIso, escapeRegExp } from "../utils/common.mjs";
-import { ensureGlossaryLoaded, ensureRulesLoaded, getReplacePlanFromCache } from "../cache/global.mjs";
+import { getParsedBody, normalizeLang, nowIso } from "../utils/common.mjs";
+import {
+  ensureGlossaryLoaded,
+  ensureRulesLoaded,
+  getReplacePlanFromCache,
+  listLoadedGlossaries,
+} from "../cache/global.mjs";
 import { mergeSourceTextMapsFromCache } from "../glossary/index.mjs";
 import { replaceByGlossaryWithLogs } from "../replace/replace.mjs";
-import { colIndexToA1, batchUpdateValuesA1 } from "../google/sheets.mjs";
+import { createMaskSet, unmaskText } from "../replace/mask.mjs";
+import { applyRules } from "../rules/engine.mjs";
+import { resolveRulesSheet } from "../rules/load.mjs";
+import { colIndexToA1 } from "../google/sheets.mjs";
 import { translateItemsWithGpt41 } from "../translate/openaiTranslate.mjs";
-import { BatchRunSchema, BatchAnomaliesQuerySchema } from "./schemas.mjs";
-
-// -------- batch store + ttl gate store --------
-const _batchStore = new Map(); // batchId -> { createdAt, request, summary, anomalies, results }
-const _BATCH_TTL_MS = Number(process.env.BATCH_TTL_MS ?? 60 * 60 * 1000);
-const _recentAppliedBySheet = new Map(); // sheetKey -> Map(rowIndex -> lastAppliedMs)
+import { resolveLlm } from "../translate/providers.mjs";
+import { getTranslateProtocol } from "../translate/protocol.mjs";
+import { buildRowHints } from "../translate/prompt.mjs";
+import { buildTranslationMemory, resolveTmOptions } from "../tm/memory.mjs";
+import { runCandidatesBatch } from "../candidates/batch.mjs";
+import { getBatchStore, newBatchId } from "../store/batchStore.mjs";
+import { writeWithJournal, rollbackJournal, readCellTexts } from "../store/writeJournal.mjs";
+import { createJobQueue } from "../jobs/queue.mjs";
+import { invalidateDivinePrideCache, getDivinePrideCacheStats } from "../cache/divinePrideCache.mjs";
+import {
+  BatchRunSchema,
+  BatchAnomaliesQuerySchema,
+  BatchRollbackSchema,
+  CandidatesBatchSchema,
+  CandidatesCacheInvalidateSchema,
+} from "./schemas.mjs";
+
+// -------- batch store + ttl gate store: see src/store/batchStore.mjs --------
+
+// -------- async batch jobs --------
+const _batchQueue = createJobQueue({
+  name: "batch",
+  concurrency: Number(process.env.BATCH_WORKER_CONCURRENCY ?? 1),
+});
+const _jobs = new Map(); // batchId -> { cancelRequested, status } (jobs running/queued on this instance)
+
+const TERMINAL_STATES = new Set(["succeeded", "failed", "cancelled"]);
 
 function _nowMs() {
   return Date.now();
 }
 function _newBatchId() {
-  return `b_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
-}
-
-function _pruneBatches() {
-  const now = _nowMs();
-  for (const [id, v] of _batchStore.entries()) {
-    if (!v?.createdAt || now - v.createdAt > _BATCH_TTL_MS) _batchStore.delete(id);
-  }
+  return newBatchId("b");
 }
 
 function _sheetKey(sheet) {
   return String(sheet ?? "Glossary").trim().toLowerCase();
 }
-function _getRecentMap(sheet) {
-  const k = _sheetKey(sheet);
-  const hit = _recentAppliedBySheet.get(k);
-  if (hit) return hit;
-  const m = new Map();
-  _recentAppliedBySheet.set(k, m);
-  return m;
-}
 
 function httpError(status, message, extra) {
   const err = new Error(message);
@@ -99,83 +140,6 @@ function isEffectivelyEmpty(v) {
   return false;
 }
 
-// -------- rules engine (category selectable) --------
-function tokenizePatternToRegex(pattern) {
-  const escaped = escapeRegExp(pattern);
-  return escaped
-    .replace(/\\\{N\\\}/g, "(\\d+)")
-    .replace(/\\\{X\\\}/g, "(\\d+)")
-    .replace(/\\\{T\\\}/g, "(\\d+)")
-    .replace(/\\\{V\\\}/g, "([^\\r\\n]+)");
-}
-function compileRuleRegex(entry) {
-  const ko = String(entry?.translations?.["ko-kr"] ?? "").trim();
-  if (!ko) return null;
-  const mt = String(entry?.matchType ?? "").trim().toLowerCase();
-  try {
-    if (!mt || mt === "exact") return new RegExp(`^${escapeRegExp(ko)}$`, "m");
-    if (mt === "contains") return new RegExp(escapeRegExp(ko), "m");
-    if (mt === "word") return new RegExp(`\\b${escapeRegExp(ko)}\\b`, "m");
-    if (mt === "regex") return new RegExp(ko, "m");
-    if (mt === "pattern") return new RegExp(tokenizePatternToRegex(ko), "m");
-  } catch {
-    return null;
-  }
-  return null;
-}
-function getRulesForRowCategory(rulesCache, rowCategoryKey) {
-  const all = Array.isArray(rulesCache?.entries) ? rulesCache.entries : [];
-  if (!all.length) return [];
-  const cat = String(rowCategoryKey ?? "").trim().toLowerCase();
-  const picked = all.filter((e) => {
-    const c = String(e?.category ?? "").trim().toLowerCase();
-    const ko = String(e?.translations?.["ko-kr"] ?? "").trim();
-    if (!ko) return false;
-    if (!c) return true; // ALL
-    return c === cat;
-  });
-  picked.sort((a, b) => {
-    const pa = Number(a?.priority ?? 0);
-    const pb = Number(b?.priority ?? 0);
-    if (pb !== pa) return pb - pa;
-    return Number(a?._rowIndex ?? 0) - Number(b?._rowIndex ?? 0);
-  });
-  return picked;
-}
-function applyRulesToText({ text, rowCategoryKey, targetLangKey, rulesCache }) {
-  let out = String(text ?? "");
-  if (!out) return { out, hits: 0, matched: [] };
-  const rules = getRulesForRowCategory(rulesCache, rowCategoryKey);
-  if (!rules.length) return { out, hits: 0, matched: [] };
-  const tlk = String(targetLangKey ?? "").trim().toLowerCase();
-  let hits = 0;
-  const matched = [];
-  for (const r of rules) {
-    const to = String(r?.translations?.[tlk] ?? "").trim();
-    if (!to) continue;
-    const re = r?._compiledRe instanceof RegExp ? r._compiledRe : compileRuleRegex(r);
-    if (!(re instanceof RegExp)) continue;
-    if (!re.test(out)) {
-      re.lastIndex = 0;
-      continue;
-    }
-    re.lastIndex = 0;
-    const before = out;
-    out = out.replace(re, to);
-    if (out !== before) {
-      hits += 1;
-      matched.push({
-        key: r?.key ?? null,
-        rowIndex: r?._rowIndex ?? null,
-        category: r?.category ?? "",
-        matchType: r?.matchType ?? "",
-        priority: r?.priority ?? 0,
-      });
-    }
-  }
-  return { out, hits, matched };
-}
-
 // -------- anomaly helpers --------
 function ratio(a, b) {
   const x = Math.max(0, Number(a ?? 0));
@@ -194,6 +158,65 @@ function makeAnomaly({ type, rowIndex, sourceText, processedText, translatedText
   };
 }
 
+/**
+ * Optimistic concurrency check: compare live source/target cells with the planning snapshot.
+ * @param {{ sheet:string, srcCol:number, tgtCol:number, rows:Array<{ rowIndex:number, snapshot:{ source:string, target:string } }> }} args
+ * @returns {Promise<Map<number, Array<object>>>} rowIndex -> changed cells (rows without changes are absent)
+ */
+async function findEditedRows({ sheet, srcCol, tgtCol, rows }) {
+  const srcA1 = colIndexToA1(srcCol);
+  const tgtA1 = colIndexToA1(tgtCol);
+
+  const ranges = [];
+  for (const r of rows) ranges.push(`${sheet}!${srcA1}${r.rowIndex}`, `${sheet}!${tgtA1}${r.rowIndex}`);
+  const current = await readCellTexts(ranges);
+
+  const edited = new Map();
+  rows.forEach((r, i) => {
+    const cells = [];
+    const src = current[i * 2];
+    const tgt = current[i * 2 + 1];
+    if (src !== r.snapshot.source) {
+      cells.push({ column: "source", range: ranges[i * 2], expected: r.snapshot.source, actual: src });
+    }
+    if (tgt !== r.snapshot.target) {
+      cells.push({ column: "target", range: ranges[i * 2 + 1], expected: r.snapshot.target, actual: tgt });
+    }
+    if (cells.length) edited.set(r.rowIndex, cells);
+  });
+  return edited;
+}
+
+/**
+ * TM match for one row.
+ * @returns {{ type:"exact"|"fuzzy", score:number, source:string, target:string, origin:object, filled:boolean }|null}
+ *   filled: used as the translation (exact, or fuzzy with tm.fuzzy = "prefill")
+ */
+function lookupTm(tm, sourceText, tmOpts) {
+  if (!tm) return null;
+
+  const exact = tm.lookupExact(sourceText);
+  if (exact) {
+    return { type: "exact", score: 1, source: exact.source, target: exact.target, origin: exact.origin, filled: true };
+  }
+  if (tmOpts.fuzzy === "off") return null;
+
+  const fuzzy = tm.lookupFuzzy(sourceText, { minScore: tmOpts.minScore });
+  if (!fuzzy) return null;
+  return {
+    type: "fuzzy",
+    score: Math.round(fuzzy.score * 1000) / 1000,
+    source: fuzzy.entry.source,
+    target: fuzzy.entry.target,
+    origin: fuzzy.entry.origin,
+    filled: tmOpts.fuzzy === "prefill",
+  };
+}
+
+function _rate(n, total) {
+  return total > 0 ? Math.round((n / total) * 1000) / 1000 : 0;
+}
+
 function buildReportForLLM({ summary, anomalies, rulesAppliedCount }) {
   const countsByType = {};
   for (const a of anomalies) countsByType[a.type] = (countsByType[a.type] || 0) + 1;
@@ -227,417 +250,1027 @@ function buildReportForLLM({ summary, anomalies, rulesAppliedCount }) {
     sampleAnomalies: samples,
     notes: [
       summary.uploaded === 0 ? "This run was a dry-run (no upload)." : "Upload completed.",
+      ...(summary.conflicts > 0
+        ? [`${summary.conflicts} row(s) were edited in the sheet during the run and were not uploaded (type=conflict).`]
+        : []),
       summary.planned === 0 ? "No pending rows matched the criteria." : "Pending rows processed successfully.",
       "Fetch per-row translations via GET /v2/batch/{batchId}/results.",
     ],
   };
 }
 
-function parseOffsetLimit(req) {
-  const offset = req.query.offset ? Number(req.query.offset) : 0;
-  const limit = req.query.limit ? Number(req.query.limit) : 200;
+function parseOffsetLimit(query) {
+  const q = query && typeof query === "object" ? query : {};
+  const offset = q.offset ? Number(q.offset) : 0;
+  const limit = q.limit ? Number(q.limit) : 200;
   if (!Number.isFinite(offset) || offset < 0) throw httpError(400, "offset must be >= 0");
   if (!Number.isFinite(limit) || limit < 1 || limit > 500) throw httpError(400, "limit must be 1..500");
   return { offset: Math.floor(offset), limit: Math.floor(limit) };
 }
 
-// ---------------- routes ----------------
-export function registerRoutesV2(app) {
-  app.post("/v2/batch/run", async (req, res) => {
-    try {
-      _pruneBatches();
+// ---------------- batch run ----------------
+/**
+ * pending -> glossary replace -> rules replace -> LLM translate -> (optional) upload
+ * - Shared by HTTP (/v2/batch/run) and MCP (batch_run)
+ * @returns {Promise<object>} response payload
+ */
+export async function runBatch(raw) {
+  const store = await getBatchStore();
+  await store.prune();
+
+  const body = normalizeBodyForConnector(raw);
+  const v = BatchRunSchema.parse(body);
+
+  const batchId = _newBatchId();
+  const createdAt = _nowMs();
+
+  const debug = Boolean(body.debug);
+  const sheet = pickSheet(v);
+  const reqCategory = String(v.category ?? "").trim().toLowerCase();
+  const sourceLangKey = normalizeLang(v.sourceLang);
+  const targetLangKey = normalizeLang(v.targetLang);
+
+  const allowOverwrite = Boolean(v.allowOverwrite);
+  const fillOnlyEmpty = allowOverwrite ? false : Boolean(v.fillOnlyEmpty);
+  const upload = Boolean(v.upload);
+  const ttlGateSeconds = Number(v.ttlGateSeconds ?? 1800);
+
+  // provider/model/protocol resolved up front: config errors surface as 400 before anything is planned
+  resolveLlm(v.model);
+  getTranslateProtocol(v.protocol);
+  const tmOpts = resolveTmOptions(v.tm);
+
+  const cache = await ensureGlossaryLoaded({
+    sheetName: sheet,
+    forceReload: Boolean(v.forceReload),
+  });
 
-      const raw = getParsedBody(req);
-      const body = normalizeBodyForConnector(raw);
-      const v = BatchRunSchema.parse(body);
-
-      const debug = Boolean(body.debug);
-      const sheet = pickSheet(v);
-      const reqCategory = String(v.category ?? "").trim().toLowerCase();
-      const sourceLangKey = normalizeLang(v.sourceLang);
-      const targetLangKey = normalizeLang(v.targetLang);
-
-      const allowOverwrite = Boolean(v.allowOverwrite);
-      const fillOnlyEmpty = allowOverwrite ? false : Boolean(v.fillOnlyEmpty);
-      const upload = Boolean(v.upload);
-      const ttlGateSeconds = Number(v.ttlGateSeconds ?? 1800);
-
-      const cache = await ensureGlossaryLoaded({
-        sheetName: sheet,
-        forceReload: Boolean(v.forceReload),
-      });
+  const srcCol = cache.langIndex[sourceLangKey];
+  if (srcCol == null) throw httpError(400, `Missing sourceLang column: ${sourceLangKey}`, { sheet });
 
-      const srcCol = cache.langIndex[sourceLangKey];
-      if (srcCol == null) throw httpError(400, `Missing sourceLang column: ${sourceLangKey}`, { sheet });
+  const tgtCol = cache.langIndex[targetLangKey];
+  if (tgtCol == null) throw httpError(400, `Missing targetLang column: ${targetLangKey}`, { sheet });
 
-      const tgtCol = cache.langIndex[targetLangKey];
-      if (tgtCol == null) throw httpError(400, `Missing targetLang column: ${targetLangKey}`, { sheet });
+  let categories = null;
+  if (reqCategory) {
+    if (!cache.byCategoryBySource?.has(reqCategory)) {
+      throw httpError(400, `Category not found: ${reqCategory}`, { sheet });
+    }
+    categories = [reqCategory];
+  } else {
+    categories = Array.from(cache.byCategoryBySource?.keys?.() ?? []);
+  }
 
-      let categories = null;
-      if (reqCategory) {
-        if (!cache.byCategoryBySource?.has(reqCategory)) {
-          throw httpError(400, `Category not found: ${reqCategory}`, { sheet });
-        }
-        categories = [reqCategory];
-      } else {
-        categories = Array.from(cache.byCategoryBySource?.keys?.() ?? []);
-      }
+  const sourceTextMap = mergeSourceTextMapsFromCache(cache, sourceLangKey, categories);
+  const replacePlan = getReplacePlanFromCache({
+    cache,
+    sheetName: sheet,
+    sourceLangKey,
+    categories,
+    targetLangKey,
+  });
 
-      const sourceTextMap = mergeSourceTextMapsFromCache(cache, sourceLangKey, categories);
-      const replacePlan = getReplacePlanFromCache({
-        cache,
-        sheetName: sheet,
-        sourceLangKey,
-        categories,
-        targetLangKey,
-      });
+  // ✅ Phase 1.5 rules (rulesSheet > RULES_SHEET_MAP[sheet] > RULE_SHEET_NAME)
+  const rulesCache = await ensureRulesLoaded({
+    sheetName: resolveRulesSheet({ rulesSheet: v.rulesSheet, glossarySheet: sheet }),
+    forceReload: false,
+  });
 
-      // ✅ Phase 1.5 rules
-      const rulesCache = await ensureRulesLoaded({ forceReload: false });
+  const limit = Number(v.limit ?? 200);
+  const exclude = new Set(
+    Array.isArray(v.excludeRowIndexes) ? v.excludeRowIndexes.map((n) => Number(n)) : []
+  );
 
-      const limit = Number(v.limit ?? 200);
-      const exclude = new Set(
-        Array.isArray(v.excludeRowIndexes) ? v.excludeRowIndexes.map((n) => Number(n)) : []
-      );
+  // recent gate
+  const recentMap = await store.getRecentApplied(_sheetKey(sheet));
+  const ttlMs = Math.max(0, ttlGateSeconds) * 1000;
+  const now = _nowMs();
 
-      // recent gate
-      const recentMap = _getRecentMap(sheet);
-      const ttlMs = Math.max(0, ttlGateSeconds) * 1000;
-      const now = _nowMs();
+  // 1) pending pick
+  const planned = [];
+  const rawRows = Array.isArray(cache.rawRows) ? cache.rawRows : [];
 
-      // 1) pending pick
-      const planned = [];
-      const rawRows = Array.isArray(cache.rawRows) ? cache.rawRows : [];
+  let skippedByTtlGate = 0;
 
-      let skippedByTtlGate = 0;
+  for (let i = 0; i < rawRows.length; i++) {
+    const rowIndex = i + 2;
+    if (exclude.has(rowIndex)) continue;
 
-      for (let i = 0; i < rawRows.length; i++) {
-        const rowIndex = i + 2;
-        if (exclude.has(rowIndex)) continue;
+    const entry = cache.entries?.[i];
+    const rowCat = String(entry?.category ?? "").trim().toLowerCase();
+    if (reqCategory && rowCat !== reqCategory) continue;
 
-        const entry = cache.entries?.[i];
-        const rowCat = String(entry?.category ?? "").trim().toLowerCase();
-        if (reqCategory && rowCat !== reqCategory) continue;
+    if (ttlMs > 0) {
+      const last = recentMap.get(rowIndex);
+      if (last && now - last < ttlMs) {
+        skippedByTtlGate += 1;
+        continue;
+      }
+    }
 
-        if (ttlMs > 0) {
-          const last = recentMap.get(rowIndex);
-          if (last && now - last < ttlMs) {
-            skippedByTtlGate += 1;
-            continue;
-          }
-        }
+    const srcRaw = rawRows[i]?.[srcCol];
+    if (isEffectivelyEmpty(srcRaw)) continue;
 
-        const srcRaw = rawRows[i]?.[srcCol];
-        if (isEffectivelyEmpty(srcRaw)) continue;
+    const tgtRaw = rawRows[i]?.[tgtCol];
+    if (fillOnlyEmpty && !isEffectivelyEmpty(tgtRaw)) continue;
 
-        const tgtRaw = rawRows[i]?.[tgtCol];
-        if (fillOnlyEmpty && !isEffectivelyEmpty(tgtRaw)) continue;
+    planned.push({
+      rowIndex,
+      rowCategoryKey: rowCat,
+      sourceText: _stripInvisible(srcRaw),
+      // planning snapshot for the pre-write conflict check
+      snapshot: { source: String(srcRaw ?? ""), target: String(tgtRaw ?? "") },
+    });
+    if (planned.length >= limit) break;
+  }
 
-        planned.push({
-          rowIndex,
-          rowCategoryKey: rowCat,
-          sourceText: _stripInvisible(srcRaw),
-        });
-        if (planned.length >= limit) break;
-      }
+  // planned=0 early return (store empty batch)
+  if (planned.length === 0) {
+    const finishedAt = nowIso();
+
+    const summary = {
+      ok: true,
+      batchId,
+      sheet,
+      category: reqCategory || "ALL",
+      sourceLang: v.sourceLang,
+      targetLang: v.targetLang,
+      planned: 0,
+      translated: 0,
+      uploaded: 0,
+      conflicts: 0,
+      anomalies: 0,
+      finishedAt,
+      meta: { skippedByTtlGate, ttlGateSeconds, allowOverwrite, fillOnlyEmpty, upload, debug },
+    };
+
+    await store.saveBatch({
+      batchId,
+      createdAt,
+      sheet,
+      request: { ...v, sheet },
+      summary,
+      status: _finalStatus({ state: "succeeded", rowsPlanned: 0, chunksTotal: 0, rowsTranslated: 0 }),
+      anomalies: [],
+      results: [],
+    });
+
+    return {
+      ok: true,
+      batchId,
+      summary,
+      write: upload ? { updatedCells: 0, updatedRanges: [] } : { dryRun: true },
+      anomalies: { count: 0, sample: [] },
+      reportForLLM: buildReportForLLM({ summary, anomalies: [], rulesAppliedCount: 0 }),
+      message: "No pending rows matched the criteria.",
+    };
+  }
 
-      // planned=0 early return (store empty batch)
-      if (planned.length === 0) {
-        const batchId = _newBatchId();
-        const finishedAt = nowIso();
-
-        const summary = {
-          ok: true,
-          batchId,
-          sheet,
-          category: reqCategory || "ALL",
-          sourceLang: v.sourceLang,
-          targetLang: v.targetLang,
-          planned: 0,
-          translated: 0,
-          uploaded: 0,
-          anomalies: 0,
-          finishedAt,
-          meta: { skippedByTtlGate, ttlGateSeconds, allowOverwrite, fillOnlyEmpty, upload, debug },
-        };
-
-        _batchStore.set(batchId, {
-          createdAt: _nowMs(),
-          request: { ...v, sheet },
-          summary,
-          anomalies: [],
-          results: [],
-        });
-
-        return toJson(res, 200, {
-          ok: true,
-          batchId,
-          summary,
-          write: upload ? { updatedCells: 0, updatedRanges: [] } : { dryRun: true },
-          anomalies: { count: 0, sample: [] },
-          reportForLLM: buildReportForLLM({ summary, anomalies: [], rulesAppliedCount: 0 }),
-          message: "No pending rows matched the criteria.",
-        });
-      }
+  // 1.5) translation memory (rows being translated now are not their own TM source)
+  const tmStats = { exact: 0, fuzzyPrefilled: 0, fuzzyHinted: 0 };
+  const { tm, sources: tmSources } = tmOpts.enabled
+    ? await buildTranslationMemory({
+        cache,
+        otherCaches: listLoadedGlossaries(),
+        sourceLangKey,
+        targetLangKey,
+        excludeRowIndexes: new Set(planned.map((p) => p.rowIndex)),
+        store: tmOpts.batches ? store : null,
+        maxBatches: tmOpts.maxBatches,
+      })
+    : { tm: null, sources: null };
+
+  // 2) replace + rules pipeline
+  const translateItems = [];
+  const prepMeta = [];
+  let rulesAppliedRows = 0;
+
+  for (const p of planned) {
+    const { rowIndex, sourceText, rowCategoryKey, snapshot } = p;
+    const masks = createMaskSet();
+
+    // ✅ 핵심: replacePlan을 정확한 파라미터명으로 전달
+    const g = replaceByGlossaryWithLogs({
+      text: sourceText,
+      sourceLangKey,
+      targetLangKey,
+      sourceTextMap,
+      replacePlan,
+      masks,
+    });
+
+    const afterGlossary = String(g?.textOut ?? g?.out ?? sourceText);
+
+    const rr = applyRules({
+      text: afterGlossary,
+      categoryKey: rowCategoryKey,
+      targetLangKey,
+      rulesCache,
+      masks,
+    });
+    const afterRules = String(rr.out ?? afterGlossary);
+
+    if (rr.hits > 0) rulesAppliedRows += 1;
+
+    const tmHit = lookupTm(tm, sourceText, tmOpts);
+    if (tmHit?.filled) {
+      if (tmHit.type === "exact") tmStats.exact += 1;
+      else tmStats.fuzzyPrefilled += 1;
+    } else {
+      if (tmHit) tmStats.fuzzyHinted += 1;
+      translateItems.push({
+        rowIndex,
+        sourceText,
+        textForTranslate: afterRules,
+        category: rowCategoryKey,
+        hints: buildRowHints({ masks: masks.list(), matchedRules: rr.matched, tm: tmHit }),
+      });
+    }
 
-      // 2) replace + rules pipeline
-      const translateItems = [];
-      const prepMeta = [];
-      let rulesAppliedRows = 0;
-
-      for (const p of planned) {
-        const { rowIndex, sourceText, rowCategoryKey } = p;
-
-        // ✅ 핵심: replacePlan을 정확한 파라미터명으로 전달
-        const g = replaceByGlossaryWithLogs({
-          text: sourceText,
-          sourceLangKey,
-          targetLangKey,
-          sourceTextMap,
-          replacePlan,
-        });
-
-        const afterGlossary = String(g?.textOut ?? g?.out ?? sourceText);
-
-        const rr = applyRulesToText({
-          text: afterGlossary,
-          rowCategoryKey,
-          targetLangKey,
-          rulesCache,
-        });
-        const afterRules = String(rr.out ?? afterGlossary);
-
-        if (rr.hits > 0) rulesAppliedRows += 1;
-
-        translateItems.push({ rowIndex, sourceText, textForTranslate: afterRules });
-
-        prepMeta.push({
-          rowIndex,
-          rowCategoryKey,
-          sourceText,
-          afterGlossary,
-          afterRules,
-          ruleHits: rr.hits,
-          matchedRules: rr.matched,
-        });
-      }
+    prepMeta.push({
+      rowIndex,
+      rowCategoryKey,
+      sourceText,
+      afterGlossary,
+      afterRules,
+      ruleHits: rr.hits,
+      matchedRules: rr.matched,
+      masks: masks.list(),
+      snapshot,
+      tm: tmHit,
+    });
+  }
 
-      // 3) translate
-      const chunkSize = Number(v.chunkSize ?? 25);
-      const model = v.model || undefined;
-
-      const t0 = _nowMs();
-      const { results: trResults, meta: trMeta } = await translateItemsWithGpt41({
-        sourceLang: v.sourceLang,
-        targetLang: v.targetLang,
-        items: translateItems,
-        chunkSize,
-        model,
-      });
-      const elapsedMs = _nowMs() - t0;
-
-      const trMap = new Map(trResults.map((r) => [Number(r.rowIndex), r]));
-
-      // 4) anomalies + upload payload + ✅ results list
-      const anomalies = [];
-      const results = []; // ✅ stored per-row translations
-      const updates = [];
-
-      let translatedCount = 0;
-      let uploadedCount = 0;
-      let skippedUploadTtl = 0;
-
-      for (const m of prepMeta) {
-        const r = trMap.get(Number(m.rowIndex));
-        const translatedTextRaw = String(r?.translatedText ?? "");
-        let translatedText = _stripInvisible(translatedTextRaw);
-
-        const processed = String(m.afterRules ?? "");
-        const src = String(m.sourceText ?? "");
-
-        if (!translatedText) {
-          translatedText = processed;
-          anomalies.push(
-            makeAnomaly({
-              type: "empty_translation_fallback",
-              rowIndex: m.rowIndex,
-              sourceText: src,
-              processedText: processed,
-              translatedText,
-              meta: { reason: "LLM returned empty", model: trMeta?.model ?? null },
-            })
-          );
-        }
+  const ctx = {
+    store,
+    batchId,
+    createdAt,
+    v,
+    sheet,
+    reqCategory,
+    upload,
+    allowOverwrite,
+    fillOnlyEmpty,
+    ttlGateSeconds,
+    ttlMs,
+    now,
+    recentMap,
+    srcCol,
+    tgtCol,
+    cache,
+    planned,
+    translateItems,
+    prepMeta,
+    rulesSheet: rulesCache.sheetName,
+    rulesAppliedRows,
+    skippedByTtlGate,
+    tmOpts,
+    tmStats,
+    tmSize: tm?.size ?? 0,
+    tmSources,
+  };
 
-        translatedCount += 1;
-
-        // heuristic anomalies
-        const rrLen = ratio(translatedText.length, Math.max(1, processed.length));
-        if (rrLen >= 2.6 || rrLen <= 0.35) {
-          anomalies.push(
-            makeAnomaly({
-              type: "length_ratio_suspicious",
-              rowIndex: m.rowIndex,
-              sourceText: src,
-              processedText: processed,
-              translatedText,
-              meta: { ratio: rrLen, processedLen: processed.length, translatedLen: translatedText.length },
-            })
-          );
-        }
+  if (v.async) return enqueueBatch(ctx);
+  return executeBatch(ctx);
+}
 
-        if (_stripInvisible(translatedText) === _stripInvisible(processed)) {
-          anomalies.push(
-            makeAnomaly({
-              type: "same_as_processed",
-              rowIndex: m.rowIndex,
-              sourceText: src,
-              processedText: processed,
-              translatedText,
-              meta: { note: "Translated text equals processed text." },
-            })
-          );
-        }
+function _finalStatus(patch) {
+  const at = nowIso();
+  return {
+    state: "succeeded",
+    phase: "done",
+    chunksDone: 0,
+    chunksTotal: 0,
+    rowsPlanned: 0,
+    rowsTranslated: 0,
+    fallbacks: 0,
+    queuedAt: null,
+    startedAt: at,
+    updatedAt: at,
+    finishedAt: at,
+    etaMs: 0,
+    cancelRequested: false,
+    error: null,
+    ...patch,
+  };
+}
 
-        if (m.ruleHits > 0) {
-          anomalies.push(
-            makeAnomaly({
-              type: "rule_applied",
-              rowIndex: m.rowIndex,
-              sourceText: src,
-              processedText: processed,
-              translatedText,
-              meta: { ruleHits: m.ruleHits, matchedRules: (m.matchedRules || []).slice(0, 10) },
-            })
-          );
-        }
+/**
+ * Phase 3~5: translate -> anomalies -> (optional) upload -> store
+ * @param {object} ctx planned batch (see runBatch)
+ * @param {{ shouldStop?: Function, onProgress?: Function, onPhase?: Function, status?: Function }} [job]
+ *   async mode hooks (omitted for sync runs)
+ */
+async function executeBatch(ctx, job = {}) {
+  const {
+    store,
+    batchId,
+    createdAt,
+    v,
+    sheet,
+    reqCategory,
+    upload,
+    allowOverwrite,
+    fillOnlyEmpty,
+    ttlGateSeconds,
+    ttlMs,
+    now,
+    recentMap,
+    srcCol,
+    tgtCol,
+    cache,
+    planned,
+    translateItems,
+    prepMeta,
+    rulesSheet,
+    rulesAppliedRows,
+    skippedByTtlGate,
+    tmOpts,
+    tmStats,
+    tmSize,
+    tmSources,
+  } = ctx;
+
+  // 3) translate
+  const chunkSize = Number(v.chunkSize ?? 25);
+  const model = v.model || undefined;
+
+  const t0 = _nowMs();
+  const { results: trResults, meta: trMeta } = await translateItemsWithGpt41({
+    sourceLang: v.sourceLang,
+    targetLang: v.targetLang,
+    items: translateItems,
+    chunkSize,
+    model,
+    protocol: v.protocol,
+    onChunk: job.onProgress,
+    shouldStop: job.shouldStop,
+  });
+  const elapsedMs = _nowMs() - t0;
+
+  // cancelled: keep partial results, never upload a half-finished set
+  const cancelled = Boolean(trMeta?.cancelled);
+
+  const trMap = new Map(trResults.map((r) => [Number(r.rowIndex), r]));
+
+  // 4) anomalies + upload payload + ✅ results list
+  const anomalies = [];
+  const results = []; // ✅ stored per-row translations
+  const uploadPlan = []; // { m, result, update } → conflict check → updates
+
+  let translatedCount = 0;
+  let uploadedCount = 0;
+  let skippedUploadTtl = 0;
+  const parseErrorRows = new Set();
+
+  for (const m of prepMeta) {
+    // TM-filled rows never went to the LLM
+    const fromTm = Boolean(m.tm?.filled);
+    if (cancelled && !fromTm && !trMap.has(Number(m.rowIndex))) continue;
+
+    const r = fromTm ? null : trMap.get(Number(m.rowIndex));
+    const restored = fromTm
+      ? { out: m.tm.target, lost: [], duplicated: [], unknown: [] }
+      : unmaskText(String(r?.translatedText ?? ""), m.masks);
+    let translatedText = _stripInvisible(restored.out);
+
+    // processed = text sent to the LLM, shown with anchors; plain = same with terms inlined
+    const processed = unmaskText(String(m.afterRules ?? ""), m.masks, { style: "anchor" }).out;
+    const plain = unmaskText(String(m.afterRules ?? ""), m.masks).out;
+    const src = String(m.sourceText ?? "");
+
+    if (!translatedText) {
+      translatedText = plain;
+      anomalies.push(
+        makeAnomaly({
+          type: "empty_translation_fallback",
+          rowIndex: m.rowIndex,
+          sourceText: src,
+          processedText: processed,
+          translatedText,
+          meta: { reason: "LLM returned empty", model: trMeta?.model ?? null },
+        })
+      );
+    }
+
+    translatedCount += 1;
 
-        // ✅ store results (for later GET /results)
-        results.push({
+    if (r?._parseError || r?._fallbackUsed) {
+      parseErrorRows.add(m.rowIndex);
+      anomalies.push(
+        makeAnomaly({
+          type: "parse_error",
           rowIndex: m.rowIndex,
           sourceText: src,
           processedText: processed,
           translatedText,
           meta: {
-            category: m.rowCategoryKey || "",
-            ruleHits: m.ruleHits || 0,
-            fallbackUsed: Boolean(r?._fallbackUsed),
+            reason: r._parseError || "missing",
+            ...(r._error ? { error: r._error } : {}),
+            protocol: trMeta?.protocol ?? null,
+            uploadSkipped: true,
           },
-        });
-
-        // upload build
-        if (upload) {
-          if (ttlMs > 0) {
-            const last = recentMap.get(m.rowIndex);
-            if (last && now - last < ttlMs) {
-              skippedUploadTtl += 1;
-              continue;
-            }
-          }
-          const a1 = `${colIndexToA1(tgtCol)}${m.rowIndex}`;
-          updates.push({ range: `${sheet}!${a1}`, values: [[translatedText]] });
+        })
+      );
+    }
+
+    // mask protocol: every token must come back exactly once
+    for (const [type, list] of [
+      ["mask_lost", restored.lost],
+      ["mask_duplicated", restored.duplicated],
+      ["mask_unknown", restored.unknown],
+    ]) {
+      if (!list.length) continue;
+      anomalies.push(
+        makeAnomaly({
+          type,
+          rowIndex: m.rowIndex,
+          sourceText: src,
+          processedText: processed,
+          translatedText,
+          meta: { tokens: list.slice(0, 20), masks: m.masks.length },
+        })
+      );
+    }
+
+    // heuristic anomalies (LLM output only; TM text is an existing translation)
+    const rrLen = ratio(translatedText.length, Math.max(1, plain.length));
+    if (!fromTm && (rrLen >= 2.6 || rrLen <= 0.35)) {
+      anomalies.push(
+        makeAnomaly({
+          type: "length_ratio_suspicious",
+          rowIndex: m.rowIndex,
+          sourceText: src,
+          processedText: processed,
+          translatedText,
+          meta: { ratio: rrLen, processedLen: plain.length, translatedLen: translatedText.length },
+        })
+      );
+    }
+
+    if (!fromTm && _stripInvisible(translatedText) === _stripInvisible(plain)) {
+      anomalies.push(
+        makeAnomaly({
+          type: "same_as_processed",
+          rowIndex: m.rowIndex,
+          sourceText: src,
+          processedText: processed,
+          translatedText,
+          meta: { note: "Translated text equals processed text." },
+        })
+      );
+    }
+
+    if (fromTm && m.tm.type === "fuzzy") {
+      anomalies.push(
+        makeAnomaly({
+          type: "tm_fuzzy_prefill",
+          rowIndex: m.rowIndex,
+          sourceText: src,
+          processedText: processed,
+          translatedText,
+          meta: { score: m.tm.score, tmSource: m.tm.source, origin: m.tm.origin },
+        })
+      );
+    }
+
+    if (m.ruleHits > 0 && !fromTm) {
+      anomalies.push(
+        makeAnomaly({
+          type: "rule_applied",
+          rowIndex: m.rowIndex,
+          sourceText: src,
+          processedText: processed,
+          translatedText,
+          meta: { ruleHits: m.ruleHits, matchedRules: (m.matchedRules || []).slice(0, 10) },
+        })
+      );
+    }
+
+    // ✅ store results (for later GET /results)
+    const result = {
+      rowIndex: m.rowIndex,
+      sourceText: src,
+      processedText: processed,
+      translatedText,
+      meta: {
+        category: m.rowCategoryKey || "",
+        ruleHits: m.ruleHits || 0,
+        fallbackUsed: Boolean(r?._fallbackUsed),
+        attempts: Number(r?._attempts ?? 0),
+        ...(m.tm ? { tm: { type: m.tm.type, score: m.tm.score, filled: m.tm.filled, origin: m.tm.origin } } : {}),
+        ...(r?._parseError ? { parseError: r._parseError } : {}),
+      },
+    };
+    results.push(result);
+
+    // upload build
+    if (upload && !cancelled) {
+      // fallback = processed source text, not a translation
+      if (r?._parseError || r?._fallbackUsed) {
+        result.meta.uploadSkipped = "parse_error";
+        continue;
+      }
+      if (ttlMs > 0) {
+        const last = recentMap.get(m.rowIndex);
+        if (last && now - last < ttlMs) {
+          skippedUploadTtl += 1;
+          continue;
         }
       }
+      const a1 = `${colIndexToA1(tgtCol)}${m.rowIndex}`;
+      uploadPlan.push({ m, result, update: { range: `${sheet}!${a1}`, values: [[translatedText]] } });
+    }
+  }
 
-      // 5) upload
-      let writeRes = { updatedCells: 0, updatedRanges: [] };
-      if (upload && updates.length > 0) {
-        writeRes = await batchUpdateValuesA1(updates);
-        uploadedCount = updates.length;
-
-        // mark recent gate (mark planned as applied)
-        const appliedAt = _nowMs();
-        for (const p of planned) recentMap.set(p.rowIndex, appliedAt);
+  // 5) upload
+  let writeRes = { updatedCells: 0, updatedRanges: [] };
+  let writes = [];
+  const updates = [];
+  const updateRows = []; // rowIndex per update
+  const conflictRows = new Set();
+  const conflictCells = { source: 0, target: 0 };
+
+  if (uploadPlan.length > 0) {
+    await job.onPhase?.("upload");
+
+    // the cached snapshot may be stale by now (translation takes a while)
+    const edited = await findEditedRows({
+      sheet,
+      srcCol,
+      tgtCol,
+      rows: uploadPlan.map((u) => ({ rowIndex: u.m.rowIndex, snapshot: u.m.snapshot })),
+    });
+
+    for (const u of uploadPlan) {
+      const cells = edited.get(u.m.rowIndex);
+      if (!cells) {
+        updates.push(u.update);
+        updateRows.push(u.m.rowIndex);
+        continue;
       }
 
-      // store batch
-      const batchId = _newBatchId();
-      const finishedAt = nowIso();
-
-      const summary = {
-        ok: true,
-        batchId,
-        sheet,
-        category: reqCategory || "ALL",
-        sourceLang: v.sourceLang,
-        targetLang: v.targetLang,
-        planned: planned.length,
-        translated: translatedCount,
-        uploaded: uploadedCount,
-        anomalies: anomalies.length,
-        finishedAt,
-        meta: {
-          model: trMeta?.model ?? null,
-          chunks: trMeta?.chunks ?? null,
-          chunkSize: trMeta?.chunkSize ?? chunkSize,
-          elapsedMs,
-          updatedCells: writeRes.updatedCells ?? 0,
-          skippedByTtlGate,
-          skippedUploadTtl,
-          ttlGateSeconds,
-          allowOverwrite,
-          fillOnlyEmpty,
-        },
-      };
-
-      _batchStore.set(batchId, {
-        createdAt: _nowMs(),
-        request: { ...v, sheet },
-        summary,
-        anomalies,
-        results, // ✅ NEW
-      });
+      conflictRows.add(u.m.rowIndex);
+      for (const c of cells) conflictCells[c.column] += 1;
+      u.result.meta.uploadSkipped = "conflict";
+      anomalies.push(
+        makeAnomaly({
+          type: "conflict",
+          rowIndex: u.m.rowIndex,
+          sourceText: u.result.sourceText,
+          processedText: u.result.processedText,
+          translatedText: u.result.translatedText,
+          meta: { reason: "Cell edited in the sheet after planning; upload skipped.", cells },
+        })
+      );
+    }
+  }
 
-      return toJson(res, 200, {
-        ok: true,
-        batchId,
-        summary,
-        write: upload
-          ? { updatedCells: writeRes.updatedCells ?? 0, updatedRanges: (writeRes.updatedRanges ?? []).slice(0, 50) }
-          : { dryRun: true },
-        anomalies: { count: anomalies.length, sample: anomalies.slice(0, 20) },
-        reportForLLM: buildReportForLLM({ summary, anomalies, rulesAppliedCount: rulesAppliedRows }),
-        meta: {
-          glossaryLoadedAt: cache.loadedAt,
-          rawRowCount: cache.rawRowCount,
-          pendingEmptySentinels: _sentinels,
-          storedTtlMs: _BATCH_TTL_MS,
-          resultsFetch: {
-            endpoint: "/v2/batch/{batchId}/results",
-            note: "Use paging (offset/limit) to fetch per-row translations.",
-          },
-        },
-      });
+  if (updates.length > 0) {
+    ({ writeRes, journal: writes } = await writeWithJournal(updates));
+    uploadedCount = updates.length;
+
+    // mark recent gate: only rows actually written (TTL-held / skipped / conflicted rows keep their old mark)
+    await store.markApplied(_sheetKey(sheet), updateRows, _nowMs());
+  }
+
+  // store batch
+  const finishedAt = nowIso();
+
+  const summary = {
+    ok: true,
+    batchId,
+    sheet,
+    category: reqCategory || "ALL",
+    sourceLang: v.sourceLang,
+    targetLang: v.targetLang,
+    planned: planned.length,
+    translated: translatedCount,
+    uploaded: uploadedCount,
+    conflicts: conflictRows.size,
+    anomalies: anomalies.length,
+    finishedAt,
+    meta: {
+      provider: trMeta?.provider ?? null,
+      model: trMeta?.model ?? null,
+      protocol: trMeta?.protocol ?? null,
+      parseErrors: parseErrorRows.size,
+      chunks: trMeta?.chunks ?? null,
+      chunkSize: trMeta?.chunkSize ?? chunkSize,
+      promptTemplates: trMeta?.promptTemplates ?? [],
+      llmRequests: trMeta?.requests ?? 0,
+      retriedRows: trMeta?.retriedRows ?? 0,
+      transportRetries: trMeta?.transportRetries ?? 0,
+      failedRequests: trMeta?.failedRequests ?? 0,
+      elapsedMs,
+      updatedCells: writeRes.updatedCells ?? 0,
+      skippedByTtlGate,
+      skippedUploadTtl,
+      conflictCells,
+      ttlGateSeconds,
+      allowOverwrite,
+      fillOnlyEmpty,
+      rulesSheet,
+      tm: tmOpts?.enabled
+        ? {
+            fuzzyMode: tmOpts.fuzzy,
+            minScore: tmOpts.minScore,
+            entries: tmSize,
+            sources: tmSources,
+            ...tmStats,
+            llmRows: translateItems.length,
+            exactRate: _rate(tmStats.exact, planned.length),
+            fuzzyRate: _rate(tmStats.fuzzyPrefilled + tmStats.fuzzyHinted, planned.length),
+            hitRate: _rate(tmStats.exact + tmStats.fuzzyPrefilled + tmStats.fuzzyHinted, planned.length),
+            filledRate: _rate(tmStats.exact + tmStats.fuzzyPrefilled, planned.length),
+          }
+        : { enabled: false },
+      cancelled,
+    },
+  };
+
+  const status = _finalStatus({
+    ...(job.status?.() ?? {}),
+    state: cancelled ? "cancelled" : "succeeded",
+    phase: "done",
+    chunksDone: trMeta?.chunks ?? 0,
+    chunksTotal: trMeta?.chunksTotal ?? Math.ceil(planned.length / Math.max(1, trMeta?.chunkSize ?? chunkSize)),
+    rowsPlanned: planned.length,
+    rowsTranslated: translatedCount,
+    fallbacks: results.filter((x) => x.meta?.fallbackUsed).length,
+    updatedAt: finishedAt,
+    finishedAt,
+    etaMs: 0,
+  });
+
+  await store.saveBatch({
+    batchId,
+    createdAt,
+    sheet,
+    status,
+    request: { ...v, sheet },
+    summary,
+    anomalies,
+    results, // ✅ NEW
+    writes,
+  });
+
+  return {
+    ok: true,
+    batchId,
+    summary,
+    status,
+    message: cancelled ? "Batch cancelled after the current chunk. Nothing was uploaded." : undefined,
+    write: upload
+      ? { updatedCells: writeRes.updatedCells ?? 0, updatedRanges: (writeRes.updatedRanges ?? []).slice(0, 50) }
+      : { dryRun: true },
+    anomalies: { count: anomalies.length, sample: anomalies.slice(0, 20) },
+    reportForLLM: buildReportForLLM({ summary, anomalies, rulesAppliedCount: rulesAppliedRows }),
+    meta: {
+      glossaryLoadedAt: cache.loadedAt,
+      rawRowCount: cache.rawRowCount,
+      pendingEmptySentinels: _sentinels,
+      storedTtlMs: store.retentionMs,
+      batchStore: store.driver,
+      resultsFetch: {
+        endpoint: "/v2/batch/{batchId}/results",
+        note: "Use paging (offset/limit) to fetch per-row translations.",
+      },
+      rollback: writes.length
+        ? { endpoint: "/v2/batch/{batchId}/rollback", cells: writes.length, availableForMs: store.journalRetentionMs }
+        : undefined,
+    },
+  };
+}
+
+// ---------------- async jobs ----------------
+async function enqueueBatch(ctx) {
+  const { store, batchId, createdAt, v, sheet, planned } = ctx;
+
+  const status = _finalStatus({
+    state: "queued",
+    phase: "queued",
+    chunksTotal: Math.ceil(planned.length / Math.max(1, Math.min(Number(v.chunkSize ?? 25), 100))),
+    rowsPlanned: planned.length,
+    queuedAt: nowIso(),
+    startedAt: null,
+    finishedAt: null,
+    etaMs: null,
+  });
+
+  await store.saveBatch({
+    batchId,
+    createdAt,
+    sheet,
+    request: { ...v, sheet },
+    summary: null,
+    status,
+    anomalies: [],
+    results: [],
+  });
+
+  const job = { cancelRequested: false, status };
+  _jobs.set(batchId, job);
+  _batchQueue.enqueue(batchId, () => runBatchJob(ctx, job));
+
+  return {
+    ok: true,
+    async: true,
+    batchId,
+    status,
+    queue: _batchQueue.stats(),
+    statusFetch: { endpoint: "/v2/batch/{batchId}/status", note: "Poll until status.state is succeeded/failed/cancelled." },
+    cancel: { endpoint: "/v2/batch/{batchId}/cancel" },
+  };
+}
+
+async function runBatchJob(ctx, job) {
+  const { store, batchId } = ctx;
+  let startedMs = _nowMs();
+
+  const save = async (patch) => {
+    job.status = { ...job.status, ...patch, updatedAt: nowIso() };
+    await store.updateBatch(batchId, { status: job.status });
+  };
+
+  // local flag first; store flag covers cancel requests that hit another instance
+  const shouldStop = async () => {
+    if (job.cancelRequested) return true;
+    const rec = await store.getBatch(batchId);
+    return Boolean(rec?.status?.cancelRequested);
+  };
+
+  try {
+    if (await shouldStop()) {
+      await save({ state: "cancelled", phase: "done", cancelRequested: true, finishedAt: nowIso(), etaMs: 0 });
+      return;
+    }
+
+    startedMs = _nowMs();
+    await save({ state: "running", phase: "translate", startedAt: nowIso() });
+
+    await executeBatch(ctx, {
+      shouldStop,
+      onProgress: async ({ chunksDone, chunksTotal, itemsDone, fallbacks }) => {
+        const elapsed = _nowMs() - startedMs;
+        const etaMs = chunksDone > 0 ? Math.round((elapsed / chunksDone) * (chunksTotal - chunksDone)) : null;
+        await save({ chunksDone, chunksTotal, rowsTranslated: itemsDone, fallbacks, etaMs });
+      },
+      onPhase: (phase) => save({ phase }),
+      status: () => ({ ...job.status, cancelRequested: job.cancelRequested || job.status.cancelRequested }),
+    });
+  } catch (e) {
+    console.error(`[BATCH] ${batchId} failed:`, e?.message || e, e?.extra || "");
+    await save({
+      state: "failed",
+      phase: "done",
+      finishedAt: nowIso(),
+      etaMs: 0,
+      error: String(e?.message ?? e),
+    }).catch(() => {});
+  } finally {
+    _jobs.delete(batchId);
+  }
+}
+
+/**
+ * Batch job status (sync batches report state=succeeded immediately).
+ * - Shared by HTTP (/v2/batch/:id/status) and MCP (batch_status)
+ */
+export async function getBatchStatus({ batchId }) {
+  const store = await getBatchStore();
+
+  const id = String(batchId ?? "").trim();
+  if (!id) throw httpError(400, "batchId is required.");
+
+  const rec = await store.getBatch(id);
+  if (!rec) throw httpError(404, "Batch not found (expired or invalid batchId).", { id });
+
+  const local = _jobs.get(id);
+  return {
+    ok: true,
+    batchId: id,
+    status: local?.status ?? rec.status ?? null,
+    summary: rec.summary ?? null,
+    queue: _batchQueue.stats(),
+  };
+}
+
+/**
+ * Request cancellation. The job stops after the current chunk and uploads nothing.
+ * - Shared by HTTP (/v2/batch/:id/cancel) and MCP (batch_cancel)
+ */
+export async function cancelBatch({ batchId }) {
+  const store = await getBatchStore();
+
+  const id = String(batchId ?? "").trim();
+  if (!id) throw httpError(400, "batchId is required.");
+
+  const rec = await store.getBatch(id);
+  if (!rec) throw httpError(404, "Batch not found (expired or invalid batchId).", { id });
+
+  const state = rec.status?.state;
+  if (TERMINAL_STATES.has(state)) {
+    throw httpError(409, `Batch already finished (state=${state}).`, { id, status: rec.status });
+  }
+
+  // job on this instance: flip the flag, the job persists it with its next status write
+  // (writing here too would race the job's own read-modify-write updates)
+  const local = _jobs.get(id);
+  let status;
+  if (local) {
+    local.cancelRequested = true;
+    local.status = { ...local.status, cancelRequested: true, updatedAt: nowIso() };
+    status = local.status;
+  } else {
+    status = { ...rec.status, cancelRequested: true, updatedAt: nowIso() };
+    await store.updateBatch(id, { status });
+  }
+
+  return {
+    ok: true,
+    batchId: id,
+    status,
+    message: "Cancel requested. The job stops after the current chunk; nothing will be uploaded.",
+  };
+}
+
+// ---------------- rollback ----------------
+/**
+ * Restore cells overwritten by a batch upload or an apply (batchId a_*).
+ * - Shared by HTTP (/v2/batch/:id/rollback) and MCP (batch_rollback)
+ */
+export async function rollbackBatch(raw) {
+  const body = raw && typeof raw === "object" ? raw : {};
+  const v = BatchRollbackSchema.parse({ force: body.force, dryRun: body.dryRun });
+  const store = await getBatchStore();
+
+  const id = String(body.batchId ?? "").trim();
+  if (!id) throw httpError(400, "batchId is required.");
+
+  const rec = await store.getBatch(id, { journal: true });
+  if (!rec) {
+    throw httpError(404, "Batch not found: invalid batchId, or its write journal expired (rollback is no longer possible).", {
+      id,
+      journalRetentionMs: store.journalRetentionMs,
+    });
+  }
+
+  const state = rec.status?.state;
+  if (state && !TERMINAL_STATES.has(state)) {
+    throw httpError(409, `Batch is still ${state}; cancel it or wait before rolling back.`, { id });
+  }
+  // a partial rollback (conflicts left) may be retried, e.g. with force:true
+  if (rec.rollback && !rec.rollback.dryRun && rec.rollback.unresolved === 0 && !v.dryRun) {
+    throw httpError(409, "Batch was already rolled back.", { id, rollback: rec.rollback });
+  }
+
+  const writes = Array.isArray(rec.writes) ? rec.writes : [];
+  if (!writes.length) {
+    throw httpError(409, "Nothing to roll back (batch did not write any cells).", { id });
+  }
+
+  const r = await rollbackJournal(writes, { force: v.force, dryRun: v.dryRun });
+
+  const rollback = {
+    at: nowIso(),
+    force: v.force,
+    dryRun: v.dryRun,
+    cells: writes.length,
+    planned: r.planned,
+    restored: r.restored,
+    unchanged: r.unchanged,
+    conflicts: r.conflicts.length,
+    unresolved: v.force ? 0 : r.conflicts.length, // conflicts left in place
+    updatedCells: r.updatedCells,
+  };
+
+  if (!v.dryRun) {
+    await store.updateBatch(id, { rollback });
+    if (r.restored > 0) await ensureGlossaryLoaded({ sheetName: rec.sheet, forceReload: true });
+  }
+
+  return {
+    ok: true,
+    batchId: id,
+    sheet: rec.sheet,
+    rollback,
+    conflicts: r.conflicts.slice(0, 200),
+    message: r.conflicts.length && !v.force
+      ? "Some cells were edited after the write and were left untouched. Review conflicts or retry with force:true."
+      : undefined,
+  };
+}
+
+// ---------------- batch lookups ----------------
+async function getBatchPage({ batchId, kind, offset, limit }) {
+  const store = await getBatchStore();
+  await store.prune();
+
+  const id = String(batchId ?? "").trim();
+  if (!id) throw httpError(400, "batchId is required.");
+
+  const data = await store.getPage(id, kind, offset, limit);
+  if (!data) throw httpError(404, "Batch not found (expired or invalid batchId).", { id });
+
+  return {
+    ok: true,
+    batchId: id,
+    total: data.total,
+    offset,
+    limit,
+    items: data.items,
+    summary: data.summary ?? null,
+  };
+}
+
+/**
+ * Paged per-row translated results of a stored batch.
+ * - Shared by HTTP (/v2/batch/:id/results) and MCP (batch_results)
+ */
+export async function getBatchResults({ batchId, offset, limit }) {
+  const q = parseOffsetLimit({ offset, limit });
+  return getBatchPage({ batchId, kind: "results", offset: q.offset, limit: q.limit });
+}
+
+/**
+ * Paged anomalies of a stored batch.
+ * - Shared by HTTP (/v2/batch/:id/anomalies) and MCP (batch_anomalies)
+ */
+export async function getBatchAnomalies({ batchId, offset, limit }) {
+  // keep existing schema parse for offset/limit defaults
+  const q = BatchAnomaliesQuerySchema.parse({
+    offset: offset ? Number(offset) : 0,
+    limit: limit ? Number(limit) : 200,
+  });
+  return getBatchPage({ batchId, kind: "anomalies", offset: q.offset, limit: q.limit });
+}
+
+// ---------------- candidates ----------------
+/**
+ * Official name candidates for source texts (glossary ko<->en resolve + candidate sources).
+ * - Shared by HTTP (/v2/candidates/batch) and MCP (candidates_batch)
+ */
+export async function runCandidates(raw) {
+  const body = normalizeBodyForConnector(raw);
+  const v = CandidatesBatchSchema.parse(body);
+
+  return runCandidatesBatch({
+    sheet: pickSheet(v),
+    category: v.category,
+    sourceLang: v.sourceLang,
+    sourceTexts: v.sourceTexts,
+    targetLangs: v.targetLangs,
+    sources: v.sources,
+    candidateSheets: v.candidateSheets,
+    maxCandidatesPerLang: v.maxCandidatesPerLang,
+    includeEvidence: v.includeEvidence,
+  });
+}
+
+// ---------------- routes ----------------
+export function registerRoutesV2(app) {
+  app.post("/v2/batch/run", async (req, res) => {
+    try {
+      toJson(res, 200, await runBatch(getParsedBody(req)));
     } catch (e) {
       handleErr(req, res, e);
     }
   });
 
-  // ✅ NEW: fetch per-row translated results (paged)
-  app.get("/v2/batch/:id/results", async (req, res) => {
+  app.get("/v2/batch/:id/status", async (req, res) => {
     try {
-      _pruneBatches();
-
-      const id = String(req.params.id ?? "").trim();
-      if (!id) throw httpError(400, "batchId is required.");
-
-      const { offset, limit } = parseOffsetLimit(req);
+      toJson(res, 200, await getBatchStatus({ batchId: req.params.id }));
+    } catch (e) {
+      handleErr(req, res, e);
+    }
+  });
 
-      const data = _batchStore.get(id);
-      if (!data) throw httpError(404, "Batch not found (expired or invalid batchId).", { id });
+  app.post("/v2/batch/:id/rollback", async (req, res) => {
+    try {
+      const body = normalizeBodyForConnector(getParsedBody(req));
+      toJson(res, 200, await rollbackBatch({ ...body, batchId: req.params.id }));
+    } catch (e) {
+      handleErr(req, res, e);
+    }
+  });
 
-      const results = Array.isArray(data.results) ? data.results : [];
-      const slice = results.slice(offset, offset + limit);
+  app.post("/v2/batch/:id/cancel", async (req, res) => {
+    try {
+      toJson(res, 200, await cancelBatch({ batchId: req.params.id }));
+    } catch (e) {
+      handleErr(req, res, e);
+    }
+  });
 
-      return toJson(res, 200, {
-        ok: true,
-        batchId: id,
-        total: results.length,
-        offset,
-        limit,
-        items: slice,
-        summary: data.summary ?? null,
-      });
+  // ✅ NEW: fetch per-row translated results (paged)
+  app.get("/v2/batch/:id/results", async (req, res) => {
+    try {
+      toJson(
+        res,
+        200,
+        await getBatchResults({ batchId: req.params.id, offset: req.query.offset, limit: req.query.limit })
+      );
     } catch (e) {
       handleErr(req, res, e);
     }
@@ -646,32 +1279,38 @@ export function registerRoutesV2(app) {
   // existing: fetch anomalies (paged)
   app.get("/v2/batch/:id/anomalies", async (req, res) => {
     try {
-      _pruneBatches();
-
-      const id = String(req.params.id ?? "").trim();
-      if (!id) throw httpError(400, "batchId is required.");
-
-      // keep existing schema parse for offset/limit defaults
-      const q = BatchAnomaliesQuerySchema.parse({
-        offset: req.query.offset ? Number(req.query.offset) : 0,
-        limit: req.query.limit ? Number(req.query.limit) : 200,
-      });
+      toJson(
+        res,
+        200,
+        await getBatchAnomalies({ batchId: req.params.id, offset: req.query.offset, limit: req.query.limit })
+      );
+    } catch (e) {
+      handleErr(req, res, e);
+    }
+  });
 
-      const data = _batchStore.get(id);
-      if (!data) throw httpError(404, "Batch not found (expired or invalid batchId).", { id });
+  app.post("/v2/candidates/batch", async (req, res) => {
+    try {
+      toJson(res, 200, await runCandidates(getParsedBody(req)));
+    } catch (e) {
+      handleErr(req, res, e);
+    }
+  });
 
-      const anomalies = Array.isArray(data.anomalies) ? data.anomalies : [];
-      const slice = anomalies.slice(q.offset, q.offset + q.limit);
+  app.get("/v2/candidates/cache", async (req, res) => {
+    try {
+      toJson(res, 200, { ok: true, cache: getDivinePrideCacheStats() });
+    } catch (e) {
+      handleErr(req, res, e);
+    }
+  });
 
-      return toJson(res, 200, {
-        ok: true,
-        batchId: id,
-        total: anomalies.length,
-        offset: q.offset,
-        limit: q.limit,
-        items: slice,
-        summary: data.summary ?? null,
-      });
+  app.post("/v2/candidates/cache/invalidate", async (req, res) => {
+    try {
+      const raw = getParsedBody(req);
+      const v = CandidatesCacheInvalidateSchema.parse(raw && typeof raw === "object" ? raw : {});
+      const r = invalidateDivinePrideCache(v);
+      toJson(res, 200, { ok: true, ...r, cache: getDivinePrideCacheStats() });
     } catch (e) {
       handleErr(req, res, e);
     }
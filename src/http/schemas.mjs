@@ -58,6 +58,72 @@ export const GlossaryQaNextSchema = z.object({
   forceReload: z.boolean().optional().default(false),
 });
 
+// ---------------- Glossary: GET /v1/glossary/conflicts (query string) ----------------
+export const GlossaryConflictsQuerySchema = z.object({
+  sheet: SheetOpt,
+  category: CategoryStr.optional().default(""),
+  sourceLang: z.enum(["en-US", "ko-KR"]).optional().default("ko-KR"),
+  targetLang: z.string().trim().min(1),
+
+  // priority | category | recent | first (comma-separated; default: GLOSSARY_CONFLICT_POLICY)
+  policy: OptTrimmedStr,
+
+  offset: z.coerce.number().int().min(0).optional().default(0),
+  limit: z.coerce.number().int().min(1).max(500).optional().default(100),
+  forceReload: z
+    .preprocess((v) => (typeof v === "string" ? v === "true" || v === "1" : v), z.boolean())
+    .optional()
+    .default(false),
+});
+
+// ---------------- GET /v1/glossary/lint ----------------
+export const GlossaryLintQuerySchema = z.object({
+  sheet: SheetOpt,
+
+  // rule ids, comma-separated (default: all; see src/glossary/lint.mjs)
+  rules: OptTrimmedStr,
+  // minimum severity: error | warning | info
+  severity: z.enum(["error", "warning", "info"]).optional().default("info"),
+
+  offset: z.coerce.number().int().min(0).optional().default(0),
+  limit: z.coerce.number().int().min(1).max(500).optional().default(100),
+  forceReload: z
+    .preprocess((v) => (typeof v === "string" ? v === "true" || v === "1" : v), z.boolean())
+    .optional()
+    .default(false),
+});
+
+// ---------------- POST /v1/rules/test ----------------
+export const RulesTestSchema = z
+  .object({
+    text: z.string().optional(),
+    texts: z.array(z.string()).min(1).max(200).optional(),
+
+    // row category ("" → only rules with an empty 분류)
+    category: CategoryStr.optional().default(""),
+    targetLang: z.string().trim().min(1),
+
+    // Rules sheet (default: RULES_SHEET_MAP[glossarySheet] → RULE_SHEET_NAME)
+    rulesSheet: OptTrimmedStr,
+    glossarySheet: OptTrimmedStr,
+
+    // true: per-rule explanation (status / matches / text after each rule)
+    dryRun: z.boolean().optional().default(true),
+    forceReload: z.boolean().optional().default(false),
+  })
+  .refine((v) => v.text != null || v.texts != null, { message: "text or texts is required." });
+
+// ---------------- GET /v1/rules/validate ----------------
+export const RulesValidateQuerySchema = z.object({
+  // categories are checked against this glossary sheet
+  glossarySheet: SheetOpt,
+  // Rules sheet (default: RULES_SHEET_MAP[glossarySheet] → RULE_SHEET_NAME)
+  rulesSheet: OptTrimmedStr,
+
+  offset: z.coerce.number().int().min(0).optional().default(0),
+  limit: z.coerce.number().int().min(1).max(500).optional().default(200),
+});
+
 // ---------------- QA: /v1/glossary/apply ----------------
 export const ApplySchema = z.object({
   sheet: z.string().min(1),
@@ -109,8 +175,29 @@ export const BatchRunSchema = z.object({
   // ✅ NEW: debug flag
   debug: z.boolean().optional().default(false),
 
-  // optional model override
+  // async mode: return batchId immediately, poll /v2/batch/:id/status
+  async: z.boolean().optional().default(false),
+
+  // Rules sheet (default: RULES_SHEET_MAP[sheet] → RULE_SHEET_NAME)
+  rulesSheet: OptTrimmedStr,
+
+  // optional model override: "gpt-4.1", "provider:model" ("anthropic:claude-sonnet-4-5"), "mock", "mock:echo"
   model: OptTrimmedStr,
+
+  // LLM wire protocol: records (␞/␟) | json (schema-constrained, strict per row); default TRANSLATE_PROTOCOL env
+  protocol: z.enum(["records", "json"]).optional(),
+
+  // translation memory (src/tm/memory.mjs); omitted fields → TM_* env
+  tm: z
+    .object({
+      enabled: z.boolean().optional(),
+      // fuzzy matches: off | hint (prompt) | prefill (used as translation, flagged for review)
+      fuzzy: z.enum(["off", "hint", "prefill"]).optional(),
+      minScore: z.number().min(0.5).max(1).optional(),
+      // include results of stored batches (default true)
+      batches: z.boolean().optional(),
+    })
+    .optional(),
 });
 
 // ---------------- Translate: /v2/batch/:id/anomalies ----------------
@@ -118,3 +205,41 @@ export const BatchAnomaliesQuerySchema = z.object({
   offset: z.number().int().min(0).optional().default(0),
   limit: z.number().int().min(1).max(500).optional().default(200),
 });
+
+// ---------------- Rollback: /v2/batch/:id/rollback ----------------
+export const BatchRollbackSchema = z.object({
+  // restore even cells edited since the write (default: report them as conflicts)
+  force: z.boolean().optional().default(false),
+  dryRun: z.boolean().optional().default(false),
+});
+
+// ---------------- Candidates: /v2/candidates/batch ----------------
+export const CandidatesBatchSchema = z.object({
+  sheet: SheetOpt,
+  category: CategoryStr.optional().default(""),
+
+  // ✅ sourceLang only en-US | ko-KR
+  sourceLang: z.enum(["en-US", "ko-KR"]).optional().default("en-US"),
+
+  sourceTexts: z.array(z.string()).min(1).max(200),
+  targetLangs: z.array(z.string().trim().min(1)).min(1).max(20),
+
+  // candidate sources (registry names, e.g. "divinePride", "sheets"); default: CANDIDATE_SOURCES env
+  sources: z.array(z.string().trim().min(1)).max(10).optional(),
+  // sheets searched by the "sheets" source; default: CANDIDATE_SHEETS env
+  candidateSheets: z.array(z.string().trim().min(1)).max(20).optional(),
+
+  maxCandidatesPerLang: z.number().int().min(1).max(5).optional().default(2),
+  includeEvidence: z.boolean().optional().default(false),
+});
+
+// ---------------- Candidates: /v2/candidates/cache/invalidate ----------------
+export const CandidatesCacheInvalidateSchema = z.object({
+  // all filters optional; none (or all=true) clears the whole cache
+  all: z.boolean().optional().default(false),
+  server: OptTrimmedStr,
+  entityType: z.enum(["item", "monster", "skill", "map"]).optional(),
+  itemId: z.union([z.string().trim().min(1), z.number().int()]).optional(),
+  lang: OptTrimmedStr,
+  name: OptTrimmedStr,
+});
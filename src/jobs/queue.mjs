@@ -0,0 +1,35 @@
+// src/jobs/queue.mjs
+// - In-process worker queue (bounded concurrency, FIFO)
+// - Jobs are plain async functions; failures are the job's own responsibility (logged here as a last resort)
+
+export function createJobQueue({ name = "jobs", concurrency = 1 } = {}) {
+  const limit = Math.max(1, Number(concurrency) || 1);
+  const pending = [];
+  let active = 0;
+
+  function pump() {
+    while (active < limit && pending.length) {
+      const { id, fn } = pending.shift();
+      active += 1;
+      Promise.resolve()
+        .then(fn)
+        .catch((e) => console.error(`[${name}] job ${id} crashed:`, e?.message || e))
+        .finally(() => {
+          active -= 1;
+          pump();
+        });
+    }
+  }
+
+  return {
+    /** @param {string} id @param {() => Promise<void>} fn */
+    enqueue(id, fn) {
+      pending.push({ id, fn });
+      pump();
+      return pending.length;
+    },
+    stats() {
+      return { active, queued: pending.length, concurrency: limit };
+    },
+  };
+}
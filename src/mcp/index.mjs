@@ -3,10 +3,23 @@ import { z } from "zod";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 
-import { ensureGlossaryLoaded } from "../cache/global.mjs";
+import { ensureGlossaryLoaded, ensureRulesLoaded, getReplacePlanFromCache } from "../cache/global.mjs";
 import { mergeSourceTextMapsFromCache } from "../glossary/index.mjs";
 import { replaceByGlossaryWithLogs } from "../replace/replace.mjs";
+import { createMaskSet, unmaskText } from "../replace/mask.mjs";
+import { applyRules } from "../rules/engine.mjs";
+import { resolveRulesSheet } from "../rules/load.mjs";
 import { normalizeLang, assertAllowedSourceLang, getParsedBody } from "../utils/common.mjs";
+import { runQa, runApply, runGlossaryLint, runRulesTest, runRulesValidate } from "../http/routes.mjs";
+import {
+  runBatch,
+  getBatchResults,
+  getBatchAnomalies,
+  getBatchStatus,
+  cancelBatch,
+  rollbackBatch,
+  runCandidates,
+} from "../http/routesV2.mjs";
 
 // 줄바꿈 처리 함수 추가
 function formatTextWithLineBreaks(text) {
@@ -16,6 +29,27 @@ function formatTextWithLineBreaks(text) {
   return text;
 }
 
+// MCP tool result: JSON payload as a single text content
+function jsonContent(payload) {
+  return {
+    content: [{ type: "text", text: JSON.stringify(payload, null, 2) }],
+  };
+}
+
+// REST와 동일한 핸들러를 호출하고, 에러는 { ok:false } payload로 변환
+async function runAsTool(fn) {
+  try {
+    return jsonContent(await fn());
+  } catch (e) {
+    return jsonContent({
+      ok: false,
+      error: String(e?.message ?? e),
+      status: Number(e?.status) || 500,
+      extra: e?.extra,
+    });
+  }
+}
+
 export function registerMcp(app) {
   const mcp = new McpServer({
     name: "sheets-glossary-mcp",
@@ -28,12 +62,15 @@ export function registerMcp(app) {
       sheet: z.string().optional(),
       texts: z.array(z.string()).min(1).max(2000),
       category: z.string().optional(),
-      sourceLang: z.enum(["en-US", "ko-KR"]).min(1),  // sourceLang은 "en-US", "ko-KR"만 허용
+      sourceLang: z.enum(["en-US", "ko-KR"]),  // sourceLang은 "en-US", "ko-KR"만 허용
       targetLang: z.array(z.string()).min(1),  // targetLang은 다국어 지원 (배열로 여러 언어 지원)
       includeLogs: z.boolean().optional(),
       forceReload: z.boolean().optional(),
+      // rules after glossary: rulesSheet given or applyRules:true (RULES_SHEET_MAP[sheet] → RULE_SHEET_NAME)
+      rulesSheet: z.string().optional(),
+      applyRules: z.boolean().optional(),
     },
-    async ({ sheet, texts, category, sourceLang, targetLang, includeLogs, forceReload }) => {
+    async ({ sheet, texts, category, sourceLang, targetLang, includeLogs, forceReload, rulesSheet, applyRules: wantRules }) => {
       const cache = await ensureGlossaryLoaded({
         sheetName: sheet || "Glossary",
         forceReload: Boolean(forceReload),
@@ -98,22 +135,55 @@ export function registerMcp(app) {
       let replacedTotalAll = 0;
       let matchedTermsAll = 0;
 
+      // targetLang별 compiled plan (cached; 텍스트마다 다시 컴파일하지 않음)
+      const plans = targetLang.map((t) =>
+        getReplacePlanFromCache({
+          cache,
+          sheetName: cache.sheetName,
+          sourceLangKey,
+          categories,
+          targetLangKey: normalizeLang(t),
+        })
+      );
+
+      const rulesCache =
+        rulesSheet || wantRules
+          ? await ensureRulesLoaded({
+              sheetName: resolveRulesSheet({ rulesSheet, glossarySheet: cache.sheetName }),
+              forceReload: Boolean(forceReload),
+            })
+          : null;
+      let ruleHitsAll = 0;
+
       // 여러 targetLang을 지원하도록 처리
       for (let i = 0; i < texts.length; i++) {
         const input = texts[i];
-        for (const targetLangKey of targetLang) {
+        for (let li = 0; li < targetLang.length; li++) {
+          const targetLangKey = normalizeLang(targetLang[li]);
           const { out, replacedTotal, logs } = replaceByGlossaryWithLogs({
             text: input,
             sourceLangKey,
-            targetLangKey: normalizeLang(targetLangKey),
+            targetLangKey,
             sourceTextMap,
+            replacePlan: plans[li],
           });
 
-          outTexts.push(formatTextWithLineBreaks(out));  // 줄바꿈 처리
+          // rule 결과도 glossary와 같은 «T:...» 앵커로 표시
+          let text = out;
+          let matchedRules;
+          if (rulesCache) {
+            const masks = createMaskSet();
+            const rr = applyRules({ text: out, categoryKey: category, targetLangKey, rulesCache, masks });
+            text = unmaskText(rr.out, masks.list(), { style: "anchor" }).out;
+            ruleHitsAll += rr.hits;
+            matchedRules = rr.matched;
+          }
+
+          outTexts.push(formatTextWithLineBreaks(text));  // 줄바꿈 처리
           replacedTotalAll += replacedTotal;
           matchedTermsAll += logs.length;
 
-          if (wantLogs) perLineLogs.push({ index: i, replacedTotal, logs });
+          if (wantLogs) perLineLogs.push({ index: i, replacedTotal, logs, ...(matchedRules ? { matchedRules } : {}) });
         }
       }
 
@@ -137,6 +207,7 @@ export function registerMcp(app) {
                   rawRowCount: cache.rawRowCount,
                   categoriesUsedCount: categories.length,
                   uniqueTermsInIndex: sourceTextMap.size,
+                  ...(rulesCache ? { rulesSheet: rulesCache.sheetName, ruleHits: ruleHitsAll } : {}),
                 },
                 logs: wantLogs ? perLineLogs : undefined,
               },
@@ -182,6 +253,178 @@ export function registerMcp(app) {
     }
   );
 
+  // mirrors GET /v1/glossary/lint
+  mcp.tool(
+    "glossary_lint",
+    {
+      sheet: z.string().optional(),
+      rules: z.string().optional(),
+      severity: z.enum(["error", "warning", "info"]).optional(),
+      offset: z.number().int().min(0).optional(),
+      limit: z.number().int().min(1).max(500).optional(),
+      forceReload: z.boolean().optional(),
+    },
+    async (args) => runAsTool(() => runGlossaryLint({ ...args }))
+  );
+
+  // mirrors POST /v1/rules/test
+  mcp.tool(
+    "rules_test",
+    {
+      text: z.string().optional(),
+      texts: z.array(z.string()).min(1).max(200).optional(),
+      category: z.string().optional(),
+      targetLang: z.string().min(1),
+      rulesSheet: z.string().optional(),
+      glossarySheet: z.string().optional(),
+      dryRun: z.boolean().optional(),
+      forceReload: z.boolean().optional(),
+    },
+    async (args) => runAsTool(() => runRulesTest({ ...args }))
+  );
+
+  // mirrors GET /v1/rules/validate
+  mcp.tool(
+    "rules_validate",
+    {
+      glossarySheet: z.string().optional(),
+      rulesSheet: z.string().optional(),
+      offset: z.number().int().min(0).optional(),
+      limit: z.number().int().min(1).max(500).optional(),
+    },
+    async (args) => runAsTool(() => runRulesValidate({ ...args }))
+  );
+
+  // ---------------- v2 batch (mirrors /v2/batch/*) ----------------
+  mcp.tool(
+    "batch_run",
+    {
+      sheet: z.string().optional(),
+      category: z.string().optional(),
+      sourceLang: z.enum(["en-US", "ko-KR"]).optional(),
+      targetLang: z.string().min(1),
+      limit: z.number().int().min(1).max(500).optional(),
+      chunkSize: z.number().int().min(1).max(100).optional(),
+      fillOnlyEmpty: z.boolean().optional(),
+      upload: z.boolean().optional(),
+      forceReload: z.boolean().optional(),
+      excludeRowIndexes: z.array(z.number().int().min(2)).max(5000).optional(),
+      allowOverwrite: z.boolean().optional(),
+      ttlGateSeconds: z.number().int().min(0).max(86400).optional(),
+      debug: z.boolean().optional(),
+      async: z.boolean().optional(),
+      rulesSheet: z.string().optional(),
+      model: z.string().optional(),
+      protocol: z.enum(["records", "json"]).optional(),
+      tm: z
+        .object({
+          enabled: z.boolean().optional(),
+          fuzzy: z.enum(["off", "hint", "prefill"]).optional(),
+          minScore: z.number().min(0.5).max(1).optional(),
+          batches: z.boolean().optional(),
+        })
+        .optional(),
+    },
+    async (args) => runAsTool(() => runBatch({ ...args }))
+  );
+
+  mcp.tool(
+    "batch_status",
+    {
+      batchId: z.string().min(1),
+    },
+    async ({ batchId }) => runAsTool(() => getBatchStatus({ batchId }))
+  );
+
+  mcp.tool(
+    "batch_cancel",
+    {
+      batchId: z.string().min(1),
+    },
+    async ({ batchId }) => runAsTool(() => cancelBatch({ batchId }))
+  );
+
+  mcp.tool(
+    "batch_rollback",
+    "Restore cells overwritten by a batch upload or apply (a_*). Write journals are kept for BATCH_JOURNAL_RETENTION_MS (default 24h); after that rollback fails with 404.",
+    {
+      batchId: z.string().min(1),
+      force: z.boolean().optional(),
+      dryRun: z.boolean().optional(),
+    },
+    async (args) => runAsTool(() => rollbackBatch({ ...args }))
+  );
+
+  mcp.tool(
+    "batch_results",
+    {
+      batchId: z.string().min(1),
+      offset: z.number().int().min(0).optional(),
+      limit: z.number().int().min(1).max(500).optional(),
+    },
+    async ({ batchId, offset, limit }) => runAsTool(() => getBatchResults({ batchId, offset, limit }))
+  );
+
+  mcp.tool(
+    "batch_anomalies",
+    {
+      batchId: z.string().min(1),
+      offset: z.number().int().min(0).optional(),
+      limit: z.number().int().min(1).max(500).optional(),
+    },
+    async ({ batchId, offset, limit }) => runAsTool(() => getBatchAnomalies({ batchId, offset, limit }))
+  );
+
+  // ---------------- candidates (mirrors /v2/candidates/batch) ----------------
+  mcp.tool(
+    "candidates_batch",
+    {
+      sheet: z.string().optional(),
+      category: z.string().optional(),
+      sourceLang: z.enum(["en-US", "ko-KR"]).optional(),
+      sourceTexts: z.array(z.string()).min(1).max(200),
+      targetLangs: z.array(z.string()).min(1).max(20),
+      sources: z.array(z.string()).optional(),
+      candidateSheets: z.array(z.string()).optional(),
+      maxCandidatesPerLang: z.number().int().min(1).max(5).optional(),
+      includeEvidence: z.boolean().optional(),
+    },
+    async (args) => runAsTool(() => runCandidates({ ...args }))
+  );
+
+  // ---------------- v1 QA / apply (mirrors /v1/qa/run, /run-apply) ----------------
+  mcp.tool(
+    "qa_run",
+    {
+      sheet: z.string().min(1),
+      sourceLang: z.string().min(1),
+      targetLang: z.string().min(1),
+      limit: z.number().int().min(1).max(500).optional(),
+      cursor: z.string().optional(),
+    },
+    async (args) => runAsTool(() => runQa({ ...args }))
+  );
+
+  mcp.tool(
+    "glossary_apply",
+    {
+      sheet: z.string().min(1),
+      category: z.string().optional(),
+      sourceLang: z.enum(["en-US", "ko-KR"]).optional(),
+      entries: z
+        .array(
+          z.object({
+            rowIndex: z.number().int().min(2),
+            sourceText: z.string().min(1),
+            translations: z.record(z.string(), z.string()),
+          })
+        )
+        .min(1)
+        .max(500),
+    },
+    async (args) => runAsTool(() => runApply({ ...args }))
+  );
+
   app.all("/mcp", async (req, res) => {
     const transport = new StreamableHTTPServerTransport({
       enableJsonResponse: true,
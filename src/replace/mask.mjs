@@ -0,0 +1,144 @@
+// src/replace/mask.mjs
+// - Mask/placeholder protocol shared by replace → translate → QA
+//   - LLM round-trip: glossary/rule hits become opaque tokens "{mask:N}" (N = 0,1,2... per text)
+//   - Human-facing text (replace_texts output, QA sheets): anchors "«T:target»"
+// - unmaskText() restores tokens and reports lost / duplicated / unknown tokens
+// - replaceOutsideMasks() never cuts an existing token/anchor in half
+//   (shorter glossary terms or later rules must not match the inserted text),
+//   but a match may contain whole tokens ("{V} 획득" matches "{mask:0} 획득")
+
+export const MASK_TOKEN_PREFIX = "mask";
+
+// tolerant on restore: models sometimes add spaces ("{ mask: 3 }") or change case
+const MASK_TOKEN_RE = /\{\s*mask\s*:\s*(\d+)\s*\}/gi;
+const ANCHOR_RE = /«T:([^»]+)»/g;
+const PROTECTED_RE = /\{\s*mask\s*:\s*\d+\s*\}|«T:[^»]+»/gi;
+
+/** @param {number} id */
+export function maskToken(id) {
+  return `{${MASK_TOKEN_PREFIX}:${Number(id)}}`;
+}
+
+/** @param {string} text target term as shown to humans */
+export function anchorText(text) {
+  return `«T:${String(text ?? "")}»`;
+}
+
+/**
+ * Anchors in a text.
+ * @returns {Array<{ full:string, inner:string, index:number }>}
+ */
+export function findAnchors(text) {
+  return [...String(text ?? "").matchAll(ANCHOR_RE)].map((m) => ({
+    full: m[0],
+    inner: m[1],
+    index: Number(m.index ?? 0),
+  }));
+}
+
+/**
+ * Raw mask tokens left in a text (e.g. a translation that was never unmasked).
+ * @returns {string[]}
+ */
+export function findMaskTokens(text) {
+  return [...String(text ?? "").matchAll(MASK_TOKEN_RE)].map((m) => m[0]);
+}
+
+/**
+ * Per-text mask set.
+ * - add(value, meta) → token
+ * - list() → [{ id, token, value, meta }]
+ */
+export function createMaskSet() {
+  const masks = [];
+  return {
+    add(value, meta = {}) {
+      const id = masks.length;
+      const token = maskToken(id);
+      masks.push({ id, token, value: String(value ?? ""), meta });
+      return token;
+    },
+    list() {
+      return masks.slice();
+    },
+    get size() {
+      return masks.length;
+    },
+  };
+}
+
+/**
+ * [start, end) offsets of mask tokens / anchors already in a text.
+ * @returns {Array<[number, number]>}
+ */
+export function findProtectedSpans(text) {
+  const spans = [];
+  for (const m of String(text ?? "").matchAll(PROTECTED_RE)) {
+    spans.push([m.index, m.index + m[0].length]);
+  }
+  return spans;
+}
+
+/**
+ * String.replace that skips matches partially overlapping a mask token or anchor.
+ * - a match fully containing a token/anchor is kept (the token passes through captures intact)
+ * - non-global `re` keeps its semantics (first eligible match only)
+ * @param {string} text
+ * @param {RegExp} re
+ * @param {(match:string, ...rest:any[]) => string} replacer
+ */
+export function replaceOutsideMasks(text, re, replacer) {
+  const s = String(text ?? "");
+
+  const spans = findProtectedSpans(s);
+  if (!spans.length) return s.replace(re, replacer);
+
+  const globalRe = re.global ? re : new RegExp(re.source, `${re.flags}g`);
+  let done = false;
+
+  return s.replace(globalRe, (...args) => {
+    const match = args[0];
+    if (done) return match;
+
+    // (match, ...groups, offset, string[, namedGroups])
+    const hasNamed = typeof args[args.length - 1] === "object" && args[args.length - 1] !== null;
+    const offset = Number(args[args.length - (hasNamed ? 3 : 2)]);
+    const end = offset + match.length;
+
+    // reject only matches that cut a span: overlapping it without containing it whole
+    if (spans.some(([a, b]) => offset < b && end > a && !(offset <= a && end >= b))) return match;
+    if (!re.global) done = true;
+    return replacer(...args);
+  });
+}
+
+/**
+ * Restore mask tokens.
+ * @param {string} text
+ * @param {Array<{ id:number, token:string, value:string }>} masks
+ * @param {{ style?: "plain"|"anchor" }} [opts] plain: target text, anchor: «T:target»
+ * @returns {{ out:string, lost:Array<object>, duplicated:Array<object>, unknown:string[] }}
+ */
+export function unmaskText(text, masks, { style = "plain" } = {}) {
+  const list = Array.isArray(masks) ? masks : [];
+  const byId = new Map(list.map((m) => [Number(m.id), m]));
+  const seen = new Map();
+  const unknown = [];
+
+  const out = String(text ?? "").replace(MASK_TOKEN_RE, (full, n) => {
+    const m = byId.get(Number(n));
+    if (!m) {
+      unknown.push(full);
+      return full;
+    }
+    seen.set(m.id, (seen.get(m.id) || 0) + 1);
+    return style === "anchor" ? anchorText(m.value) : m.value;
+  });
+
+  const lost = list.filter((m) => !seen.has(m.id)).map((m) => ({ token: m.token, value: m.value }));
+  const duplicated = list
+    .filter((m) => (seen.get(m.id) || 0) > 1)
+    .map((m) => ({ token: m.token, value: m.value, count: seen.get(m.id) }));
+
+  return { out, lost, duplicated, unknown };
+}
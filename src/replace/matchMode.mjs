@@ -0,0 +1,145 @@
+// src/replace/matchMode.mjs
+// - Per-entry glossary match modes (glossary sheet `match_type` column)
+//   - "" | substring | contains : anywhere (default, previous behavior)
+//   - word | exact              : whole word (boundary on both sides)
+//   - prefix                    : word starts with the term ("Arrow" → "Arrows", not "Sparrow")
+//   - particle | ko_particle    : whole word, optionally followed by a Korean particle ("포션을", "Arrow를")
+//   - ci | case_insensitive     : case-insensitive (combinable: "word,ci", "prefix+ci")
+// - Boundaries are Unicode-aware: letters/digits of the same script form a word;
+//   a Hangul ↔ Latin (or Han/Kana) switch counts as a boundary ("Arrow를" → "Arrow" + "를")
+
+const MODE_ALIASES = {
+  substring: "substring",
+  contains: "substring",
+  word: "word",
+  exact: "word",
+  whole_word: "word",
+  prefix: "prefix",
+  starts_with: "prefix",
+  particle: "particle",
+  ko_particle: "particle",
+  korean: "particle",
+  ci: "ci",
+  icase: "ci",
+  case_insensitive: "ci",
+  nocase: "ci",
+};
+
+// longest first (checked in order)
+const KO_PARTICLES = [
+  "이라고", "에서는", "에게서", "으로는", "으로서", "으로써", "에서도", "이라는",
+  "에서", "에게", "한테", "부터", "까지", "보다", "처럼", "으로", "로서", "로써",
+  "이나", "이랑", "마다", "조차", "마저", "라고", "라는", "에는", "와는", "과는",
+  "은", "는", "이", "가", "을", "를", "의", "에", "로", "와", "과", "도", "만", "나", "랑", "께", "야",
+];
+
+const RE_HANGUL = /\p{Script=Hangul}/u;
+const RE_HAN = /\p{Script=Han}/u;
+const RE_KANA = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const RE_WORD = /[\p{L}\p{N}\p{M}_]/u;
+
+export const DEFAULT_MATCH_MODE = Object.freeze({
+  label: "substring",
+  word: false,
+  prefix: false,
+  particle: false,
+  ci: false,
+});
+
+/**
+ * Parse a `match_type` cell. Unknown tokens are ignored (→ substring).
+ * @param {string} raw e.g. "word", "prefix,ci", "ko_particle"
+ * @returns {{ label:string, word:boolean, prefix:boolean, particle:boolean, ci:boolean }}
+ */
+export function parseMatchMode(raw) {
+  const tokens = String(raw ?? "")
+    .trim()
+    .toLowerCase()
+    .split(/[\s,+|/]+/)
+    .map((t) => MODE_ALIASES[t.replace(/-/g, "_")])
+    .filter(Boolean);
+
+  if (!tokens.length) return DEFAULT_MATCH_MODE;
+
+  const set = new Set(tokens);
+  const mode = {
+    word: set.has("word"),
+    prefix: set.has("prefix"),
+    particle: set.has("particle"),
+    ci: set.has("ci"),
+  };
+  const label = ["word", "prefix", "particle", "ci"].filter((k) => mode[k]).join(",") || "substring";
+  return Object.freeze({ label, ...mode });
+}
+
+/**
+ * Lowercase without changing string length (offsets stay valid for the original text).
+ */
+export function foldCase(s) {
+  const str = String(s ?? "");
+  const lower = str.toLowerCase();
+  if (lower.length === str.length) return lower;
+
+  let out = "";
+  for (const ch of str) {
+    const l = ch.toLowerCase();
+    out += l.length === ch.length ? l : ch;
+  }
+  return out;
+}
+
+function wordClass(ch) {
+  if (!ch || !RE_WORD.test(ch)) return null;
+  if (RE_HANGUL.test(ch)) return "hangul";
+  if (RE_HAN.test(ch)) return "han";
+  if (RE_KANA.test(ch)) return "kana";
+  return "word"; // Latin, Cyrillic, digits, ...
+}
+
+function charBefore(text, pos) {
+  if (pos <= 0) return "";
+  const code = text.charCodeAt(pos - 1);
+  // low surrogate → take the pair
+  if (code >= 0xdc00 && code <= 0xdfff && pos >= 2) return text.slice(pos - 2, pos);
+  return text[pos - 1];
+}
+
+function charAt(text, pos) {
+  if (pos >= text.length) return "";
+  const cp = text.codePointAt(pos);
+  return String.fromCodePoint(cp);
+}
+
+/** True when `pos` (between two UTF-16 offsets) is a word boundary. */
+export function isBoundary(text, pos) {
+  const a = wordClass(charBefore(text, pos));
+  const b = wordClass(charAt(text, pos));
+  return !a || !b || a !== b;
+}
+
+function endsWithParticle(text, end) {
+  if (isBoundary(text, end)) return true;
+  for (const p of KO_PARTICLES) {
+    if (text.startsWith(p, end) && isBoundary(text, end + p.length)) return true;
+  }
+  return false;
+}
+
+/**
+ * Does the candidate [start, end) satisfy the entry's match mode?
+ * @param {{ word:boolean, prefix:boolean, particle:boolean, ci:boolean }} mode
+ * @param {string} term glossary source term
+ * @param {string} text original (not case-folded) text
+ */
+export function acceptMatch(mode, term, text, start, end) {
+  const m = mode || DEFAULT_MATCH_MODE;
+
+  if (!m.ci && !text.startsWith(term, start)) return false;
+
+  const needStart = m.word || m.prefix || m.particle;
+  if (needStart && !isBoundary(text, start)) return false;
+
+  if (m.particle) return endsWithParticle(text, end);
+  if (m.word) return isBoundary(text, end);
+  return true;
+}
@@ -0,0 +1,130 @@
+// src/replace/matcher.mjs
+// - Aho-Corasick multi-pattern matcher for glossary replacement
+//   - one pass over the text regardless of term count
+//   - leftmost-longest, non-overlapping matches (same as a longest-first alternation)
+// - Case-sensitive, UTF-16 code units (same semantics as the previous per-term RegExp)
+//   - callers fold case themselves (foldCase) and filter candidates with `accept`
+//     (match modes: word boundary, prefix, particles, case-sensitivity)
+
+/**
+ * Build a matcher over `terms` (index in the array = pattern id).
+ * @param {string[]} terms
+ * @returns {{ size:number, nodeCount:number,
+ *   findAll(text:string, accept?:(id:number, start:number, end:number) => boolean):Array<{ start:number, end:number, id:number }>,
+ *   findEvery(text:string):Array<{ start:number, end:number, id:number }> }}
+ */
+export function buildMatcher(terms) {
+  const list = Array.isArray(terms) ? terms : [];
+
+  // trie (node 0 = root)
+  const next = [new Map()];
+  const outIds = [null]; // patterns ending exactly at this node (same string → several ids, in order)
+  const depth = [0];
+
+  list.forEach((term, id) => {
+    const s = String(term ?? "");
+    if (!s) return;
+
+    let node = 0;
+    for (let i = 0; i < s.length; i++) {
+      const c = s.charCodeAt(i);
+      let child = next[node].get(c);
+      if (child === undefined) {
+        child = next.length;
+        next.push(new Map());
+        outIds.push(null);
+        depth.push(depth[node] + 1);
+        next[node].set(c, child);
+      }
+      node = child;
+    }
+    // duplicate terms: kept in order (callers pass them in priority order)
+    (outIds[node] ??= []).push(id);
+  });
+
+  const n = next.length;
+  const fail = new Int32Array(n);
+  const dictLink = new Int32Array(n).fill(-1); // nearest proper suffix node with a pattern
+
+  // BFS: failure + dictionary-suffix links
+  const queue = [];
+  for (const child of next[0].values()) queue.push(child);
+
+  for (let qi = 0; qi < queue.length; qi++) {
+    const node = queue[qi];
+    for (const [c, child] of next[node]) {
+      let f = fail[node];
+      while (f !== 0 && !next[f].has(c)) f = fail[f];
+      const target = next[f].get(c);
+      fail[child] = target !== undefined && target !== child ? target : 0;
+      dictLink[child] = outIds[fail[child]] ? fail[child] : dictLink[fail[child]];
+      queue.push(child);
+    }
+  }
+
+  function step(node, c) {
+    while (node !== 0 && !next[node].has(c)) node = fail[node];
+    return next[node].get(c) ?? 0;
+  }
+
+  return {
+    size: list.length,
+    nodeCount: n,
+
+    findAll(text, accept) {
+      const s = String(text ?? "");
+      if (!s || n === 1) return [];
+
+      // longest match per start offset
+      const bestLen = new Map();
+      const bestId = new Map();
+
+      let node = 0;
+      for (let i = 0; i < s.length; i++) {
+        node = step(node, s.charCodeAt(i));
+
+        for (let m = outIds[node] ? node : dictLink[node]; m !== -1; m = dictLink[m]) {
+          const len = depth[m];
+          const start = i - len + 1;
+          if ((bestLen.get(start) ?? 0) >= len) continue;
+
+          const id = accept ? outIds[m].find((x) => accept(x, start, i + 1)) : outIds[m][0];
+          if (id === undefined) continue;
+          bestLen.set(start, len);
+          bestId.set(start, id);
+        }
+      }
+
+      if (!bestLen.size) return [];
+
+      // leftmost-longest, non-overlapping
+      const starts = Array.from(bestLen.keys()).sort((a, b) => a - b);
+      const out = [];
+      let pos = 0;
+      for (const start of starts) {
+        if (start < pos) continue;
+        const end = start + bestLen.get(start);
+        out.push({ start, end, id: bestId.get(start) });
+        pos = end;
+      }
+      return out;
+    },
+
+    // every (overlapping) occurrence, in end-offset order — e.g. "which terms contain which"
+    findEvery(text) {
+      const s = String(text ?? "");
+      if (!s || n === 1) return [];
+
+      const out = [];
+      let node = 0;
+      for (let i = 0; i < s.length; i++) {
+        node = step(node, s.charCodeAt(i));
+        for (let m = outIds[node] ? node : dictLink[node]; m !== -1; m = dictLink[m]) {
+          const start = i - depth[m] + 1;
+          for (const id of outIds[m]) out.push({ start, end: i + 1, id });
+        }
+      }
+      return out;
+    },
+  };
+}
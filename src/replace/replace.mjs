@@ -1,29 +1,38 @@
 // src/replace/replace.mjs
 // - Phase 1: Glossary 치환 + 상세 로그
-// ✅ Fix: 치환 결과를 << >> 로 마스킹 처리
+// ✅ 치환 결과 마스킹: src/replace/mask.mjs 프로토콜
+//   - masks 전달 시 {mask:N} 토큰 (LLM 번역 전), 없으면 «T:target» 앵커 (사람/QA용)
 // ✅ Fix: replacePlan / plan 둘 다 지원 (호환)
+// ✅ 단일 패스 매칭: Aho-Corasick (src/replace/matcher.mjs), leftmost-longest / non-overlapping
+//   - 삽입된 치환 결과는 다시 스캔하지 않음 (짧은 용어가 재매칭되던 문제 해결)
+// ✅ entry별 match_type (word / prefix / particle / ci): src/replace/matchMode.mjs
 
-import { escapeRegExp } from "../utils/common.mjs";
+import { anchorText, findProtectedSpans } from "./mask.mjs";
+import { buildMatcher } from "./matcher.mjs";
+import { parseMatchMode, foldCase, acceptMatch } from "./matchMode.mjs";
+import { resolveConflictPolicy, rankCandidates } from "../glossary/conflicts.mjs";
 
 // ---------------- Replace Plan Compilation ----------------
 
 /**
  * Compile a replace plan for a given (sourceTextMap, targetLangKey).
- * - Picks the first available translation per term
- * - Sorts terms by length desc
- * - Pre-builds RegExp objects once
+ * - Duplicate terms: winner picked by the conflict policy (src/glossary/conflicts.mjs)
+ * - Sorts terms by length desc (items order = log order)
+ * - Builds one Aho-Corasick matcher over all terms (items[i] ↔ pattern id i)
+ *   - patterns are case-folded; each hit is checked against the chosen entry's match_type
  *
  * @param {object} params
  * @param {string} params.targetLangKey
  * @param {Map<string, Array>} params.sourceTextMap Map<sourceText, entry[]>
- * @returns {{ targetLangKey: string, items: Array<{term:string, re:RegExp, target:string, chosen:{key?:string,rowIndex?:number}}>, termCount:number }}
+ * @param {string|string[]} [params.conflictPolicy] default: GLOSSARY_CONFLICT_POLICY
+ * @returns {{ targetLangKey: string, items: Array<{term:string, target:string, note?:string, mode:object, chosen:{key?:string,rowIndex?:number}}>, termCount:number, matcher:object }}
  */
-export function compileReplacePlan({ targetLangKey, sourceTextMap }) {
+export function compileReplacePlan({ targetLangKey, sourceTextMap, conflictPolicy }) {
   const tlk = String(targetLangKey ?? "").trim().toLowerCase();
-  if (!tlk) return { targetLangKey: "", items: [], termCount: 0 };
+  if (!tlk) return { targetLangKey: "", items: [], termCount: 0, matcher: buildMatcher([]) };
 
   if (!sourceTextMap || typeof sourceTextMap.get !== "function") {
-    return { targetLangKey: tlk, items: [], termCount: 0 };
+    return { targetLangKey: tlk, items: [], termCount: 0, matcher: buildMatcher([]) };
   }
 
   const terms = Array.from(sourceTextMap.keys())
@@ -33,30 +42,21 @@ export function compileReplacePlan({ targetLangKey, sourceTextMap }) {
   // longest-first
   terms.sort((a, b) => b.length - a.length);
 
+  const policy = resolveConflictPolicy(conflictPolicy);
   const items = [];
 
   for (const term of terms) {
     const candidates = sourceTextMap.get(term) || [];
 
-    let chosen = null;
-    let target = "";
-
-    for (const c of candidates) {
-      const v = c?.translations?.[tlk];
-      if (v && String(v).trim()) {
-        chosen = c;
-        target = String(v).trim();
-        break;
-      }
-    }
+    const chosen = candidates.length > 1 ? rankCandidates(candidates, tlk, policy)[0] : candidates[0];
+    const target = String(chosen?.translations?.[tlk] ?? "").trim();
     if (!chosen || !target) continue;
 
-    const re = new RegExp(escapeRegExp(term), "g");
-
     items.push({
       term,
-      re,
       target,
+      ...(chosen.note ? { note: chosen.note } : {}),
+      mode: parseMatchMode(chosen.matchType),
       chosen: {
         key: chosen.key || undefined,
         rowIndex: chosen._rowIndex,
@@ -64,14 +64,50 @@ export function compileReplacePlan({ targetLangKey, sourceTextMap }) {
     });
   }
 
-  return { targetLangKey: tlk, items, termCount: terms.length };
+  const matcher = buildMatcher(items.map((it) => foldCase(it.term)));
+
+  return { targetLangKey: tlk, items, termCount: terms.length, matcher, conflictPolicy: policy };
+}
+
+/**
+ * Single pass over `text` with the plan's matcher.
+ * - matches overlapping existing mask tokens / anchors are skipped
+ * @param {string} text
+ * @param {{items:Array, matcher:object}} plan
+ * @param {(item:object) => string} render replacement for one hit
+ * @returns {{ out:string, hits:Map<number, number> }} hits: item index -> count
+ */
+function replaceWithPlan(text, plan, render) {
+  const hits = new Map();
+  const matches = plan?.matcher
+    ? plan.matcher.findAll(foldCase(text), (id, start, end) =>
+        acceptMatch(plan.items[id].mode, plan.items[id].term, text, start, end)
+      )
+    : [];
+  if (!matches.length) return { out: text, hits };
+
+  const spans = findProtectedSpans(text);
+
+  let out = "";
+  let pos = 0;
+  for (const m of matches) {
+    if (spans.length && spans.some(([a, b]) => m.start < b && m.end > a)) continue;
+
+    const it = plan.items[m.id];
+    out += text.slice(pos, m.start) + render(it);
+    pos = m.end;
+    hits.set(m.id, (hits.get(m.id) || 0) + 1);
+  }
+  out += text.slice(pos);
+
+  return { out, hits };
 }
 
 /**
  * Fast replace with a compiled plan (no logs, no counts).
  * @param {object} params
  * @param {string} params.text
- * @param {{items:Array<{re:RegExp,target:string}>}} params.plan
+ * @param {{items:Array<{target:string}>, matcher:object}} params.plan
  */
 export function replaceByGlossaryFast({ text, plan }) {
   if (typeof text !== "string") text = String(text ?? "");
@@ -80,9 +116,7 @@ export function replaceByGlossaryFast({ text, plan }) {
   const items = Array.isArray(plan?.items) ? plan.items : [];
   if (items.length === 0) return text;
 
-  let out = text;
-  for (const it of items) out = out.replace(it.re, it.target);
-  return out;
+  return replaceWithPlan(text, plan, (it) => it.target).out;
 }
 
 // ---------------- Replace Logic (Phase 1 + Logs) ----------------
@@ -91,6 +125,7 @@ export function replaceByGlossaryFast({ text, plan }) {
  * Backward compatible function.
  * - replacePlan: compiled plan (preferred)
  * - plan: alias for backward/other call sites (supported)
+ * - masks: mask set (createMaskSet) → hits become {mask:N}; omitted → «T:target» anchors
  */
 export function replaceByGlossaryWithLogs({
   text,
@@ -99,6 +134,7 @@ export function replaceByGlossaryWithLogs({
   sourceTextMap,
   replacePlan,
   plan, // ✅ alias 지원
+  masks,
 }) {
   if (typeof text !== "string") text = String(text ?? "");
   if (!text) return { out: "", replacedTotal: 0, logs: [] };
@@ -108,43 +144,41 @@ export function replaceByGlossaryWithLogs({
 
   // ✅ compiled plan preference: replacePlan > plan
   let usedPlan = replacePlan || plan;
-  if (!usedPlan || !Array.isArray(usedPlan.items) || usedPlan.targetLangKey !== tlk) {
+  if (!usedPlan || !Array.isArray(usedPlan.items) || !usedPlan.matcher || usedPlan.targetLangKey !== tlk) {
     usedPlan = compileReplacePlan({ targetLangKey: tlk, sourceTextMap });
   }
 
   const items = usedPlan.items || [];
   if (items.length === 0) return { out: text, replacedTotal: 0, logs: [] };
 
-  let out = text;
+  // 이미 있던 토큰/앵커 내부는 치환하지 않음 (replaceWithPlan)
+  const { out, hits } = replaceWithPlan(text, usedPlan, (it) =>
+    masks
+      ? masks.add(it.target, { kind: "glossary", from: it.term, ...(it.note ? { note: it.note } : {}) })
+      : anchorText(it.target)
+  );
+
   let replacedTotal = 0;
   const logs = [];
 
-  for (const it of items) {
-    const re = it.re;
-    const target = it.target;
-
-    let localCount = 0;
-
-    out = out.replace(re, () => {
-      localCount += 1;
-      // ✅ 핵심: 용어 치환은 << >> 마스킹
-      return `<<${target}>>`;
+  // logs keep plan order (longest term first), as before
+  for (const idx of Array.from(hits.keys()).sort((a, b) => a - b)) {
+    const it = items[idx];
+    const count = hits.get(idx);
+    replacedTotal += count;
+    logs.push({
+      sourceLang: sourceLangKey,
+      targetLang: tlk,
+      from: it.term,
+      to: it.target,
+      count,
+      matchType: it.mode?.label ?? "substring",
+      ...(it.note ? { note: it.note } : {}),
+      chosen: {
+        key: it?.chosen?.key,
+        rowIndex: it?.chosen?.rowIndex,
+      },
     });
-
-    if (localCount > 0) {
-      replacedTotal += localCount;
-      logs.push({
-        sourceLang: sourceLangKey,
-        targetLang: tlk,
-        from: it.term,
-        to: target,
-        count: localCount,
-        chosen: {
-          key: it?.chosen?.key,
-          rowIndex: it?.chosen?.rowIndex,
-        },
-      });
-    }
   }
 
   return { out, replacedTotal, logs };
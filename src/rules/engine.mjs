@@ -0,0 +1,150 @@
+// src/rules/engine.mjs
+// - Rules engine: compilation, category selection, priority ordering, application
+//   - compile: src/rules/pattern.mjs (match_type → global RegExp), cached on entry._compiledRe
+//   - selection: rules with an empty 분류 apply to every category, otherwise exact category match
+//   - order: priority desc, then sheet row
+//   - application: every match, never inside existing mask tokens / anchors
+// - dryRun: same output plus a per-rule explanation (why a rule did or did not fire)
+//   → POST /v1/rules/test
+
+import { replaceOutsideMasks } from "../replace/mask.mjs";
+import { compileRuleRegex, matchFromReplaceArgs, renderRuleTarget } from "./pattern.mjs";
+
+/**
+ * Compile once and cache on the entry (rules cache entries are reused across requests).
+ * @returns {RegExp|null}
+ */
+export function compileRule(entry) {
+  if (!entry) return null;
+  if (entry._compiledRe instanceof RegExp) return entry._compiledRe;
+
+  const re = compileRuleRegex(entry);
+  if (re) entry._compiledRe = re;
+  return re;
+}
+
+function ruleCategory(entry) {
+  return String(entry?.category ?? "").trim().toLowerCase();
+}
+
+function describeRule(r) {
+  return {
+    key: r?.key ?? null,
+    rowIndex: r?._rowIndex ?? null,
+    category: r?.category ?? "",
+    matchType: r?.matchType ?? "",
+    priority: r?.priority ?? 0,
+    ...(r?.note ? { note: r.note } : {}),
+  };
+}
+
+/**
+ * Rules applying to a row category, in application order.
+ * @param {Array<object>} entries rules cache entries
+ * @param {string} categoryKey row category ("" → only ALL rules)
+ */
+export function selectRules(entries, categoryKey) {
+  const all = Array.isArray(entries) ? entries : [];
+  if (!all.length) return [];
+
+  const cat = String(categoryKey ?? "").trim().toLowerCase();
+  const picked = all.filter((e) => {
+    const ko = String(e?.translations?.["ko-kr"] ?? "").trim();
+    if (!ko) return false;
+    const c = ruleCategory(e);
+    return !c || c === cat; // empty 분류 = ALL
+  });
+
+  picked.sort((a, b) => {
+    // non-numeric priority (NaN) sorts as 0; reported by GET /v1/rules/validate
+    const pa = Number(a?.priority) || 0;
+    const pb = Number(b?.priority) || 0;
+    if (pb !== pa) return pb - pa;
+    return Number(a?._rowIndex ?? 0) - Number(b?._rowIndex ?? 0);
+  });
+  return picked;
+}
+
+/**
+ * Apply rules to a text.
+ * - targets are templates ({N}, {V}, {N|num}; see src/rules/pattern.mjs)
+ * - masks given → fixed parts become {mask:N} tokens, free-text captures stay translatable
+ * @param {object} params
+ * @param {string} params.text
+ * @param {string} params.categoryKey
+ * @param {string} params.targetLangKey
+ * @param {{ entries:Array<object> }} params.rulesCache
+ * @param {object} [params.masks] createMaskSet()
+ * @param {boolean} [params.dryRun] include `explain` (per-rule trace)
+ * @returns {{ out:string, hits:number, matched:Array<object>, explain?:Array<object> }}
+ */
+export function applyRules({ text, categoryKey, targetLangKey, rulesCache, masks, dryRun = false }) {
+  let out = String(text ?? "");
+  const rules = out ? selectRules(rulesCache?.entries, categoryKey) : [];
+  const explain = dryRun ? [] : undefined;
+  if (!rules.length) return { out, hits: 0, matched: [], explain };
+
+  const tlk = String(targetLangKey ?? "").trim().toLowerCase();
+  let hits = 0;
+  const matched = [];
+
+  for (const r of rules) {
+    const trace = dryRun ? { ...describeRule(r), pattern: r.translations["ko-kr"] } : null;
+    if (trace) explain.push(trace);
+
+    const to = String(r?.translations?.[tlk] ?? "").trim();
+    if (!to) {
+      if (trace) trace.status = "no_target";
+      continue;
+    }
+    if (trace) trace.target = to;
+
+    const re = compileRule(r);
+    if (!(re instanceof RegExp)) {
+      if (trace) trace.status = "invalid";
+      continue;
+    }
+
+    re.lastIndex = 0;
+    if (!re.test(out)) {
+      re.lastIndex = 0;
+      if (trace) trace.status = "no_match";
+      continue;
+    }
+    re.lastIndex = 0;
+
+    const matches = [];
+    let count = 0;
+    out = replaceOutsideMasks(out, re, (...args) => {
+      count += 1;
+      const m = matchFromReplaceArgs(args);
+      const segments = renderRuleTarget(to, m, { locale: tlk });
+      if (trace) {
+        matches.push({
+          match: m.match,
+          groups: m.groups,
+          named: { ...m.named },
+          output: segments.map((seg) => seg.text).join(""),
+        });
+      }
+      return segments
+        .map((seg) => (masks && seg.fixed ? masks.add(seg.text, { kind: "rule", key: r?.key ?? null }) : seg.text))
+        .join("");
+    });
+
+    if (count) {
+      hits += 1;
+      matched.push({ ...describeRule(r), count });
+      if (trace) {
+        trace.status = "applied";
+        trace.matches = matches;
+        trace.textAfter = out;
+      }
+    } else if (trace) {
+      // matched only inside glossary/earlier rule output
+      trace.status = "masked_only";
+    }
+  }
+
+  return { out, hits, matched, explain };
+}
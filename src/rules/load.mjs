@@ -2,21 +2,90 @@
  * src/rules/load.mjs
  * - Rules 시트를 로드해서 entries 구조로 변환
  * - match_type / priority / note 포함
+ * - parseRulesValues(): header/rows → entries (no I/O), strict:false → header 문제를 problems로 수집
+ * - 시트별 rule set: resolveRulesSheet() (request param > RULES_SHEET_MAP > RULE_SHEET_NAME)
  *
  * 주의:
  * - itemEntries 필터링은 cache/global.mjs에서 수행한다.
  */
 
-import { RULE_SHEET_RANGE } from "../config/env.mjs";
+import { RULE_SHEET_NAME, RULE_SHEET_RANGE, RULES_SHEET_MAP, buildSheetRange } from "../config/env.mjs";
 import { readSheetRange } from "../google/sheets.mjs";
 import { normalizeHeader, nowIso } from "../utils/common.mjs";
 
-export async function loadRulesAll() {
-  const { header, rows } = await readSheetRange(RULE_SHEET_RANGE);
+function parseRulesSheetMap(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return new Map();
+
+  let pairs;
+  if (s.startsWith("{")) {
+    try {
+      pairs = Object.entries(JSON.parse(s));
+    } catch {
+      throw new Error("RULES_SHEET_MAP is not valid JSON.");
+    }
+  } else {
+    pairs = s.split(",").map((p) => p.split(/[=:]/));
+  }
+
+  return new Map(
+    pairs
+      .map(([g, r]) => [String(g ?? "").trim().toLowerCase(), String(r ?? "").trim()])
+      .filter(([g, r]) => g && r)
+  );
+}
+
+const _rulesSheetMap = parseRulesSheetMap(RULES_SHEET_MAP);
+
+/**
+ * Which Rules sheet to use: explicit > RULES_SHEET_MAP[glossarySheet] > RULE_SHEET_NAME
+ * @param {{ rulesSheet?:string, glossarySheet?:string }} [opts]
+ */
+export function resolveRulesSheet({ rulesSheet, glossarySheet } = {}) {
+  const explicit = String(rulesSheet ?? "").trim();
+  if (explicit) return explicit;
+
+  const mapped = _rulesSheetMap.get(String(glossarySheet ?? "").trim().toLowerCase());
+  return mapped || RULE_SHEET_NAME;
+}
+
+function rulesRange(sheetName) {
+  // RULE_SHEET_RANGE (env) only describes the default sheet
+  if (sheetName.toLowerCase() === RULE_SHEET_NAME.toLowerCase()) return RULE_SHEET_RANGE;
+  return buildSheetRange(sheetName, "A:U");
+}
+
+/**
+ * @param {{ sheetName?: string, strict?: boolean }} [opts]
+ *   - sheetName: Rules sheet (default RULE_SHEET_NAME)
+ *   - strict:false → header problems are collected in `problems` instead of throwing
+ *     (used by GET /v1/rules/validate)
+ */
+export async function loadRulesAll(opts = {}) {
+  const sheetName = String(opts.sheetName ?? "").trim() || RULE_SHEET_NAME;
+  const { header, rows } = await readSheetRange(rulesRange(sheetName));
+  return { sheetName, ...parseRulesValues({ header, rows }, opts) };
+}
+
+/**
+ * Sheet values → rule entries (no I/O).
+ * @param {{ header:string[], rows:string[][] }} values
+ * @param {{ strict?: boolean }} [opts]
+ */
+export function parseRulesValues({ header, rows }, { strict = true } = {}) {
+  header = Array.isArray(header) ? header : [];
+  rows = Array.isArray(rows) ? rows : [];
   const loadedAt = nowIso();
+  const problems = [];
+
+  // strict: 기존 동작 (시트 전체 실패), 아니면 row 1 문제로 기록
+  const fail = (code, message) => {
+    if (strict) throw new Error(message);
+    problems.push({ rowIndex: 1, code, message });
+  };
 
   if (!header.length) {
-    return { loadedAt, header: [], rawRows: [], entries: [], rawRowCount: 0, langIndex: {} };
+    return { loadedAt, header: [], rawRows: [], entries: [], rawRowCount: 0, langIndex: {}, idx: {}, problems };
   }
 
   const norm = header.map(normalizeHeader);
@@ -25,10 +94,10 @@ export async function loadRulesAll() {
   const idxCategory = norm.indexOf("분류");
   const idxMatchType = norm.indexOf("match_type");
   const idxPriority = norm.indexOf("priority");
-  const idxNote = norm.indexOf("note");
+  const idxNote = ["note", "notes", "번역메모"].map((h) => norm.indexOf(h)).find((i) => i >= 0) ?? -1;
 
-  if (idxKey < 0) throw new Error("Rules 시트 헤더에 KEY가 없습니다.");
-  if (idxCategory < 0) throw new Error("Rules 시트 헤더에 분류가 없습니다.");
+  if (idxKey < 0) fail("missing_key_column", "Rules 시트 헤더에 KEY가 없습니다.");
+  if (idxCategory < 0) fail("missing_category_column", "Rules 시트 헤더에 분류가 없습니다.");
 
   const excluded = new Set([
     "key",
@@ -37,6 +106,7 @@ export async function loadRulesAll() {
     "term",
     "note",
     "notes",
+    "번역메모",
     "priority",
     "match_type",
   ]);
@@ -50,12 +120,12 @@ export async function loadRulesAll() {
   }
 
   if (langIndex["ko-kr"] == null) {
-    throw new Error("Rules 시트 헤더에 ko-KR이 없습니다. 언어 컬럼 헤더가 'ko-KR'인지 확인하세요.");
+    fail("missing_ko_column", "Rules 시트 헤더에 ko-KR이 없습니다. 언어 컬럼 헤더가 'ko-KR'인지 확인하세요.");
   }
 
   const entries = rows.map((r, rowIdx) => {
-    const key = String(r[idxKey] ?? "").trim();
-    const category = String(r[idxCategory] ?? "").trim().toLowerCase();
+    const key = idxKey >= 0 ? String(r[idxKey] ?? "").trim() : `row:${rowIdx + 2}`;
+    const category = idxCategory >= 0 ? String(r[idxCategory] ?? "").trim().toLowerCase() : "";
 
     const translations = {};
     for (const [langKey, colIdx] of Object.entries(langIndex)) {
@@ -85,5 +155,13 @@ export async function loadRulesAll() {
     entries,
     rawRowCount: rows.length,
     langIndex,
+    idx: {
+      key: idxKey,
+      category: idxCategory,
+      matchType: idxMatchType,
+      priority: idxPriority,
+      note: idxNote,
+    },
+    problems,
   };
 }
@@ -0,0 +1,149 @@
+// src/rules/pattern.mjs
+// - Rules sheet: `pattern` placeholders → named capture groups, target templates → text
+// - Pattern placeholders
+//   - {N} {X} {T} : digits (number / count / time)
+//   - {V}         : free text (rest of the line)
+//   - repeated placeholders are numbered in order: "{N}~{N}초" → groups N, N2
+// - Target template references (any match_type)
+//   - {N} {N2} {V} ... : pattern placeholders
+//   - {name}           : named groups of a `regex` rule ((?<name>...))
+//   - {1} {2} ... {0}  : positional groups ({0} = whole match)
+//   - {N|num}          : number formatted for the target locale (Intl.NumberFormat: 1000 → "1,000" / "1.000")
+//   - unknown references stay literal (visible in output / QA)
+//   - {mask:N} tokens / anchors already in the text (glossary hits captured by the match)
+//     are never part of a fixed segment, so they are not masked a second time
+// - Rule regexes are global: every match is replaced, not only the first
+
+import { escapeRegExp } from "../utils/common.mjs";
+import { findProtectedSpans } from "../replace/mask.mjs";
+
+const PLACEHOLDER_GROUPS = {
+  N: "\\d+",
+  X: "\\d+",
+  T: "\\d+",
+  V: "[^\\r\\n]+",
+};
+
+const TEMPLATE_REF_RE = /\{([A-Za-z_][A-Za-z0-9_]*|\d+)(?:\|([a-z]+))?\}/g;
+
+/**
+ * `pattern` rule text → RegExp source with named groups.
+ * @param {string} pattern e.g. "{N}초 후"
+ */
+export function patternToRegexSource(pattern) {
+  const counts = {};
+  return escapeRegExp(pattern).replace(/\\\{([NXTV])\\\}/g, (_, name) => {
+    counts[name] = (counts[name] || 0) + 1;
+    const groupName = counts[name] > 1 ? `${name}${counts[name]}` : name;
+    return `(?<${groupName}>${PLACEHOLDER_GROUPS[name]})`;
+  });
+}
+
+// "" = exact
+export const RULE_MATCH_TYPES = ["exact", "contains", "word", "regex", "pattern"];
+
+/**
+ * Compile a rule's ko-KR text by match_type, keeping the reason on failure.
+ * @param {{ translations?:object, matchType?:string }} entry
+ * @returns {{ re:RegExp|null, error:string|null }} re is global + multiline
+ */
+export function tryCompileRuleRegex(entry) {
+  const ko = String(entry?.translations?.["ko-kr"] ?? "").trim();
+  if (!ko) return { re: null, error: "empty ko-KR pattern" };
+
+  const mt = String(entry?.matchType ?? "").trim().toLowerCase();
+  try {
+    if (!mt || mt === "exact") return { re: new RegExp(`^${escapeRegExp(ko)}$`, "gm"), error: null };
+    if (mt === "contains") return { re: new RegExp(escapeRegExp(ko), "gm"), error: null };
+    if (mt === "word") return { re: new RegExp(`\\b${escapeRegExp(ko)}\\b`, "gm"), error: null };
+    if (mt === "regex") return { re: new RegExp(ko, "gm"), error: null };
+    if (mt === "pattern") return { re: new RegExp(patternToRegexSource(ko), "gm"), error: null };
+  } catch (e) {
+    return { re: null, error: String(e?.message ?? e) };
+  }
+  return { re: null, error: `unknown match_type: ${mt}` };
+}
+
+/**
+ * Compile a rule's ko-KR text by match_type. Invalid → null.
+ * @returns {RegExp|null} global + multiline
+ */
+export function compileRuleRegex(entry) {
+  return tryCompileRuleRegex(entry).re;
+}
+
+/**
+ * String.replace callback args → match + groups.
+ * (match, ...groups, offset, string[, namedGroups])
+ */
+export function matchFromReplaceArgs(args) {
+  const hasNamed = typeof args[args.length - 1] === "object" && args[args.length - 1] !== null;
+  const named = hasNamed ? args[args.length - 1] : {};
+  const groups = args.slice(1, args.length - (hasNamed ? 3 : 2));
+  return { match: String(args[0] ?? ""), groups, named };
+}
+
+function formatNumber(raw, locale) {
+  const n = Number(String(raw).replace(/,/g, ""));
+  if (!Number.isFinite(n)) return raw;
+  try {
+    return new Intl.NumberFormat(locale || undefined).format(n);
+  } catch {
+    return raw; // unknown locale tag (e.g. custom sheet column)
+  }
+}
+
+/**
+ * Render a rule target against one match.
+ * - Returns segments so callers can keep free-text captures ({V}) outside masks
+ *   (they still need translating); literal text and digit captures are `fixed`
+ * - existing mask tokens / anchors are split out as non-fixed segments (kept as-is)
+ * @param {string} template rule target text
+ * @param {{ match:string, groups:string[], named:object }} m from matchFromReplaceArgs
+ * @param {{ locale?:string }} [opts] target locale for {X|num}
+ * @returns {Array<{ text:string, fixed:boolean }>}
+ */
+export function renderRuleTarget(template, m, { locale } = {}) {
+  const tpl = String(template ?? "");
+  const segments = [];
+  const append = (text, fixed) => {
+    if (!text) return;
+    const last = segments[segments.length - 1];
+    if (last && last.fixed === fixed) last.text += text;
+    else segments.push({ text, fixed });
+  };
+  const push = (text, fixed) => {
+    if (!fixed) return append(text, false);
+    let pos = 0;
+    for (const [a, b] of findProtectedSpans(text)) {
+      append(text.slice(pos, a), true);
+      append(text.slice(a, b), false);
+      pos = b;
+    }
+    append(text.slice(pos), true);
+  };
+
+  let pos = 0;
+  for (const ref of tpl.matchAll(TEMPLATE_REF_RE)) {
+    const [full, name, fmt] = ref;
+
+    let value;
+    if (/^\d+$/.test(name)) value = Number(name) === 0 ? m.match : m.groups[Number(name) - 1];
+    else value = m.named?.[name];
+
+    push(tpl.slice(pos, ref.index), true);
+    pos = ref.index + full.length;
+
+    if (value == null) {
+      push(full, true); // unknown reference → literal
+      continue;
+    }
+
+    const text = fmt === "num" ? formatNumber(value, locale) : String(value);
+    // {V}-style free text goes to translation; digits are fixed
+    push(text, /^[\d\s.,+-]*$/.test(text));
+  }
+  push(tpl.slice(pos), true);
+
+  return segments;
+}
@@ -0,0 +1,165 @@
+// src/rules/validate.mjs
+// - Rules sheet validation: findings point to the Rules sheet row (header problems → row 1)
+// - Pure: runs on parseRulesValues({ strict:false }) output + the Glossary category list
+// - Codes
+//   - missing_*_column   (error)  : header problems (loadRulesAll would throw)
+//   - invalid_regex      (error)  : regex / pattern that does not compile (the rule never fires)
+//   - unknown_match_type (error)  : not exact | contains | word | regex | pattern
+//   - invalid_priority   (error)  : non-numeric priority (sorting breaks)
+//   - shadowed           (warning): an earlier rule (priority order) consumes this rule's text
+//   - unknown_category   (warning): 분류 not present in the Glossary sheet
+// - Shadowing is a heuristic: literal rules (exact / contains / word) are tested against every
+//   earlier contains / regex / pattern rule in scope; other rules only against identical patterns
+
+import { RULE_MATCH_TYPES, tryCompileRuleRegex } from "./pattern.mjs";
+
+const LITERAL_TYPES = new Set(["", "exact", "contains", "word"]);
+const CONSUMING_TYPES = new Set(["contains", "regex", "pattern"]);
+
+function ruleLangs(entry) {
+  return Object.keys(entry?.translations ?? {}).filter((l) => l !== "ko-kr");
+}
+
+function inScope(earlier, rule) {
+  // empty 분류 = ALL rows: only another ALL rule covers every row it applies to
+  return !earlier.category || earlier.category === rule.category;
+}
+
+function findShadow(rule, earlierRules) {
+  const langs = ruleLangs(rule.entry);
+  const ko = rule.ko;
+
+  for (const e of earlierRules) {
+    if (!inScope(e, rule)) continue;
+
+    const shared = langs.filter((l) => e.entry.translations?.[l]);
+    if (!shared.length) continue;
+
+    const identical = e.ko === ko && (e.matchType || "exact") === (rule.matchType || "exact");
+    let consumes = identical;
+
+    if (!consumes && LITERAL_TYPES.has(rule.matchType) && CONSUMING_TYPES.has(e.matchType)) {
+      e.re.lastIndex = 0;
+      consumes = e.re.test(ko);
+      e.re.lastIndex = 0;
+    }
+
+    if (consumes) return { by: e, languages: shared, identical };
+  }
+  return null;
+}
+
+/**
+ * @param {{ header:string[], rawRows:string[][], entries:object[], idx:object, problems?:object[] }} rules
+ *   parseRulesValues() output (strict:false)
+ * @param {{ glossaryCategories?: Iterable<string> }} [opts] omit → category check skipped
+ * @returns {{ findings:Array<object>, summary:{ total:number, errors:number, warnings:number, byCode:object } }}
+ */
+export function validateRules(rules, { glossaryCategories } = {}) {
+  const findings = [];
+  const header = Array.isArray(rules?.header) ? rules.header : [];
+  const rawRows = Array.isArray(rules?.rawRows) ? rules.rawRows : [];
+  const entries = Array.isArray(rules?.entries) ? rules.entries : [];
+  const idx = rules?.idx ?? {};
+  const knownCategories = glossaryCategories ? new Set(glossaryCategories) : null;
+
+  const add = (severity, code, entry, message, extra = {}) =>
+    findings.push({
+      rowIndex: entry?._rowIndex ?? 1,
+      severity,
+      code,
+      key: entry?.key ?? null,
+      message,
+      ...extra,
+    });
+
+  for (const p of rules?.problems ?? []) {
+    findings.push({ rowIndex: p.rowIndex ?? 1, severity: "error", code: p.code ?? "header", key: null, message: p.message });
+  }
+
+  const compiled = [];
+  entries.forEach((entry, i) => {
+    const ko = String(entry?.translations?.["ko-kr"] ?? "").trim();
+    if (!ko) return; // empty rows / no pattern: ignored by the engine too
+
+    const raw = rawRows[i] || [];
+    const matchType = String(entry?.matchType ?? "").trim().toLowerCase();
+
+    if (matchType && !RULE_MATCH_TYPES.includes(matchType)) {
+      add("error", "unknown_match_type", entry, `Unknown match_type '${entry.matchType}' (${RULE_MATCH_TYPES.join(" | ")}).`, {
+        column: header[idx.matchType],
+        value: entry.matchType,
+      });
+      return;
+    }
+
+    const { re, error } = tryCompileRuleRegex(entry);
+    if (!re) {
+      add("error", "invalid_regex", entry, `Pattern does not compile: ${error}`, {
+        column: header[idx.matchType] ?? "match_type",
+        value: ko,
+      });
+      return;
+    }
+
+    const priorityRaw = idx.priority >= 0 ? String(raw[idx.priority] ?? "").trim() : "";
+    if (priorityRaw && !Number.isFinite(Number(priorityRaw))) {
+      add("error", "invalid_priority", entry, `priority '${priorityRaw}' is not a number.`, {
+        column: header[idx.priority],
+        value: priorityRaw,
+      });
+    }
+
+    const category = String(entry?.category ?? "").trim().toLowerCase();
+    if (knownCategories && category && !knownCategories.has(category)) {
+      add("warning", "unknown_category", entry, `분류 '${entry.category}' does not exist in the Glossary; the rule never applies.`, {
+        column: header[idx.category],
+        value: entry.category,
+      });
+    }
+
+    const priority = Number(priorityRaw || "0");
+    compiled.push({
+      entry,
+      ko,
+      re,
+      matchType,
+      category,
+      priority: Number.isFinite(priority) ? priority : 0,
+    });
+  });
+
+  // application order (src/rules/engine.mjs selectRules): priority desc, then row
+  compiled.sort((a, b) => b.priority - a.priority || a.entry._rowIndex - b.entry._rowIndex);
+
+  compiled.forEach((rule, i) => {
+    const hit = findShadow(rule, compiled.slice(0, i));
+    if (!hit) return;
+
+    const by = hit.by.entry;
+    add(
+      "warning",
+      "shadowed",
+      rule.entry,
+      hit.identical
+        ? `Same pattern as row ${by._rowIndex} (${by.key}), which runs first; this rule never fires.`
+        : `Row ${by._rowIndex} (${by.key}, priority ${hit.by.priority}) matches inside this rule's text and runs first.`,
+      { shadowedBy: by._rowIndex, languages: hit.languages }
+    );
+  });
+
+  findings.sort((a, b) => a.rowIndex - b.rowIndex || a.code.localeCompare(b.code));
+
+  const byCode = {};
+  for (const f of findings) byCode[f.code] = (byCode[f.code] || 0) + 1;
+
+  return {
+    findings,
+    summary: {
+      total: findings.length,
+      errors: findings.filter((f) => f.severity === "error").length,
+      warnings: findings.filter((f) => f.severity === "warning").length,
+      byCode,
+    },
+  };
+}
@@ -0,0 +1,157 @@
+// src/store/batchStore.mjs
+// - Batch store abstraction for /v2/batch/*
+//   - batches (request, summary), per-row results, anomalies
+//   - recent-apply timestamps (ttl gate)
+//   - write journals (prior cell values) for rollback: record.writes
+// - Drivers: memory (default) | file | sqlite
+//
+// env:
+// - BATCH_STORE_DRIVER (memory | file | sqlite, default: memory)
+//   - sqlite uses the built-in node:sqlite module: Node >= 22.13 (memory / file run on any supported Node)
+// - BATCH_STORE_DIR (default: DATA_DIR or "./data")
+// - BATCH_RETENTION_MS (default: BATCH_TTL_MS or 1h) - batches older than this are deleted
+//   (queued / running async jobs are kept until they finish)
+// - BATCH_JOURNAL_RETENTION_MS (default: 24h) - batches that wrote cells are kept this long for rollback
+//   (results / anomalies pages still expire after BATCH_RETENTION_MS)
+// - RECENT_APPLY_RETENTION_MS (default: 24h) - must cover the largest ttlGateSeconds
+
+import { createMemoryDriver } from "./memoryDriver.mjs";
+import { createFileDriver } from "./fileDriver.mjs";
+import { createSqliteDriver } from "./sqliteDriver.mjs";
+
+export const BATCH_RETENTION_MS = Number(
+  process.env.BATCH_RETENTION_MS ?? process.env.BATCH_TTL_MS ?? 60 * 60 * 1000
+);
+export const BATCH_JOURNAL_RETENTION_MS = Math.max(
+  BATCH_RETENTION_MS,
+  Number(process.env.BATCH_JOURNAL_RETENTION_MS ?? 24 * 60 * 60 * 1000)
+);
+const RECENT_APPLY_RETENTION_MS = Number(process.env.RECENT_APPLY_RETENTION_MS ?? 24 * 60 * 60 * 1000);
+
+// pruning the file/sqlite store on every request is wasteful
+const PRUNE_INTERVAL_MS = Number(process.env.BATCH_STORE_PRUNE_INTERVAL_MS ?? 60 * 1000);
+
+let _storePromise = null;
+
+/** @param {string} [prefix] "b" = batch run, "a" = apply */
+export function newBatchId(prefix = "b") {
+  return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+async function createDriver() {
+  const driver = String(process.env.BATCH_STORE_DRIVER || "memory").trim().toLowerCase();
+  const dir = process.env.BATCH_STORE_DIR || process.env.DATA_DIR || "./data";
+
+  if (driver === "memory") return createMemoryDriver();
+  if (driver === "file") return createFileDriver({ dir });
+  if (driver === "sqlite") return createSqliteDriver({ dir });
+  throw new Error(`Unknown BATCH_STORE_DRIVER: ${driver} (memory | file | sqlite)`);
+}
+
+const ACTIVE_STATES = new Set(["queued", "running"]);
+
+/** async job still in the worker queue: never pruned */
+function isActive(rec) {
+  return ACTIVE_STATES.has(rec?.status?.state);
+}
+
+function hasJournal(rec) {
+  return Array.isArray(rec?.writes) && rec.writes.length > 0;
+}
+
+/** @param {{ journal?:boolean }} [opts] journal: judge by the write-journal retention (rollback) */
+function isExpired(rec, now, { journal = false } = {}) {
+  if (isActive(rec)) return false;
+  const retentionMs = journal && hasJournal(rec) ? BATCH_JOURNAL_RETENTION_MS : BATCH_RETENTION_MS;
+  return !rec?.createdAt || now - rec.createdAt > retentionMs;
+}
+
+function wrap(driver) {
+  let lastPruneAt = 0;
+
+  async function prune({ force = false } = {}) {
+    const now = Date.now();
+    if (!force && now - lastPruneAt < PRUNE_INTERVAL_MS) return;
+    lastPruneAt = now;
+    await driver.deleteBatchesBefore(now - BATCH_RETENTION_MS, {
+      keep: (rec) => !isExpired(rec, now, { journal: true }),
+    });
+    await driver.deleteRecentAppliedBefore(now - RECENT_APPLY_RETENTION_MS);
+  }
+
+  return {
+    driver: driver.name,
+    retentionMs: BATCH_RETENTION_MS,
+    journalRetentionMs: BATCH_JOURNAL_RETENTION_MS,
+    prune,
+
+    /**
+     * @param {{ batchId:string, createdAt:number, sheet:string, request:object, summary:object,
+     *           anomalies:Array, results:Array, writes?:Array }} rec
+     */
+    async saveBatch(rec) {
+      await driver.saveBatch(rec);
+    },
+
+    /**
+     * @param {string} batchId
+     * @param {{ journal?:boolean }} [opts] journal: keep batches with a write journal up to BATCH_JOURNAL_RETENTION_MS
+     * @returns {Promise<object|null>} null when missing or past retention
+     */
+    async getBatch(batchId, opts = {}) {
+      const rec = await driver.getBatch(batchId);
+      return rec && !isExpired(rec, Date.now(), opts) ? rec : null;
+    },
+
+    async updateBatch(batchId, patch) {
+      return driver.updateBatch(batchId, patch);
+    },
+
+    /**
+     * @param {string} batchId
+     * @param {"results"|"anomalies"} kind
+     * @returns {Promise<{ total:number, items:Array, summary:object|null }|null>} null when missing or expired
+     */
+    async getPage(batchId, kind, offset, limit) {
+      const p = await driver.getPage(batchId, kind, offset, limit);
+      if (!p || isExpired(p, Date.now())) return null;
+      const { createdAt, ...rest } = p;
+      return rest;
+    },
+
+    /**
+     * Newest first.
+     * @param {{ sheet?:string, headOnly?:boolean }} [opts] headOnly: records without results/anomalies
+     */
+    async listBatches(opts = {}) {
+      const now = Date.now();
+      return (await driver.listBatches(opts)).filter((rec) => !isExpired(rec, now));
+    },
+
+    /** @returns {Promise<Map<number, number>>} rowIndex -> lastAppliedMs */
+    async getRecentApplied(sheetKey) {
+      return driver.getRecentApplied(sheetKey);
+    },
+
+    async markApplied(sheetKey, rowIndexes, appliedAtMs = Date.now()) {
+      const list = Array.from(rowIndexes || []);
+      if (list.length) await driver.markApplied(sheetKey, list, appliedAtMs);
+    },
+  };
+}
+
+/**
+ * Shared store (driver picked from env on first use).
+ * @returns {Promise<ReturnType<typeof wrap>>}
+ */
+export function getBatchStore() {
+  if (!_storePromise) {
+    _storePromise = createDriver()
+      .then(wrap)
+      .catch((e) => {
+        _storePromise = null;
+        throw e;
+      });
+  }
+  return _storePromise;
+}
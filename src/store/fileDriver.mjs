@@ -0,0 +1,143 @@
+// src/store/fileDriver.mjs
+// - JSON file batch store driver
+//   - <dir>/batches/<batchId>.json : one record per batch
+//   - <dir>/recent-applied.json    : { sheetKey: { rowIndex: appliedAtMs } }
+// - Survives restarts; multi-instance only with a shared volume
+
+import fs from "fs/promises";
+import path from "path";
+
+const SAFE_ID = /^[A-Za-z0-9_-]{1,100}$/;
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return fallback;
+    throw e;
+  }
+}
+
+let _tmpSeq = 0;
+
+async function writeJsonAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  // seq: concurrent writes of the same file (job progress) must not share a tmp name
+  const tmp = `${file}.${process.pid}.${Date.now()}.${++_tmpSeq}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+}
+
+export function createFileDriver({ dir }) {
+  const batchesDir = path.resolve(dir, "batches");
+  const recentFile = path.resolve(dir, "recent-applied.json");
+
+  function batchFile(batchId) {
+    if (!SAFE_ID.test(String(batchId ?? ""))) return null;
+    return path.join(batchesDir, `${batchId}.json`);
+  }
+
+  async function getBatch(batchId) {
+    const f = batchFile(batchId);
+    return f ? readJson(f, null) : null;
+  }
+
+  async function listFiles() {
+    try {
+      return (await fs.readdir(batchesDir)).filter((n) => n.endsWith(".json"));
+    } catch (e) {
+      if (e?.code === "ENOENT") return [];
+      throw e;
+    }
+  }
+
+  return {
+    name: "file",
+
+    async saveBatch(rec) {
+      const f = batchFile(rec.batchId);
+      if (!f) throw new Error(`Invalid batchId: ${rec.batchId}`);
+      await writeJsonAtomic(f, rec);
+    },
+
+    getBatch,
+
+    async updateBatch(batchId, patch) {
+      const cur = await getBatch(batchId);
+      if (!cur) return null;
+      const next = { ...cur, ...patch };
+      await writeJsonAtomic(batchFile(batchId), next);
+      return next;
+    },
+
+    async getPage(batchId, kind, offset, limit) {
+      const cur = await getBatch(batchId);
+      if (!cur) return null;
+      const arr = Array.isArray(cur[kind]) ? cur[kind] : [];
+      return {
+        total: arr.length,
+        items: arr.slice(offset, offset + limit),
+        summary: cur.summary ?? null,
+        createdAt: cur.createdAt,
+      };
+    },
+
+    async listBatches({ sheet, headOnly = false } = {}) {
+      const out = [];
+      for (const name of await listFiles()) {
+        const rec = await readJson(path.join(batchesDir, name), null).catch(() => null);
+        if (!rec) continue;
+        if (sheet && rec.sheet !== sheet) continue;
+        if (headOnly) {
+          // one file per batch: read whole, but don't keep the rows around
+          const { results, anomalies, ...head } = rec;
+          out.push(head);
+        } else out.push(rec);
+      }
+      return out.sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async deleteBatchesBefore(cutoffMs, { keep } = {}) {
+      let removed = 0;
+      for (const name of await listFiles()) {
+        const f = path.join(batchesDir, name);
+        const st = await fs.stat(f).catch(() => null);
+        if (!st || st.mtimeMs >= cutoffMs) continue;
+
+        const rec = await readJson(f, null).catch(() => null);
+        if (rec?.createdAt && rec.createdAt >= cutoffMs) continue;
+        if (rec && keep?.(rec)) continue;
+        await fs.rm(f, { force: true });
+        removed += 1;
+      }
+      return removed;
+    },
+
+    async getRecentApplied(sheetKey) {
+      const all = await readJson(recentFile, {});
+      const bySheet = all?.[sheetKey] ?? {};
+      return new Map(Object.entries(bySheet).map(([ri, at]) => [Number(ri), Number(at)]));
+    },
+
+    async markApplied(sheetKey, rowIndexes, appliedAtMs) {
+      const all = await readJson(recentFile, {});
+      const bySheet = (all[sheetKey] ??= {});
+      for (const ri of rowIndexes) bySheet[String(ri)] = appliedAtMs;
+      await writeJsonAtomic(recentFile, all);
+    },
+
+    async deleteRecentAppliedBefore(cutoffMs) {
+      const all = await readJson(recentFile, {});
+      let changed = false;
+      for (const bySheet of Object.values(all)) {
+        for (const [ri, at] of Object.entries(bySheet)) {
+          if (Number(at) < cutoffMs) {
+            delete bySheet[ri];
+            changed = true;
+          }
+        }
+      }
+      if (changed) await writeJsonAtomic(recentFile, all);
+    },
+  };
+}
@@ -0,0 +1,80 @@
+// src/store/memoryDriver.mjs
+// - In-process batch store driver (lost on restart; single instance only)
+
+function page(list, offset, limit) {
+  const arr = Array.isArray(list) ? list : [];
+  return { total: arr.length, items: arr.slice(offset, offset + limit) };
+}
+
+export function createMemoryDriver() {
+  const batches = new Map(); // batchId -> record
+  const recent = new Map(); // sheetKey -> Map(rowIndex -> appliedAtMs)
+
+  return {
+    name: "memory",
+
+    async saveBatch(rec) {
+      batches.set(rec.batchId, { ...rec });
+    },
+
+    async getBatch(batchId) {
+      return batches.get(batchId) ?? null;
+    },
+
+    async updateBatch(batchId, patch) {
+      const cur = batches.get(batchId);
+      if (!cur) return null;
+      const next = { ...cur, ...patch };
+      batches.set(batchId, next);
+      return next;
+    },
+
+    async getPage(batchId, kind, offset, limit) {
+      const cur = batches.get(batchId);
+      if (!cur) return null;
+      return { ...page(cur[kind], offset, limit), summary: cur.summary ?? null, createdAt: cur.createdAt };
+    },
+
+    async listBatches({ sheet, headOnly = false } = {}) {
+      const out = [];
+      for (const rec of batches.values()) {
+        if (sheet && rec.sheet !== sheet) continue;
+        if (headOnly) {
+          const { results, anomalies, ...head } = rec;
+          out.push(head);
+        } else out.push(rec);
+      }
+      return out.sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async deleteBatchesBefore(cutoffMs, { keep } = {}) {
+      let removed = 0;
+      for (const [id, rec] of batches.entries()) {
+        if ((!rec?.createdAt || rec.createdAt < cutoffMs) && !keep?.(rec)) {
+          batches.delete(id);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+
+    async getRecentApplied(sheetKey) {
+      return new Map(recent.get(sheetKey) ?? []);
+    },
+
+    async markApplied(sheetKey, rowIndexes, appliedAtMs) {
+      let m = recent.get(sheetKey);
+      if (!m) {
+        m = new Map();
+        recent.set(sheetKey, m);
+      }
+      for (const ri of rowIndexes) m.set(Number(ri), appliedAtMs);
+    },
+
+    async deleteRecentAppliedBefore(cutoffMs) {
+      for (const m of recent.values()) {
+        for (const [ri, at] of m.entries()) if (at < cutoffMs) m.delete(ri);
+      }
+    },
+  };
+}
@@ -0,0 +1,178 @@
+// src/store/sqliteDriver.mjs
+// - SQLite batch store driver (built-in node:sqlite, Node >= 22.13)
+//   - batches       : one row per batch (record without results/anomalies)
+//   - batch_items   : per-row results / anomalies (paged with LIMIT/OFFSET)
+//   - recent_applied: ttl gate timestamps per (sheet, rowIndex)
+
+import fs from "fs";
+import path from "path";
+
+const ITEM_KINDS = ["results", "anomalies"];
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS batches (
+  batch_id   TEXT PRIMARY KEY,
+  created_at INTEGER NOT NULL,
+  sheet      TEXT,
+  data       TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_batches_created ON batches(created_at);
+
+CREATE TABLE IF NOT EXISTS batch_items (
+  batch_id  TEXT NOT NULL,
+  kind      TEXT NOT NULL,
+  seq       INTEGER NOT NULL,
+  row_index INTEGER,
+  data      TEXT NOT NULL,
+  PRIMARY KEY (batch_id, kind, seq)
+);
+
+CREATE TABLE IF NOT EXISTS recent_applied (
+  sheet_key  TEXT NOT NULL,
+  row_index  INTEGER NOT NULL,
+  applied_at INTEGER NOT NULL,
+  PRIMARY KEY (sheet_key, row_index)
+);
+`;
+
+export async function createSqliteDriver({ dir }) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import("node:sqlite"));
+  } catch {
+    throw new Error(`BATCH_STORE_DRIVER=sqlite requires Node >= 22.13 (node:sqlite). Current: ${process.version}`);
+  }
+
+  fs.mkdirSync(path.resolve(dir), { recursive: true });
+  const db = new DatabaseSync(path.resolve(dir, "batches.sqlite"));
+  db.exec("PRAGMA journal_mode = WAL;");
+  db.exec(SCHEMA);
+
+  const stmt = {
+    upsertBatch: db.prepare(
+      "INSERT OR REPLACE INTO batches (batch_id, created_at, sheet, data) VALUES (?, ?, ?, ?)"
+    ),
+    getBatch: db.prepare("SELECT data FROM batches WHERE batch_id = ?"),
+    listBatches: db.prepare("SELECT batch_id FROM batches ORDER BY created_at DESC"),
+    listBatchesBySheet: db.prepare("SELECT batch_id FROM batches WHERE sheet = ? ORDER BY created_at DESC"),
+    deleteItems: db.prepare("DELETE FROM batch_items WHERE batch_id = ? AND kind = ?"),
+    insertItem: db.prepare(
+      "INSERT INTO batch_items (batch_id, kind, seq, row_index, data) VALUES (?, ?, ?, ?, ?)"
+    ),
+    allItems: db.prepare("SELECT data FROM batch_items WHERE batch_id = ? AND kind = ? ORDER BY seq"),
+    pageItems: db.prepare(
+      "SELECT data FROM batch_items WHERE batch_id = ? AND kind = ? ORDER BY seq LIMIT ? OFFSET ?"
+    ),
+    countItems: db.prepare("SELECT COUNT(*) AS n FROM batch_items WHERE batch_id = ? AND kind = ?"),
+    oldBatches: db.prepare("SELECT batch_id, data FROM batches WHERE created_at < ?"),
+    deleteBatch: db.prepare("DELETE FROM batches WHERE batch_id = ?"),
+    deleteAllItems: db.prepare("DELETE FROM batch_items WHERE batch_id = ?"),
+    recentBySheet: db.prepare("SELECT row_index, applied_at FROM recent_applied WHERE sheet_key = ?"),
+    upsertRecent: db.prepare(
+      "INSERT OR REPLACE INTO recent_applied (sheet_key, row_index, applied_at) VALUES (?, ?, ?)"
+    ),
+    deleteRecentBefore: db.prepare("DELETE FROM recent_applied WHERE applied_at < ?"),
+  };
+
+  function tx(fn) {
+    db.exec("BEGIN");
+    try {
+      const r = fn();
+      db.exec("COMMIT");
+      return r;
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    }
+  }
+
+  function writeBatch(rec) {
+    const { results, anomalies, ...head } = rec;
+    stmt.upsertBatch.run(rec.batchId, Number(rec.createdAt), rec.sheet ?? null, JSON.stringify(head));
+
+    const items = { results, anomalies };
+    for (const kind of ITEM_KINDS) {
+      if (!Array.isArray(items[kind])) continue;
+      stmt.deleteItems.run(rec.batchId, kind);
+      items[kind].forEach((it, seq) => {
+        const ri = Number(it?.rowIndex);
+        stmt.insertItem.run(rec.batchId, kind, seq, Number.isFinite(ri) ? ri : null, JSON.stringify(it));
+      });
+    }
+  }
+
+  function readBatch(batchId, { headOnly = false } = {}) {
+    const row = stmt.getBatch.get(batchId);
+    if (!row) return null;
+    const rec = JSON.parse(row.data);
+    if (headOnly) return rec;
+    for (const kind of ITEM_KINDS) {
+      rec[kind] = stmt.allItems.all(batchId, kind).map((r) => JSON.parse(r.data));
+    }
+    return rec;
+  }
+
+  return {
+    name: "sqlite",
+
+    async saveBatch(rec) {
+      tx(() => writeBatch(rec));
+    },
+
+    async getBatch(batchId) {
+      return readBatch(batchId);
+    },
+
+    async updateBatch(batchId, patch) {
+      return tx(() => {
+        const row = stmt.getBatch.get(batchId);
+        if (!row) return null;
+        // results/anomalies are only rewritten when present in patch
+        writeBatch({ ...JSON.parse(row.data), ...patch, batchId });
+        return readBatch(batchId);
+      });
+    },
+
+    async getPage(batchId, kind, offset, limit) {
+      const row = stmt.getBatch.get(batchId);
+      if (!row) return null;
+      const head = JSON.parse(row.data);
+      const total = Number(stmt.countItems.get(batchId, kind)?.n ?? 0);
+      const items = stmt.pageItems.all(batchId, kind, limit, offset).map((r) => JSON.parse(r.data));
+      return { total, items, summary: head.summary ?? null, createdAt: head.createdAt };
+    },
+
+    async listBatches({ sheet, headOnly = false } = {}) {
+      const ids = sheet ? stmt.listBatchesBySheet.all(sheet) : stmt.listBatches.all();
+      return ids.map((r) => readBatch(r.batch_id, { headOnly })).filter(Boolean);
+    },
+
+    async deleteBatchesBefore(cutoffMs, { keep } = {}) {
+      return tx(() => {
+        const ids = stmt.oldBatches
+          .all(cutoffMs)
+          .filter((r) => !keep?.(JSON.parse(r.data)))
+          .map((r) => r.batch_id);
+        for (const id of ids) {
+          stmt.deleteAllItems.run(id);
+          stmt.deleteBatch.run(id);
+        }
+        return ids.length;
+      });
+    },
+
+    async getRecentApplied(sheetKey) {
+      return new Map(stmt.recentBySheet.all(sheetKey).map((r) => [Number(r.row_index), Number(r.applied_at)]));
+    },
+
+    async markApplied(sheetKey, rowIndexes, appliedAtMs) {
+      tx(() => {
+        for (const ri of rowIndexes) stmt.upsertRecent.run(sheetKey, Number(ri), appliedAtMs);
+      });
+    },
+
+    async deleteRecentAppliedBefore(cutoffMs) {
+      stmt.deleteRecentBefore.run(cutoffMs);
+    },
+  };
+}
@@ -0,0 +1,91 @@
+// src/store/writeJournal.mjs
+// - Sheet writes with a before/after journal (used by batch upload and apply)
+// - Rollback restores `before` only where the cell still holds `after`
+//   (anything else was edited since → conflict, left untouched unless force)
+//
+// journal entry: { range, before, after }  (single-cell A1 ranges)
+
+import { readValuesA1, batchUpdateValuesA1 } from "../google/sheets.mjs";
+
+// values.batchGet takes ranges as query params; keep URLs short
+const READ_CHUNK = Number(process.env.SHEETS_READ_CHUNK ?? 200);
+
+function cellText(vr) {
+  const v = vr?.values?.[0]?.[0];
+  return v == null ? "" : String(v);
+}
+
+/**
+ * Current text of single-cell ranges ("" for empty cells).
+ * @param {string[]} ranges
+ * @returns {Promise<string[]>} same order as `ranges`
+ */
+export async function readCellTexts(ranges) {
+  const out = [];
+  for (let i = 0; i < ranges.length; i += READ_CHUNK) {
+    const part = await readValuesA1(ranges.slice(i, i + READ_CHUNK));
+    for (const vr of part) out.push(cellText(vr));
+  }
+  return out;
+}
+
+/**
+ * Write updates and capture the previous cell values.
+ * @param {Array<{ range:string, values:Array<Array<any>> }>} updates
+ * @returns {Promise<{ writeRes:{ updatedCells:number, updatedRanges:string[] }, journal:Array<object> }>}
+ */
+export async function writeWithJournal(updates) {
+  const list = Array.isArray(updates) ? updates : [];
+  if (!list.length) return { writeRes: { updatedCells: 0, updatedRanges: [] }, journal: [] };
+
+  const before = await readCellTexts(list.map((u) => u.range));
+  const writeRes = await batchUpdateValuesA1(list);
+
+  const journal = list.map((u, i) => ({
+    range: u.range,
+    before: before[i],
+    after: String(u.values?.[0]?.[0] ?? ""),
+  }));
+
+  return { writeRes, journal };
+}
+
+/**
+ * Restore journaled cells.
+ * @param {Array<{ range:string, before:string, after:string }>} journal
+ * @param {{ force?:boolean, dryRun?:boolean }} [opts]
+ *   force: restore even cells edited since the write
+ *   dryRun: only report what would be restored / conflicts
+ */
+export async function rollbackJournal(journal, { force = false, dryRun = false } = {}) {
+  const list = Array.isArray(journal) ? journal : [];
+  const current = await readCellTexts(list.map((j) => j.range));
+
+  const restores = [];
+  const conflicts = [];
+  let unchanged = 0;
+
+  list.forEach((j, i) => {
+    const actual = current[i];
+    if (actual === j.before) {
+      unchanged += 1; // already holds the old value (e.g. same text was written)
+      return;
+    }
+    if (actual !== j.after) {
+      conflicts.push({ range: j.range, expected: j.after, actual, before: j.before });
+      if (!force) return;
+    }
+    restores.push({ range: j.range, values: [[j.before]] });
+  });
+
+  let writeRes = { updatedCells: 0, updatedRanges: [] };
+  if (!dryRun && restores.length) writeRes = await batchUpdateValuesA1(restores);
+
+  return {
+    planned: restores.length,
+    restored: dryRun ? 0 : restores.length,
+    unchanged,
+    conflicts,
+    updatedCells: writeRes.updatedCells ?? 0,
+  };
+}
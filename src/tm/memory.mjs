@@ -0,0 +1,256 @@
+// src/tm/memory.mjs
+// - Translation memory for /v2/batch/run: source → target pairs reused before calling the LLM
+//   - sources (lookup priority): the batch sheet, other loaded glossary/trans sheets, stored batch results (newest first)
+//   - stored batches: only rows that were written to the sheet (upload journal) and never rolled back,
+//     without any anomaly (fallbacks, parse errors, mask loss, conflicts, ...)
+//   - exact: normalized source (invisible chars stripped, whitespace collapsed) → auto-filled
+//   - fuzzy: edit-distance similarity (1 - levenshtein / longer length) ≥ minScore
+//     → "prefill" (used as the translation, reported for review) | "hint" (passed to the prompt) | "off"
+//   - fuzzy candidates come from a character-bigram index (Dice prefilter), only the best few are scored
+//
+// env:
+// - TM_ENABLED (default: true)
+// - TM_FUZZY_MODE (off | hint | prefill, default: hint)
+// - TM_FUZZY_MIN_SCORE (default: 0.85)
+// - TM_MAX_BATCHES (default: 20) - uploaded batches scanned for results
+
+import { stripInvisible } from "../glossary/index.mjs";
+import { normalizeLang } from "../utils/common.mjs";
+
+export const TM_FUZZY_MODES = ["off", "hint", "prefill"];
+
+const FUZZY_CANDIDATES = 20;
+const FUZZY_MAX_LEN = 1000;
+
+function envBool(v, def) {
+  const s = String(v ?? "").trim().toLowerCase();
+  if (!s) return def;
+  return !["0", "false", "no", "off"].includes(s);
+}
+
+/**
+ * Request options merged over env defaults.
+ * @param {{ enabled?:boolean, fuzzy?:string, minScore?:number, batches?:boolean }} [opts]
+ */
+export function resolveTmOptions(opts = {}) {
+  const fuzzy = String(opts.fuzzy ?? process.env.TM_FUZZY_MODE ?? "hint").trim().toLowerCase();
+  if (!TM_FUZZY_MODES.includes(fuzzy)) {
+    const err = new Error(`Unknown TM fuzzy mode: ${fuzzy} (${TM_FUZZY_MODES.join(" | ")})`);
+    err.status = 400;
+    throw err;
+  }
+
+  const minScore = Number(opts.minScore ?? process.env.TM_FUZZY_MIN_SCORE ?? 0.85);
+  return {
+    enabled: opts.enabled ?? envBool(process.env.TM_ENABLED, true),
+    fuzzy,
+    minScore: Number.isFinite(minScore) ? Math.min(1, Math.max(0.5, minScore)) : 0.85,
+    batches: opts.batches ?? true,
+    maxBatches: Math.max(0, Number(process.env.TM_MAX_BATCHES ?? 20)),
+  };
+}
+
+export function normalizeTmText(s) {
+  return stripInvisible(s).replace(/\s+/g, " ");
+}
+
+function bigrams(s) {
+  const out = new Set();
+  const t = s.toLowerCase();
+  for (let i = 0; i < t.length - 1; i++) out.add(t.slice(i, i + 2));
+  if (t.length === 1) out.add(t);
+  return out;
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = new Array(b.length + 1);
+  let cur = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    cur[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    [prev, cur] = [cur, prev];
+  }
+  return prev[b.length];
+}
+
+/** Edit-distance similarity in [0, 1] (1 = identical). */
+export function tmSimilarity(a, b) {
+  const x = String(a ?? "");
+  const y = String(b ?? "");
+  const len = Math.max(x.length, y.length);
+  if (!len) return 1;
+  return 1 - levenshtein(x, y) / len;
+}
+
+/**
+ * In-memory TM. First pair added for a source wins (add in priority order).
+ * origin: { sheet, rowIndex } | { batchId, rowIndex }
+ */
+export function createTranslationMemory() {
+  const entries = []; // { source, norm, target, origin }
+  const exact = new Map(); // norm -> entry
+  const grams = new Map(); // bigram -> entry ids
+
+  function add(source, target, origin) {
+    const norm = normalizeTmText(source);
+    const tgt = stripInvisible(target);
+    if (!norm || !tgt || exact.has(norm)) return false;
+
+    const e = { source: String(source), norm, target: tgt, origin };
+    const id = entries.push(e) - 1;
+    exact.set(norm, e);
+
+    if (norm.length <= FUZZY_MAX_LEN) {
+      e.gramCount = 0;
+      for (const g of bigrams(norm)) {
+        let ids = grams.get(g);
+        if (!ids) grams.set(g, (ids = []));
+        ids.push(id);
+        e.gramCount += 1;
+      }
+    }
+    return true;
+  }
+
+  function lookupExact(text) {
+    return exact.get(normalizeTmText(text)) || null;
+  }
+
+  /**
+   * Best fuzzy match ≥ minScore (exact matches excluded).
+   * @returns {{ entry:object, score:number }|null}
+   */
+  function lookupFuzzy(text, { minScore = 0.85 } = {}) {
+    const norm = normalizeTmText(text);
+    if (!norm || norm.length > FUZZY_MAX_LEN) return null;
+
+    const q = bigrams(norm);
+    const shared = new Map(); // id -> shared bigrams
+    for (const g of q) {
+      for (const id of grams.get(g) || []) shared.set(id, (shared.get(id) || 0) + 1);
+    }
+
+    // Dice prefilter, a bit looser than minScore (edit distance and bigrams disagree on short strings)
+    const floor = Math.max(0, minScore - 0.2);
+    const candidates = [];
+    for (const [id, n] of shared) {
+      const e = entries[id];
+      if (e.norm === norm) continue;
+      const lenRatio = Math.min(e.norm.length, norm.length) / Math.max(e.norm.length, norm.length);
+      if (lenRatio < minScore) continue;
+      const dice = (2 * n) / (q.size + e.gramCount);
+      if (dice >= floor) candidates.push({ e, dice });
+    }
+    candidates.sort((a, b) => b.dice - a.dice);
+
+    let best = null;
+    for (const { e } of candidates.slice(0, FUZZY_CANDIDATES)) {
+      const score = tmSimilarity(norm, e.norm);
+      if (score >= minScore && (!best || score > best.score)) best = { entry: e, score };
+    }
+    return best;
+  }
+
+  return {
+    add,
+    lookupExact,
+    lookupFuzzy,
+    get size() {
+      return entries.length;
+    },
+  };
+}
+
+// "Sheet!C12" / "'My Sheet'!C12" → 12
+function rowOfRange(range) {
+  const m = /(\d+)$/.exec(String(range ?? ""));
+  return m ? Number(m[1]) : null;
+}
+
+// batch head (no results): finished, uploaded something, not rolled back
+function isTmBatch(b, sourceLangKey, targetLangKey) {
+  return (
+    b?.status?.state === "succeeded" &&
+    Array.isArray(b.writes) &&
+    b.writes.length > 0 &&
+    !(b.rollback && !b.rollback.dryRun) &&
+    normalizeLang(b.request?.sourceLang) === sourceLangKey &&
+    normalizeLang(b.request?.targetLang) === targetLangKey
+  );
+}
+
+/**
+ * TM for one batch run.
+ * @param {object} params
+ * @param {object} params.cache batch sheet glossary cache (first priority)
+ * @param {Array<object>} [params.otherCaches] other loaded glossary caches
+ * @param {string} params.sourceLangKey normalized ("ko-kr")
+ * @param {string} params.targetLangKey normalized ("en-us")
+ * @param {Set<number>} [params.excludeRowIndexes] rows of the batch sheet being translated now
+ * @param {object} [params.store] batch store (results of earlier batches); omitted → sheets only
+ * @param {number} [params.maxBatches]
+ */
+export async function buildTranslationMemory({
+  cache,
+  otherCaches = [],
+  sourceLangKey,
+  targetLangKey,
+  excludeRowIndexes,
+  store,
+  maxBatches = 20,
+}) {
+  const tm = createTranslationMemory();
+  const sources = { sheets: 0, batches: 0 };
+
+  const caches = [cache, ...otherCaches.filter((c) => c && c !== cache && c.sheetName !== cache?.sheetName)];
+  for (const c of caches) {
+    const srcCol = c?.langIndex?.[sourceLangKey];
+    const tgtCol = c?.langIndex?.[targetLangKey];
+    if (srcCol == null || tgtCol == null) continue;
+
+    const rows = Array.isArray(c.rawRows) ? c.rawRows : [];
+    for (let i = 0; i < rows.length; i++) {
+      const rowIndex = i + 2;
+      if (c === cache && excludeRowIndexes?.has(rowIndex)) continue;
+      if (tm.add(rows[i]?.[srcCol], rows[i]?.[tgtCol], { sheet: c.sheetName, rowIndex })) sources.sheets += 1;
+    }
+  }
+
+  if (store && maxBatches > 0) {
+    // heads first; rows are loaded only for the batches kept
+    const heads = (await store.listBatches({ headOnly: true }))
+      .filter((b) => isTmBatch(b, sourceLangKey, targetLangKey))
+      .slice(0, maxBatches);
+
+    for (const head of heads) {
+      const b = await store.getBatch(head.batchId);
+      if (!b) continue;
+
+      const sameSheet = b.sheet === cache?.sheetName;
+      const written = new Set(b.writes.map((w) => rowOfRange(w?.range)));
+      const flagged = new Set((Array.isArray(b.anomalies) ? b.anomalies : []).map((a) => Number(a?.rowIndex)));
+
+      for (const r of Array.isArray(b.results) ? b.results : []) {
+        const ri = Number(r?.rowIndex);
+        if (sameSheet && excludeRowIndexes?.has(ri)) continue;
+        if (!written.has(ri) || flagged.has(ri)) continue;
+        // LLM fallbacks / unreadable rows are the processed source, not a translation
+        if (r?.meta?.fallbackUsed || r?.meta?.parseError) continue;
+        if (tm.add(r?.sourceText, r?.translatedText, { batchId: b.batchId, rowIndex: r?.rowIndex })) {
+          sources.batches += 1;
+        }
+      }
+    }
+  }
+
+  return { tm, sources };
+}
@@ -0,0 +1,47 @@
+// src/translate/http.mjs
+// - Small fetch helpers shared by the network LLM drivers
+// - Transient failures are classified like src/utils/outbound.mjs (err.retryable, err.kind)
+//   so the translator can back off and retry them
+
+import { isRetryableStatus, parseRetryAfterMs } from "../utils/outbound.mjs";
+
+export async function fetchWithTimeout(url, options, timeoutMs) {
+  const ms = Math.max(1_000, Number(timeoutMs) || 60_000);
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), ms);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (e) {
+    const timeout = e?.name === "AbortError";
+    const err = new Error(timeout ? `LLM request timeout after ${ms}ms` : `LLM network error: ${e?.cause?.code ?? e?.message ?? e}`);
+    err.status = 502;
+    err.kind = timeout ? "timeout" : "network";
+    err.retryable = true;
+    throw err;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+/** Non-2xx response → 502 error (retryable on 429/5xx, Retry-After honored). */
+export function upstreamError(message, resp, extra) {
+  const err = new Error(message);
+  err.status = 502;
+  err.kind = "http";
+  err.retryable = isRetryableStatus(resp.status);
+  err.retryAfterMs = parseRetryAfterMs(resp.headers?.get?.("retry-after"));
+  err.extra = extra;
+  return err;
+}
+
+/** Body as JSON when possible (error bodies are not always JSON). */
+export async function readJsonOrText(resp) {
+  const text = await resp.text();
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // leave as raw
+  }
+  return { data, text };
+}
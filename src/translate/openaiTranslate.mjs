@@ -1,21 +1,33 @@
 // src/translate/openaiTranslate.mjs
-// - Server-side translation utility (record-safe)
-// - ENV model override supported
-
-const DEFAULT_MODEL =
-  process.env.OPENAI_MODEL_TRANSLATE ||
-  process.env.OPENAI_MODEL ||
-  "gpt-4.1";
+// - Server-side translation utility (record-safe, see src/translate/protocol.mjs)
+//   - wire protocol per call: args.protocol "records" (␞/␟) | "json" (schema-constrained, strict per row)
+// - LLM backend is pluggable (src/translate/providers.mjs): openai | anthropic | mock
+//   - picked by args.model ("mock", "anthropic:claude-...") or LLM_PROVIDER env
+// - rows missing / unreadable in the output are retried on their own, in shrinking sub-chunks
+//   (chunk/2, /4, ...), up to OPENAI_MAX_RETRIES times; then fall back to the processed text
+// - each LLM call backs off exponentially on 429/5xx, timeouts and network errors
+//   - non-retryable failures (missing key, 4xx other than 408/425/429, ...) fail the whole call
+//   - a retryable failure that outlasts the backoff marks its rows "request_failed"
+//     (retried like missing rows); other rows and chunks go on
+// - prompt: src/translate/prompt.mjs (template per target language / category + per-row glossary/rule hints)
+//   - items are grouped by template before chunking, so every chunk has a single intro
+//
+// env:
+// - OPENAI_MAX_RETRIES (default: 3) : row retry passes, and transport retries per call
+// - OPENAI_RETRY_BASE_MS (default: 500), OPENAI_RETRY_MAX_MS (default: 8000) : backoff
+
+import { getTranslateProtocol } from "./protocol.mjs";
+import { buildSystemPrompt, resolvePromptTemplate } from "./prompt.mjs";
+import { resolveLlm } from "./providers.mjs";
+import { OPENAI_MAX_RETRIES } from "../config/env.mjs";
+import { retryWithBackoff } from "../utils/outbound.mjs";
 
 const DEFAULT_TEMPERATURE = Number(process.env.OPENAI_TEMPERATURE ?? 0);
 const DEFAULT_MAX_OUTPUT_TOKENS = Number(process.env.OPENAI_MAX_OUTPUT_TOKENS ?? 4096);
 const DEFAULT_TIMEOUT_MS = Number(process.env.OPENAI_TIMEOUT_MS ?? 60_000);
-
-const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1";
-
-// Record separator & newline placeholder
-const RS = "\u241E"; // ␞
-const NL = "\u241F"; // ␟
+const MAX_RETRIES = Math.max(0, Number.isFinite(OPENAI_MAX_RETRIES) ? OPENAI_MAX_RETRIES : 3);
+const RETRY_BASE_MS = Number(process.env.OPENAI_RETRY_BASE_MS ?? 500);
+const RETRY_MAX_MS = Number(process.env.OPENAI_RETRY_MAX_MS ?? 8000);
 
 function nowMs() {
   return Date.now();
@@ -25,114 +37,43 @@ function assertNonEmptyString(x, name) {
   if (typeof x !== "string" || !x.trim()) throw new Error(`${name} must be a non-empty string`);
 }
 
-function protectNewlines(s) {
-  return String(s ?? "").replace(/\r\n/g, "\n").replace(/\n/g, NL);
-}
-function restoreNewlines(s) {
-  return String(s ?? "").replace(new RegExp(NL, "g"), "\n");
-}
-
-function buildInputPayload(items) {
-  // <rowIndex>\t<protectedText> records joined by RS
-  return items
-    .map((it) => `${Number(it.rowIndex)}\t${protectNewlines(it.textForTranslate)}`)
-    .join(RS);
-}
-
-function parseOutputPayload(raw, expectedRowIndexes) {
-  const recs = String(raw ?? "")
-    .split(RS)
-    .map((x) => String(x ?? "").trim())
-    .filter(Boolean);
-
-  const outMap = new Map();
-  for (const rec of recs) {
-    const tab = rec.indexOf("\t");
-    if (tab <= 0) continue;
-    const ri = Number(rec.slice(0, tab).trim());
-    if (!Number.isFinite(ri)) continue;
-    outMap.set(ri, restoreNewlines(rec.slice(tab + 1)));
-  }
-
-  return expectedRowIndexes.map((ri) => ({
-    rowIndex: ri,
-    translatedText: outMap.get(ri) ?? null,
-  }));
-}
-
-function buildSystemPrompt({ sourceLang, targetLang }) {
-  return [
-    `You are a professional game localization translator.`,
-    `Translate from ${sourceLang} to ${targetLang}.`,
-    `HARD RULES:`,
-    `- Output MUST keep the same record structure.`,
-    `- Records are separated by "${RS}". Do NOT remove it.`,
-    `- Each record format: <rowIndex>\\t<text>. Keep the same rowIndex.`,
-    `- Newlines are encoded as "${NL}". Do NOT change/remove it.`,
-    `- Keep any "{mask:N}" tokens EXACTLY unchanged.`,
-    `- Preserve punctuation, numbers, and tags (<TIPBOX>, <INFO>, <NAV>).`,
-    `- Output ONLY the translated records.`,
-  ].join("\n");
-}
-
-async function fetchWithTimeout(url, options, timeoutMs) {
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    return await fetch(url, { ...options, signal: controller.signal });
-  } finally {
-    clearTimeout(t);
-  }
-}
-
-async function callOpenAIChatCompletions({ model, temperature, maxTokens, messages, timeoutMs }) {
-  const apiKey = String(process.env.OPENAI_API_KEY || "").trim();
-  if (!apiKey) throw new Error("OPENAI_API_KEY is missing in environment.");
-
-  const resp = await fetchWithTimeout(
-    `${OPENAI_BASE_URL}/chat/completions`,
-    {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: model || DEFAULT_MODEL,
-        temperature: typeof temperature === "number" ? temperature : DEFAULT_TEMPERATURE,
-        max_tokens: typeof maxTokens === "number" ? maxTokens : DEFAULT_MAX_OUTPUT_TOKENS,
-        messages,
-      }),
-    },
-    Math.max(1_000, Number(timeoutMs ?? DEFAULT_TIMEOUT_MS))
-  );
-
-  const text = await resp.text();
-  let data = null;
-  try {
-    data = JSON.parse(text);
-  } catch {
-    // leave as raw
+/**
+ * Chunks grouped by prompt template (input order kept inside a group).
+ * @returns {Array<{ template:object, category:string, items:Array<object> }>}
+ */
+function planChunks(items, { targetLang, chunkSize }) {
+  const groups = new Map(); // template key -> { template, categories:Set, items }
+  for (const it of items) {
+    const category = String(it.category ?? "").trim().toLowerCase();
+    const template = resolvePromptTemplate({ targetLang, category });
+    let g = groups.get(template.key);
+    if (!g) groups.set(template.key, (g = { template, categories: new Set(), items: [] }));
+    g.categories.add(category);
+    g.items.push(it);
   }
 
-  if (!resp.ok) {
-    const msg =
-      data?.error?.message ||
-      data?.error?.type ||
-      (typeof text === "string" && text) ||
-      `OpenAI error status=${resp.status}`;
-    const err = new Error(msg);
-    err.status = 502;
-    err.extra = { openaiStatus: resp.status };
-    throw err;
+  const out = [];
+  for (const g of groups.values()) {
+    // {category} is only meaningful when the whole group shares one
+    const category = g.categories.size === 1 ? Array.from(g.categories)[0] : "";
+    for (let i = 0; i < g.items.length; i += chunkSize) {
+      out.push({ template: g.template, category, items: g.items.slice(i, i + chunkSize) });
+    }
   }
-
-  return String(data?.choices?.[0]?.message?.content ?? "");
+  return out;
 }
 
 /**
  * Translate items in chunks with record boundary guarantees.
- * - Name kept for compatibility.
+ * - Name kept for compatibility (any provider).
+ * - args.model : "model", "provider:model" or a provider name (→ its default model)
+ * - args.protocol : "records" | "json" (default: TRANSLATE_PROTOCOL env → records)
+ * - args.items[] : { rowIndex, sourceText, textForTranslate, category?, hints? } (hints: prompt.mjs buildRowHints)
+ * - results[]._attempts : LLM requests the row was sent in (1 = first pass only)
+ * - results[]._parseError : why the row could not be read from the model output (after all retries)
+ *   ("request_failed" = the LLM call itself failed; results[]._error has the message)
+ * - args.onChunk({ chunksDone, chunksTotal, itemsDone, fallbacks }) : progress callback (after each chunk)
+ * - args.shouldStop() : checked before each chunk; true -> stop (meta.cancelled=true, partial results)
  */
 export async function translateItemsWithGpt41(args) {
   const started = nowMs();
@@ -141,7 +82,9 @@ export async function translateItemsWithGpt41(args) {
   const targetLang = String(args.targetLang ?? "").trim();
   const items = Array.isArray(args.items) ? args.items : [];
   const chunkSize = Math.max(1, Math.min(Number(args.chunkSize ?? 25), 100));
-  const model = args.model || DEFAULT_MODEL;
+  const { provider, model } = resolveLlm(args.model);
+  const protocol = getTranslateProtocol(args.protocol);
+  const context = { sourceLang, targetLang, protocol: protocol.name };
 
   assertNonEmptyString(sourceLang, "sourceLang");
   assertNonEmptyString(targetLang, "targetLang");
@@ -149,76 +92,149 @@ export async function translateItemsWithGpt41(args) {
   if (!items.length) {
     return {
       results: [],
-      meta: { model, chunks: 0, chunkSize, elapsedMs: nowMs() - started, items: 0 },
+      meta: { provider: provider.name, model, protocol: protocol.name, chunks: 0, chunkSize, elapsedMs: nowMs() - started, items: 0 },
     };
   }
 
   const resultsAll = [];
   let chunks = 0;
+  let cancelled = false;
+  let fallbacks = 0;
+  let requests = 0;
+  let transportRetries = 0;
+  let retriedRows = 0;
+  let failedRequests = 0;
+
+  const complete = (messages, temperature) =>
+    retryWithBackoff(
+      () => {
+        requests += 1;
+        return provider.complete({
+          model,
+          temperature,
+          maxTokens: DEFAULT_MAX_OUTPUT_TOKENS,
+          timeoutMs: DEFAULT_TIMEOUT_MS,
+          jsonSchema: protocol.jsonSchema,
+          context,
+          messages,
+        });
+      },
+      {
+        maxRetries: MAX_RETRIES,
+        baseDelayMs: RETRY_BASE_MS,
+        maxDelayMs: RETRY_MAX_MS,
+        onRetry: () => {
+          transportRetries += 1;
+        },
+      }
+    );
+
+  const plan = planChunks(items, { targetLang, chunkSize });
+  const chunksTotal = plan.length;
+
+  for (const { template, category, items: chunk } of plan) {
+    if (typeof args.shouldStop === "function" && (await args.shouldStop())) {
+      cancelled = true;
+      break;
+    }
 
-  for (let i = 0; i < items.length; i += chunkSize) {
     chunks += 1;
-    const chunk = items.slice(i, i + chunkSize);
 
-    const expectedRowIndexes = chunk.map((it) => Number(it.rowIndex));
-    const inputText = buildInputPayload(chunk);
-    const system = buildSystemPrompt({ sourceLang, targetLang });
+    const state = new Map(chunk.map((it) => [Number(it.rowIndex), { attempts: 0, got: null }]));
+
+    const send = async (rows, retry) => {
+      // hints only for the rows in this request
+      const system = buildSystemPrompt({ sourceLang, targetLang, category, protocol, template, items: rows });
+      const rowIndexes = rows.map((it) => Number(it.rowIndex));
+
+      let parsed;
+      try {
+        const outText = await complete(
+          retry
+            ? [
+                { role: "system", content: `${system}\nReturn ALL records.\n${protocol.outputRule}` },
+                { role: "user", content: protocol.buildInput(rows) },
+                { role: "user", content: "The previous output missed these records. Return all of them correctly." },
+              ]
+            : [
+                { role: "system", content: system },
+                { role: "user", content: protocol.buildInput(rows) },
+              ],
+          retry ? 0 : DEFAULT_TEMPERATURE
+        );
+        parsed = protocol.parseOutput(outText, rowIndexes);
+      } catch (e) {
+        // permanent: every other request would fail the same way
+        if (e?.retryable !== true) throw e;
+        // transport retries exhausted: these rows stay unread, the rest goes on
+        failedRequests += 1;
+        const message = String(e?.message ?? e);
+        parsed = rowIndexes.map((ri) => ({ rowIndex: ri, translatedText: null, error: "request_failed", message }));
+      }
+
+      for (const got of parsed) {
+        const st = state.get(Number(got.rowIndex));
+        st.attempts += 1;
+        st.got = got;
+      }
+    };
 
-    // Pass 1
-    let outText = await callOpenAIChatCompletions({
-      model,
-      temperature: DEFAULT_TEMPERATURE,
-      maxTokens: DEFAULT_MAX_OUTPUT_TOKENS,
-      timeoutMs: DEFAULT_TIMEOUT_MS,
-      messages: [
-        { role: "system", content: system },
-        { role: "user", content: inputText },
-      ],
-    });
-
-    let parsed = parseOutputPayload(outText, expectedRowIndexes);
-
-    // Repair pass if missing
-    const missing = parsed.filter((x) => !x.translatedText || !String(x.translatedText).trim());
-    if (missing.length) {
-      outText = await callOpenAIChatCompletions({
-        model,
-        temperature: 0,
-        maxTokens: DEFAULT_MAX_OUTPUT_TOKENS,
-        timeoutMs: DEFAULT_TIMEOUT_MS,
-        messages: [
-          { role: "system", content: system + "\nReturn ALL records. Output ONLY records." },
-          { role: "user", content: inputText },
-          { role: "user", content: "The previous output missed some records. Return all records correctly." },
-        ],
-      });
-      parsed = parseOutputPayload(outText, expectedRowIndexes);
+    // Pass 1: whole chunk
+    await send(chunk, false);
+
+    // Retries: only the rows still missing / unreadable, in shrinking sub-chunks
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+      const failed = chunk.filter((it) => state.get(Number(it.rowIndex)).got?.error);
+      if (!failed.length) break;
+      if (attempt === 1) retriedRows += failed.length;
+
+      const subSize = Math.max(1, Math.floor(chunk.length / 2 ** attempt));
+      for (let j = 0; j < failed.length; j += subSize) {
+        await send(failed.slice(j, j + subSize), true);
+      }
     }
 
     // Finalize with fallback
     for (const it of chunk) {
       const ri = Number(it.rowIndex);
-      const got = parsed.find((x) => Number(x.rowIndex) === ri);
+      const { attempts, got } = state.get(ri);
       const t = got?.translatedText;
 
-      const ok = t && String(t).trim();
+      const ok = !got?.error && t && String(t).trim();
+      if (!ok) fallbacks += 1;
       resultsAll.push({
         rowIndex: ri,
         sourceText: String(it.sourceText ?? ""),
         translatedText: ok ? String(t) : String(it.textForTranslate ?? ""),
+        _attempts: attempts,
         _fallbackUsed: !ok,
+        ...(ok ? {} : { _parseError: got?.error || "missing" }),
+        ...(!ok && got?.message ? { _error: got.message } : {}),
       });
     }
+
+    if (typeof args.onChunk === "function") {
+      await args.onChunk({ chunksDone: chunks, chunksTotal, itemsDone: resultsAll.length, fallbacks });
+    }
   }
 
   return {
     results: resultsAll,
     meta: {
+      provider: provider.name,
       model,
+      protocol: protocol.name,
       chunks,
+      chunksTotal,
       chunkSize,
+      promptTemplates: Array.from(new Set(plan.map((c) => c.template.key))),
+      requests,
+      retriedRows,
+      transportRetries,
+      failedRequests,
       elapsedMs: nowMs() - started,
       items: items.length,
+      cancelled,
     },
   };
 }
@@ -0,0 +1,140 @@
+// src/translate/prompt.mjs
+// - System prompt for batch translation
+//   - intro: template per target language / category (TRANSLATE_PROMPT_TEMPLATES), default = generic translator
+//   - hard rules: wire protocol (src/translate/protocol.mjs) + mask tokens; templates cannot replace them
+//   - row hints: glossary terms masked in each row ({mask:N} → target, source, note), matched rules
+//     and the best fuzzy translation-memory match (src/tm/memory.mjs)
+// - Template lookup: "<targetLang>:<category>" > "<targetLang>" > "*:<category>" > "*" > default
+//   - value: string or string[] (lines); placeholders {sourceLang} {targetLang} {category}
+
+import fs from "node:fs";
+import { TRANSLATE_PROMPT_TEMPLATES } from "../config/env.mjs";
+
+const DEFAULT_TEMPLATE = [
+  `You are a professional game localization translator.`,
+  `Translate from {sourceLang} to {targetLang}.`,
+];
+
+const MAX_TERMS_PER_ROW = 20;
+
+function parsePromptTemplates(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return new Map();
+
+  let json = s;
+  if (!s.startsWith("{")) {
+    try {
+      json = fs.readFileSync(s, "utf8");
+    } catch {
+      throw new Error(`TRANSLATE_PROMPT_TEMPLATES file not readable: ${s}`);
+    }
+  }
+
+  let obj;
+  try {
+    obj = JSON.parse(json);
+  } catch {
+    throw new Error("TRANSLATE_PROMPT_TEMPLATES is not valid JSON.");
+  }
+
+  return new Map(
+    Object.entries(obj ?? {})
+      .map(([k, v]) => [String(k ?? "").trim().toLowerCase(), Array.isArray(v) ? v.map(String) : [String(v ?? "")]])
+      .filter(([k, lines]) => k && lines.some((l) => l.trim()))
+  );
+}
+
+const _templates = parsePromptTemplates(TRANSLATE_PROMPT_TEMPLATES);
+
+/**
+ * Template for a target language / row category.
+ * @param {{ targetLang:string, category?:string }} opts
+ * @returns {{ key:string, lines:string[] }} key "default" when nothing is configured
+ */
+export function resolvePromptTemplate({ targetLang, category } = {}) {
+  const tl = String(targetLang ?? "").trim().toLowerCase();
+  const cat = String(category ?? "").trim().toLowerCase();
+
+  const keys = cat ? [`${tl}:${cat}`, tl, `*:${cat}`, "*"] : [tl, "*"];
+  for (const key of keys) {
+    const lines = _templates.get(key);
+    if (lines) return { key, lines };
+  }
+  return { key: "default", lines: DEFAULT_TEMPLATE };
+}
+
+function fill(line, vars) {
+  return String(line).replace(/\{(sourceLang|targetLang|category)\}/g, (_, k) => vars[k] || "");
+}
+
+/**
+ * Per-row hints from the replace pipeline.
+ * @param {{ masks?:Array<object>, matchedRules?:Array<object>, tm?:{score:number, source:string, target:string} }} opts
+ *   masks: createMaskSet().list(), matchedRules: applyRules().matched, tm: fuzzy TM match
+ * @returns {{ terms:Array<{token:string, source:string, target:string, note?:string}>, rules:Array<{key:string, note?:string}>, tm?:object }}
+ */
+export function buildRowHints({ masks, matchedRules, tm } = {}) {
+  const terms = (Array.isArray(masks) ? masks : [])
+    .filter((m) => m?.meta?.kind === "glossary")
+    .slice(0, MAX_TERMS_PER_ROW)
+    .map((m) => ({
+      token: m.token,
+      source: String(m.meta.from ?? ""),
+      target: m.value,
+      ...(m.meta.note ? { note: m.meta.note } : {}),
+    }));
+
+  const rules = (Array.isArray(matchedRules) ? matchedRules : [])
+    .filter((r) => r?.key)
+    .map((r) => ({ key: r.key, ...(r.note ? { note: r.note } : {}) }));
+
+  return {
+    terms,
+    rules,
+    ...(tm ? { tm: { score: tm.score, source: String(tm.source ?? ""), target: String(tm.target ?? "") } } : {}),
+  };
+}
+
+function formatRowHints(items, sourceLang) {
+  const lines = [];
+  for (const it of items) {
+    const h = it?.hints;
+    if (!h || (!h.terms?.length && !h.rules?.length && !h.tm)) continue;
+
+    const parts = [
+      ...(h.terms || []).map(
+        (t) => `${t.token} = "${t.target}" (${sourceLang}: "${t.source}"${t.note ? `; note: ${t.note}` : ""})`
+      ),
+      ...(h.rules || []).map((r) => `rule ${r.key}${r.note ? ` (${r.note})` : ""}`),
+      ...(h.tm ? [`similar (${Math.round(h.tm.score * 100)}%): "${h.tm.source}" → "${h.tm.target}"`] : []),
+    ];
+    lines.push(`- ${Number(it.rowIndex)}: ${parts.join("; ")}`);
+  }
+  return lines;
+}
+
+/**
+ * System prompt for one chunk.
+ * @param {{ sourceLang:string, targetLang:string, category?:string, protocol:object, template?:object, items?:Array<object> }} opts
+ *   items: chunk items (rowIndex, hints?) → ROW HINTS section
+ */
+export function buildSystemPrompt({ sourceLang, targetLang, category, protocol, template, items }) {
+  const vars = { sourceLang, targetLang, category: String(category ?? "") };
+  const intro = (template ?? resolvePromptTemplate({ targetLang, category })).lines.map((l) => fill(l, vars));
+  const hints = formatRowHints(Array.isArray(items) ? items : [], sourceLang);
+
+  return [
+    ...intro,
+    `HARD RULES:`,
+    ...protocol.promptRules,
+    `- "{mask:N}" tokens are fixed terms: keep each one EXACTLY once, unchanged (you may move it to fit grammar).`,
+    `- Preserve punctuation, numbers, and tags (<TIPBOX>, <INFO>, <NAV>).`,
+    protocol.outputRule,
+    ...(hints.length
+      ? [
+          `ROW HINTS (rowIndex: fixed terms / applied rules / similar past translations; use them for grammar, context and consistency, do not output them):`,
+          ...hints,
+        ]
+      : []),
+  ].join("\n");
+}
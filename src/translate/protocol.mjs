@@ -0,0 +1,201 @@
+// src/translate/protocol.mjs
+// - Wire protocols between the batch translator and the LLM (selectable per batch)
+//   - records (default): "<rowIndex>\t<text>" joined by ␞, newlines inside text encoded as ␟
+//   - json             : {"records":[{"rowIndex":2,"text":"..."}]} in and out, output constrained by
+//                        a JSON schema (providers that support it) and validated strictly per row
+// - Protocol object:
+//   { name, promptRules[], jsonSchema|null,
+//     buildInput(items), parseOutput(raw, expectedRowIndexes),   // translator
+//     parseInput(raw), buildOutput(records) }                   // mock driver answers in kind
+// - parseOutput → [{ rowIndex, translatedText|null, error|null }]
+//   error: missing | empty_text | invalid_text | duplicate | invalid_json | invalid_shape
+//
+// env:
+// - TRANSLATE_PROTOCOL (records | json, default: records)
+
+// Record separator & newline placeholder
+export const RS = "\u241E"; // ␞
+export const NL = "\u241F"; // ␟
+
+function protectNewlines(s) {
+  return String(s ?? "").replace(/\r\n/g, "\n").replace(/\n/g, NL);
+}
+function restoreNewlines(s) {
+  return String(s ?? "").replace(new RegExp(NL, "g"), "\n");
+}
+
+// ---------------- records ----------------
+
+/**
+ * @param {Array<{ rowIndex:number, textForTranslate:string }>} items
+ * @returns {string} <rowIndex>\t<protectedText> records joined by RS
+ */
+export function buildInputPayload(items) {
+  return items
+    .map((it) => `${Number(it.rowIndex)}\t${protectNewlines(it.textForTranslate)}`)
+    .join(RS);
+}
+
+/**
+ * Records in a payload (either direction), newlines restored.
+ * @returns {Array<{ rowIndex:number, text:string }>}
+ */
+export function parseRecords(raw) {
+  const out = [];
+  const recs = String(raw ?? "")
+    .split(RS)
+    .map((x) => String(x ?? "").trim())
+    .filter(Boolean);
+
+  for (const rec of recs) {
+    const tab = rec.indexOf("\t");
+    if (tab <= 0) continue;
+    const ri = Number(rec.slice(0, tab).trim());
+    if (!Number.isFinite(ri)) continue;
+    out.push({ rowIndex: ri, text: restoreNewlines(rec.slice(tab + 1)) });
+  }
+  return out;
+}
+
+/**
+ * @param {string} raw model output
+ * @param {number[]} expectedRowIndexes
+ * @returns {Array<{ rowIndex:number, translatedText:string|null, error:string|null }>}
+ */
+export function parseOutputPayload(raw, expectedRowIndexes) {
+  const outMap = new Map(parseRecords(raw).map((r) => [r.rowIndex, r.text]));
+
+  return expectedRowIndexes.map((ri) => {
+    const t = outMap.get(ri);
+    if (t == null) return { rowIndex: ri, translatedText: null, error: "missing" };
+    if (!String(t).trim()) return { rowIndex: ri, translatedText: null, error: "empty_text" };
+    return { rowIndex: ri, translatedText: t, error: null };
+  });
+}
+
+const recordsProtocol = {
+  name: "records",
+  jsonSchema: null,
+  promptRules: [
+    `- Output MUST keep the same record structure.`,
+    `- Records are separated by "${RS}". Do NOT remove it.`,
+    `- Each record format: <rowIndex>\\t<text>. Keep the same rowIndex.`,
+    `- Newlines are encoded as "${NL}". Do NOT change/remove it.`,
+  ],
+  outputRule: `- Output ONLY the translated records.`,
+  buildInput: buildInputPayload,
+  parseOutput: parseOutputPayload,
+  parseInput: parseRecords,
+  buildOutput: (records) => buildInputPayload(records.map((r) => ({ rowIndex: r.rowIndex, textForTranslate: r.text }))),
+};
+
+// ---------------- json ----------------
+
+const JSON_RECORDS_SCHEMA = Object.freeze({
+  type: "object",
+  additionalProperties: false,
+  required: ["records"],
+  properties: {
+    records: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["rowIndex", "text"],
+        properties: {
+          rowIndex: { type: "integer" },
+          text: { type: "string" },
+        },
+      },
+    },
+  },
+});
+
+// models without schema enforcement sometimes wrap the object in a ```json fence
+function unwrapJson(raw) {
+  const s = String(raw ?? "").trim();
+  const m = /^```(?:json)?\s*([\s\S]*?)\s*```$/i.exec(s);
+  return m ? m[1] : s;
+}
+
+function parseJsonRecords(raw) {
+  let data;
+  try {
+    data = JSON.parse(unwrapJson(raw));
+  } catch {
+    return { error: "invalid_json", records: null };
+  }
+  if (!data || typeof data !== "object" || !Array.isArray(data.records)) {
+    return { error: "invalid_shape", records: null };
+  }
+  return { error: null, records: data.records };
+}
+
+function parseJsonOutput(raw, expectedRowIndexes) {
+  const { error, records } = parseJsonRecords(raw);
+  if (error) return expectedRowIndexes.map((ri) => ({ rowIndex: ri, translatedText: null, error }));
+
+  const byRow = new Map(); // rowIndex -> { text, error }
+  for (const rec of records) {
+    const ri = rec?.rowIndex;
+    if (!Number.isInteger(ri)) continue; // cannot be attributed to a row
+
+    if (byRow.has(ri)) {
+      byRow.set(ri, { text: null, error: "duplicate" });
+      continue;
+    }
+    if (typeof rec.text !== "string") byRow.set(ri, { text: null, error: "invalid_text" });
+    else if (!rec.text.trim()) byRow.set(ri, { text: null, error: "empty_text" });
+    else byRow.set(ri, { text: rec.text, error: null });
+  }
+
+  return expectedRowIndexes.map((ri) => {
+    const got = byRow.get(ri);
+    if (!got) return { rowIndex: ri, translatedText: null, error: "missing" };
+    return { rowIndex: ri, translatedText: got.text, error: got.error };
+  });
+}
+
+const jsonProtocol = {
+  name: "json",
+  jsonSchema: JSON_RECORDS_SCHEMA,
+  promptRules: [
+    `- Input is JSON: {"records":[{"rowIndex":<int>,"text":<string>}]}.`,
+    `- Output MUST be JSON of the same shape: one object per input record, same rowIndex, translated "text".`,
+    `- Do NOT add, drop, merge or split records.`,
+  ],
+  outputRule: `- Output ONLY the JSON object (no code fences, no commentary).`,
+  buildInput: (items) =>
+    JSON.stringify({
+      records: items.map((it) => ({ rowIndex: Number(it.rowIndex), text: String(it.textForTranslate ?? "") })),
+    }),
+  parseOutput: parseJsonOutput,
+  parseInput: (raw) =>
+    (parseJsonRecords(raw).records ?? [])
+      .filter((r) => Number.isInteger(r?.rowIndex))
+      .map((r) => ({ rowIndex: r.rowIndex, text: String(r.text ?? "") })),
+  buildOutput: (records) => JSON.stringify({ records: records.map((r) => ({ rowIndex: r.rowIndex, text: r.text })) }),
+};
+
+// ---------------- registry ----------------
+
+const PROTOCOLS = new Map([
+  [recordsProtocol.name, recordsProtocol],
+  [jsonProtocol.name, jsonProtocol],
+]);
+
+export const TRANSLATE_PROTOCOLS = Array.from(PROTOCOLS.keys());
+
+/**
+ * @param {string} [name] records | json (default: TRANSLATE_PROTOCOL env → records)
+ */
+export function getTranslateProtocol(name) {
+  const key = String(name ?? process.env.TRANSLATE_PROTOCOL ?? "records").trim().toLowerCase() || "records";
+  const p = PROTOCOLS.get(key);
+  if (!p) {
+    const err = new Error(`Unknown translate protocol: ${key} (${TRANSLATE_PROTOCOLS.join(" | ")})`);
+    err.status = 400;
+    throw err;
+  }
+  return p;
+}
@@ -0,0 +1,78 @@
+// src/translate/providerAnthropic.mjs
+// - Anthropic Messages API driver (ANTHROPIC_BASE_URL/messages)
+//   - system messages → top-level `system`, the rest stays user/assistant turns
+//   - jsonSchema is not enforced here (the json protocol relies on the prompt + strict parsing)
+//
+// env:
+// - ANTHROPIC_API_KEY
+// - ANTHROPIC_BASE_URL (default: https://api.anthropic.com/v1)
+// - ANTHROPIC_MODEL (default: claude-sonnet-4-5)
+// - ANTHROPIC_VERSION (default: 2023-06-01)
+
+import { fetchWithTimeout, readJsonOrText, upstreamError } from "./http.mjs";
+
+const ANTHROPIC_BASE_URL = process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com/v1";
+const ANTHROPIC_VERSION = process.env.ANTHROPIC_VERSION || "2023-06-01";
+
+export const anthropicProvider = {
+  name: "anthropic",
+  description: "Anthropic /messages",
+  defaultModel: process.env.ANTHROPIC_MODEL || "claude-sonnet-4-5",
+
+  async complete({ model, temperature, maxTokens, timeoutMs, messages }) {
+    const apiKey = String(process.env.ANTHROPIC_API_KEY || "").trim();
+    if (!apiKey) throw new Error("ANTHROPIC_API_KEY is missing in environment.");
+
+    const list = Array.isArray(messages) ? messages : [];
+    const system = list
+      .filter((m) => m.role === "system")
+      .map((m) => m.content)
+      .join("\n\n");
+
+    // consecutive same-role turns are merged (the API expects alternation)
+    const turns = [];
+    for (const m of list) {
+      if (m.role === "system") continue;
+      const role = m.role === "assistant" ? "assistant" : "user";
+      const last = turns[turns.length - 1];
+      if (last && last.role === role) last.content += `\n\n${m.content}`;
+      else turns.push({ role, content: String(m.content ?? "") });
+    }
+
+    const resp = await fetchWithTimeout(
+      `${ANTHROPIC_BASE_URL}/messages`,
+      {
+        method: "POST",
+        headers: {
+          "x-api-key": apiKey,
+          "anthropic-version": ANTHROPIC_VERSION,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model: model || this.defaultModel,
+          temperature,
+          max_tokens: maxTokens,
+          ...(system ? { system } : {}),
+          messages: turns,
+        }),
+      },
+      timeoutMs
+    );
+
+    const { data, text } = await readJsonOrText(resp);
+
+    if (!resp.ok) {
+      const msg =
+        data?.error?.message ||
+        data?.error?.type ||
+        (typeof text === "string" && text) ||
+        `Anthropic error status=${resp.status}`;
+      throw upstreamError(msg, resp, { provider: "anthropic", upstreamStatus: resp.status });
+    }
+
+    return (Array.isArray(data?.content) ? data.content : [])
+      .filter((c) => c?.type === "text")
+      .map((c) => String(c.text ?? ""))
+      .join("");
+  },
+};
@@ -0,0 +1,35 @@
+// src/translate/providerMock.mjs
+// - Deterministic offline driver: no network, no API key
+//   - reads the records from the first user message and answers in the same protocol
+//   - model selects the mode ("mock:echo", "mock:pseudo"); default LLM_MOCK_MODE or pseudo
+//     - echo   : text unchanged
+//     - pseudo : "[<targetLang>] text" ({mask:N} tokens and newlines untouched)
+// - Lets /v2/batch/run run end-to-end in tests / local dev (LLM_PROVIDER=mock or model "mock")
+
+import { getTranslateProtocol } from "./protocol.mjs";
+
+const MODES = new Set(["echo", "pseudo"]);
+
+function pseudoTranslate(text, targetLang) {
+  return `[${targetLang || "xx"}] ${text}`;
+}
+
+export const mockProvider = {
+  name: "mock",
+  description: "Offline deterministic echo / pseudo-translation",
+  defaultModel: MODES.has(process.env.LLM_MOCK_MODE) ? process.env.LLM_MOCK_MODE : "pseudo",
+
+  async complete({ model, messages, context }) {
+    const mode = MODES.has(model) ? model : this.defaultModel;
+    const input = (Array.isArray(messages) ? messages : []).find((m) => m.role === "user")?.content ?? "";
+
+    const protocol = getTranslateProtocol(context?.protocol);
+
+    const records = protocol.parseInput(input).map((r) => ({
+      rowIndex: r.rowIndex,
+      text: mode === "echo" ? r.text : pseudoTranslate(r.text, context?.targetLang),
+    }));
+
+    return protocol.buildOutput(records);
+  },
+};
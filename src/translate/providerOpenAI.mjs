@@ -0,0 +1,58 @@
+// src/translate/providerOpenAI.mjs
+// - OpenAI-compatible chat completions driver (OPENAI_BASE_URL/chat/completions)
+//   - jsonSchema given → response_format json_schema (strict) so the output is constrained
+//
+// env:
+// - OPENAI_API_KEY
+// - OPENAI_BASE_URL (default: https://api.openai.com/v1)
+// - OPENAI_MODEL_TRANSLATE / OPENAI_MODEL (default: gpt-4.1)
+
+import { OPENAI_MODEL_TRANSLATE } from "../config/env.mjs";
+import { fetchWithTimeout, readJsonOrText, upstreamError } from "./http.mjs";
+
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1";
+
+export const openaiProvider = {
+  name: "openai",
+  description: "OpenAI-compatible /chat/completions",
+  defaultModel: OPENAI_MODEL_TRANSLATE,
+
+  async complete({ model, temperature, maxTokens, timeoutMs, messages, jsonSchema }) {
+    const apiKey = String(process.env.OPENAI_API_KEY || "").trim();
+    if (!apiKey) throw new Error("OPENAI_API_KEY is missing in environment.");
+
+    const resp = await fetchWithTimeout(
+      `${OPENAI_BASE_URL}/chat/completions`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model: model || this.defaultModel,
+          temperature,
+          max_tokens: maxTokens,
+          messages,
+          ...(jsonSchema
+            ? { response_format: { type: "json_schema", json_schema: { name: "translations", strict: true, schema: jsonSchema } } }
+            : {}),
+        }),
+      },
+      timeoutMs
+    );
+
+    const { data, text } = await readJsonOrText(resp);
+
+    if (!resp.ok) {
+      const msg =
+        data?.error?.message ||
+        data?.error?.type ||
+        (typeof text === "string" && text) ||
+        `OpenAI error status=${resp.status}`;
+      throw upstreamError(msg, resp, { provider: "openai", openaiStatus: resp.status });
+    }
+
+    return String(data?.choices?.[0]?.message?.content ?? "");
+  },
+};
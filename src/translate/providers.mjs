@@ -0,0 +1,95 @@
+/**
+ * src/translate/providers.mjs
+ * - LLM provider registry (pluggable chat backends for server-side translation)
+ *
+ * Provider interface:
+ *   {
+ *     name: string,                // "openai" | "anthropic" | "mock" | ...
+ *     description?: string,
+ *     defaultModel: string,
+ *     complete({ model, temperature, maxTokens, timeoutMs, messages, jsonSchema, context })
+ *       => Promise<string>         // assistant text
+ *   }
+ *
+ * - messages: [{ role: "system"|"user"|"assistant", content }]
+ * - jsonSchema: output JSON schema (json protocol) or null; drivers enforce it when the API can
+ * - context: { sourceLang, targetLang, protocol } (offline drivers use it; network drivers ignore it)
+ *
+ * 선택 (resolveLlm):
+ * - request `model` "provider:model" (e.g. "anthropic:claude-sonnet-4-5", "mock:pseudo")
+ * - request `model` = provider name ("mock") → provider default model
+ * - model name heuristics: claude-* → anthropic, gpt-* / o1.. → openai
+ * - otherwise LLM_PROVIDER env (default: openai)
+ */
+
+import { LLM_PROVIDER } from "../config/env.mjs";
+import { openaiProvider } from "./providerOpenAI.mjs";
+import { anthropicProvider } from "./providerAnthropic.mjs";
+import { mockProvider } from "./providerMock.mjs";
+
+const _providers = new Map(); // name(lower) -> provider
+
+function _key(name) {
+  return String(name ?? "").trim().toLowerCase();
+}
+
+export function registerLlmProvider(provider) {
+  const k = _key(provider?.name);
+  if (!k) throw new Error("LLM provider must have a name.");
+  if (typeof provider.complete !== "function") {
+    throw new Error(`LLM provider '${provider.name}' must implement complete().`);
+  }
+  _providers.set(k, provider);
+  return provider;
+}
+
+export function getLlmProvider(name) {
+  return _providers.get(_key(name)) || null;
+}
+
+export function listLlmProviders() {
+  return Array.from(_providers.values()).map((p) => ({
+    name: p.name,
+    defaultModel: p.defaultModel,
+    description: p.description || "",
+  }));
+}
+
+function unknownProvider(name) {
+  const err = new Error(`Unknown LLM provider: ${name}`);
+  err.status = 400;
+  err.extra = { available: Array.from(_providers.values()).map((x) => x.name) };
+  return err;
+}
+
+/**
+ * Resolve provider + model for a request.
+ * @param {string} [model] request model (optionally "provider:model")
+ * @returns {{ provider: object, model: string }}
+ */
+export function resolveLlm(model) {
+  const m = String(model ?? "").trim();
+
+  if (m) {
+    const colon = m.indexOf(":");
+    if (colon > 0) {
+      const p = _providers.get(_key(m.slice(0, colon)));
+      if (p) return { provider: p, model: m.slice(colon + 1).trim() || p.defaultModel };
+    }
+
+    const byName = _providers.get(_key(m));
+    if (byName) return { provider: byName, model: byName.defaultModel };
+
+    if (/^claude/i.test(m)) return { provider: _providers.get("anthropic"), model: m };
+    if (/^(gpt-|o\d)/i.test(m)) return { provider: _providers.get("openai"), model: m };
+  }
+
+  const p = _providers.get(_key(LLM_PROVIDER));
+  if (!p) throw unknownProvider(LLM_PROVIDER);
+  return { provider: p, model: m || p.defaultModel };
+}
+
+// ---------------- built-in providers ----------------
+registerLlmProvider(openaiProvider);
+registerLlmProvider(anthropicProvider);
+registerLlmProvider(mockProvider);
@@ -0,0 +1,237 @@
+// src/utils/outbound.mjs
+// - Shared outbound HTTP client
+//   - token-bucket rate limit (requests/sec + burst)
+//   - bounded in-flight requests (semaphore)
+//   - per-attempt timeout
+//   - retries with exponential backoff + full jitter on 429/5xx/timeout/network errors
+// - Errors are classified: err.retryable (bool), err.kind ("timeout"|"network"|"http"), err.upstreamStatus
+// - retryWithBackoff: the same retry policy for callers that do their own I/O (LLM drivers)
+// - mapWithConcurrency: bounded Promise.all preserving input order
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+}
+
+// ---------------- error classification ----------------
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+export function isRetryableStatus(status) {
+  const s = Number(status);
+  return RETRYABLE_STATUS.has(s) || (s >= 500 && s <= 599);
+}
+
+function outboundError(message, { kind, retryable, upstreamStatus, retryAfterMs } = {}) {
+  const err = new Error(message);
+  err.kind = kind;
+  err.retryable = Boolean(retryable);
+  err.upstreamStatus = upstreamStatus ?? null;
+  err.retryAfterMs = retryAfterMs ?? null;
+  return err;
+}
+
+export function parseRetryAfterMs(v) {
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  const sec = Number(s);
+  if (Number.isFinite(sec)) return Math.max(0, sec * 1000);
+  const at = Date.parse(s);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// ---------------- retry ----------------
+function backoffDelayMs(attempt, retryAfterMs, { baseDelayMs, maxDelayMs }) {
+  const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  const jittered = Math.random() * exp; // full jitter
+  return retryAfterMs != null ? Math.min(maxDelayMs, Math.max(retryAfterMs, jittered)) : jittered;
+}
+
+/**
+ * Run fn until it resolves or throws a non-retryable error (err.retryable !== true).
+ * - exponential backoff + full jitter, honoring err.retryAfterMs
+ * - the final error carries err.attempts
+ * @param {(attempt:number) => Promise<any>} fn
+ * @param {{ maxRetries?: number, baseDelayMs?: number, maxDelayMs?: number, onRetry?: Function }} [opts]
+ */
+export async function retryWithBackoff(fn, opts = {}) {
+  const maxRetries = Math.max(0, Number(opts.maxRetries ?? 3));
+  const baseDelayMs = Math.max(0, Number(opts.baseDelayMs ?? 300));
+  const maxDelayMs = Math.max(baseDelayMs, Number(opts.maxDelayMs ?? 8000));
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      if (!e?.retryable || attempt >= maxRetries) {
+        if (e && typeof e === "object") e.attempts = attempt + 1;
+        throw e;
+      }
+      await opts.onRetry?.(e, attempt);
+      await sleep(backoffDelayMs(attempt, e.retryAfterMs, { baseDelayMs, maxDelayMs }));
+    }
+  }
+}
+
+// ---------------- token bucket ----------------
+function createTokenBucket({ ratePerSec, burst }) {
+  const rate = Math.max(0, Number(ratePerSec) || 0); // 0 = unlimited
+  const capacity = Math.max(1, Number(burst) || 1);
+  let tokens = capacity;
+  let last = Date.now();
+  let chain = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - last) / 1000) * rate);
+    last = now;
+  }
+
+  // serialized so waiters are served FIFO
+  function take() {
+    if (!rate) return Promise.resolve();
+    const p = chain.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(((1 - tokens) / rate) * 1000);
+        refill();
+      }
+      tokens -= 1;
+    });
+    chain = p.catch(() => {});
+    return p;
+  }
+
+  return { take };
+}
+
+// ---------------- semaphore ----------------
+function createSemaphore(max) {
+  const limit = Math.max(1, Number(max) || 1);
+  let active = 0;
+  const queue = [];
+
+  async function acquire() {
+    if (active < limit) {
+      active += 1;
+      return;
+    }
+    await new Promise((resolve) => queue.push(resolve));
+  }
+
+  function release() {
+    const next = queue.shift();
+    if (next) next(); // slot handed over, active unchanged
+    else active -= 1;
+  }
+
+  return { acquire, release };
+}
+
+/**
+ * Create an outbound client.
+ * @param {object} opts
+ * @param {string} opts.name - label used in error messages/logs
+ * @param {number} [opts.ratePerSec=0] - 0 = unlimited
+ * @param {number} [opts.burst=1]
+ * @param {number} [opts.maxConcurrent=4]
+ * @param {number} [opts.maxRetries=3] - retries after the first attempt
+ * @param {number} [opts.baseDelayMs=300]
+ * @param {number} [opts.maxDelayMs=8000]
+ * @param {number} [opts.timeoutMs=8000] - per attempt
+ */
+export function createOutboundClient(opts = {}) {
+  const name = String(opts.name ?? "outbound");
+  const bucket = createTokenBucket({ ratePerSec: opts.ratePerSec, burst: opts.burst });
+  const sem = createSemaphore(opts.maxConcurrent ?? 4);
+  const maxRetries = Math.max(0, Number(opts.maxRetries ?? 3));
+  const baseDelayMs = Math.max(0, Number(opts.baseDelayMs ?? 300));
+  const maxDelayMs = Math.max(baseDelayMs, Number(opts.maxDelayMs ?? 8000));
+  const defaultTimeoutMs = Math.max(100, Number(opts.timeoutMs ?? 8000));
+
+  const stats = { requests: 0, retries: 0, failures: 0 };
+
+  async function attemptOnce(url, init, timeoutMs) {
+    await bucket.take();
+    await sem.acquire();
+
+    const controller = new AbortController();
+    const t = setTimeout(() => controller.abort(), timeoutMs);
+    stats.requests += 1;
+
+    try {
+      const res = await fetch(url, { ...init, signal: controller.signal });
+      if (res.ok) return res;
+
+      const body = await res.text().catch(() => "");
+      throw outboundError(`${name} http ${res.status}${body ? `: ${body.slice(0, 200)}` : ""}`, {
+        kind: "http",
+        retryable: isRetryableStatus(res.status),
+        upstreamStatus: res.status,
+        retryAfterMs: parseRetryAfterMs(res.headers.get("retry-after")),
+      });
+    } catch (e) {
+      if (e?.kind) throw e;
+      if (e?.name === "AbortError") {
+        throw outboundError(`${name} timeout after ${timeoutMs}ms`, { kind: "timeout", retryable: true });
+      }
+      throw outboundError(`${name} network error: ${String(e?.cause?.code ?? e?.cause?.errors?.[0]?.code ?? e?.message ?? e)}`, {
+        kind: "network",
+        retryable: true,
+      });
+    } finally {
+      clearTimeout(t);
+      sem.release();
+    }
+  }
+
+  /**
+   * fetch with rate limit + retry. Resolves only with an ok (2xx) Response.
+   * @param {string} url
+   * @param {RequestInit} [init]
+   * @param {{ timeoutMs?: number, maxRetries?: number }} [callOpts]
+   */
+  async function request(url, init = {}, callOpts = {}) {
+    const timeoutMs = Math.max(100, Number(callOpts.timeoutMs ?? defaultTimeoutMs));
+    const retries = Math.max(0, Number(callOpts.maxRetries ?? maxRetries));
+
+    try {
+      return await retryWithBackoff(() => attemptOnce(url, init, timeoutMs), {
+        maxRetries: retries,
+        baseDelayMs,
+        maxDelayMs,
+        onRetry: () => {
+          stats.retries += 1;
+        },
+      });
+    } catch (e) {
+      stats.failures += 1;
+      throw e;
+    }
+  }
+
+  return { name, request, stats };
+}
+
+/**
+ * Bounded-parallel map preserving input order.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const list = Array.isArray(items) ? items : [];
+  const out = new Array(list.length);
+  const n = Math.max(1, Math.min(Number(limit) || 1, list.length || 1));
+  let next = 0;
+
+  async function worker() {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length: n }, worker));
+  return out;
+}
@@ -0,0 +1,26 @@
+// test/glossary.conflicts.test.mjs
+// - duplicate source terms: sheet order by default, priority / category only when opted in
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveConflictPolicy, rankCandidates } from "../src/glossary/conflicts.mjs";
+
+delete process.env.GLOSSARY_CONFLICT_POLICY;
+
+const entries = [
+  { _rowIndex: 2, category: "common", priority: 0, translations: { "en-us": "" } },
+  { _rowIndex: 3, category: "common", priority: 0, translations: { "en-us": "Potion" } },
+  { _rowIndex: 4, category: "item", priority: 5, translations: { "en-us": "Elixir" } },
+];
+
+test("default policy is sheet order (first row with a translation)", () => {
+  const policy = resolveConflictPolicy();
+  assert.deepEqual(policy, []);
+  assert.equal(rankCandidates(entries, "en-us", policy)[0]._rowIndex, 3);
+});
+
+test("priority / category are opt-in", () => {
+  assert.equal(rankCandidates(entries, "en-us", resolveConflictPolicy("priority"))[0]._rowIndex, 4);
+  assert.equal(rankCandidates(entries, "en-us", resolveConflictPolicy("category"))[0]._rowIndex, 4);
+});
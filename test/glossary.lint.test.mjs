@@ -0,0 +1,66 @@
+// test/glossary.lint.test.mjs
+// - lintGlossary: one focused case per rule (rows through parseGlossaryValues, like the sheet loader)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseGlossaryValues } from "../src/glossary/load.mjs";
+import { lintGlossary } from "../src/glossary/lint.mjs";
+
+const HEADER = ["key", "분류", "ko-KR", "en-US", "match_type"];
+
+function lint(rows, rule) {
+  const glossary = parseGlossaryValues({ sheetName: "Glossary", header: HEADER, rows });
+  return lintGlossary(glossary, { rules: [rule] }).findings;
+}
+
+test("invisible_chars: trailing whitespace, fix strips it", () => {
+  const [f, ...rest] = lint([["k1", "item", "포션 ", "Potion", ""]], "invisible_chars");
+  assert.equal(rest.length, 0);
+  assert.equal(f.rowIndex, 2);
+  assert.equal(f.column, "ko-KR");
+  assert.deepEqual(f.fix, { column: "ko-KR", value: "포션" });
+});
+
+test("empty_anchor: translation without ko-KR", () => {
+  const findings = lint([["k1", "item", "", "Potion", ""], ["k2", "item", "", "", ""]], "empty_anchor");
+  assert.deepEqual(findings.map((f) => [f.rowIndex, f.severity]), [[2, "error"]]);
+});
+
+test("cross_category_duplicate: same term in two categories", () => {
+  const findings = lint(
+    [["k1", "item", "포션", "Potion", ""], ["k2", "ui", "포션", "Potion", ""], ["k3", "item", "검", "Sword", ""]],
+    "cross_category_duplicate"
+  );
+  assert.deepEqual(findings.map((f) => f.rowIndex), [2, 3]);
+  assert.deepEqual(findings[0].related, [3]);
+});
+
+test("target_equals_source: untranslated copy", () => {
+  const findings = lint([["k1", "item", "GM", "GM", ""], ["k2", "item", "포션", "Potion", ""]], "target_equals_source");
+  assert.deepEqual(findings.map((f) => [f.rowIndex, f.column]), [[2, "en-US"]]);
+});
+
+test("substring_term: Hangul term → particle", () => {
+  const findings = lint([["k1", "item", "포션", "Potion", ""], ["k2", "item", "포션상자", "Potion Box", "word"]], "substring_term");
+  assert.equal(findings.length, 1);
+  assert.deepEqual(findings[0].fix, { column: "match_type", value: "particle" });
+});
+
+test("substring_term: Latin term → word", () => {
+  const findings = lint([["k1", "item", "Arrow", "Arrow", ""], ["k2", "item", "Arrowhead", "Arrowhead", "word"]], "substring_term");
+  assert.equal(findings.length, 1);
+  assert.deepEqual(findings[0].fix, { column: "match_type", value: "word" });
+});
+
+test("substring_term: no fix when the mode would still match inside the longer term", () => {
+  const findings = lint([["k1", "item", "포션", "Potion", ""], ["k2", "item", "포션 상자", "Potion Box", "word"]], "substring_term");
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].fix, undefined);
+});
+
+test("substring_term: no fix for Han terms", () => {
+  const findings = lint([["k1", "item", "火", "Fire", ""], ["k2", "item", "火山", "Volcano", "word"]], "substring_term");
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].fix, undefined);
+});
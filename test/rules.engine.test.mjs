@@ -0,0 +1,81 @@
+// test/rules.engine.test.mjs
+// - applyRules on text already masked by the glossary (the rules_test / batch pipeline)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { applyRules } from "../src/rules/engine.mjs";
+import { renderRuleTarget } from "../src/rules/pattern.mjs";
+import { createMaskSet, unmaskText } from "../src/replace/mask.mjs";
+
+function rule(ko, en, extra = {}) {
+  return { _rowIndex: 2, key: "R1", category: "", translations: { "ko-kr": ko, "en-us": en }, matchType: "pattern", priority: 0, ...extra };
+}
+
+test("rule fires when a capture contains a whole glossary mask token", () => {
+  const masks = createMaskSet();
+  const text = `${masks.add("Potion", { kind: "glossary", from: "포션" })} 획득`; // "포션 획득" after glossary
+
+  const r = applyRules({
+    text,
+    categoryKey: "",
+    targetLangKey: "en-us",
+    rulesCache: { entries: [rule("{V} 획득", "Obtained {V}")] },
+    masks,
+  });
+
+  assert.equal(r.hits, 1);
+  assert.equal(r.out, "{mask:1}{mask:0}"); // fixed rule text is masked too, the glossary token passes through
+  assert.equal(unmaskText(r.out, masks.list()).out, "Obtained Potion");
+});
+
+test("{0} across a glossary mask keeps the token unmasked", () => {
+  const masks = createMaskSet();
+  const text = `${masks.add("Potion", { kind: "glossary", from: "포션" })} 획득`;
+
+  const r = applyRules({
+    text,
+    categoryKey: "",
+    targetLangKey: "en-us",
+    rulesCache: { entries: [rule("{V} 획득", "[{0}] Obtained")] },
+    masks,
+  });
+
+  assert.equal(r.hits, 1);
+  const restored = unmaskText(r.out, masks.list());
+  assert.deepEqual(restored.lost, []);
+  assert.deepEqual(restored.unknown, []);
+  assert.equal(restored.out, "[Potion 획득] Obtained");
+});
+
+test("fixed target text never swallows an existing mask token", () => {
+  const segments = renderRuleTarget("{N}x {0}", { match: "{mask:2}", groups: [], named: { N: "3" } });
+  assert.deepEqual(segments, [
+    { text: "3x ", fixed: true },
+    { text: "{mask:2}", fixed: false },
+  ]);
+
+  const literal = renderRuleTarget("before {mask:1} after", { match: "", groups: [], named: {} });
+  assert.deepEqual(literal, [
+    { text: "before ", fixed: true },
+    { text: "{mask:1}", fixed: false },
+    { text: " after", fixed: true },
+  ]);
+});
+
+test("rule never cuts a mask token in half", () => {
+  const masks = createMaskSet();
+  for (let i = 0; i < 12; i++) masks.add(`T${i}`);
+  const text = "{mask:11}초"; // "11}초" must not be read as {N}초
+
+  const r = applyRules({
+    text,
+    categoryKey: "",
+    targetLangKey: "en-us",
+    rulesCache: { entries: [rule("{N}초", "{N}s")] },
+    masks,
+  });
+
+  assert.equal(r.hits, 0);
+  assert.equal(r.out, text);
+});
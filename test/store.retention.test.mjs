@@ -0,0 +1,61 @@
+// test/store.retention.test.mjs
+// - batch store retention: queued / running async jobs survive the prune,
+//   write journals outlive the results (BATCH_JOURNAL_RETENTION_MS)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { getBatchStore } from "../src/store/batchStore.mjs";
+import { createFileDriver } from "../src/store/fileDriver.mjs";
+
+const old = Date.now() - 2 * 24 * 60 * 60 * 1000;
+const rec = (batchId, state) => ({ batchId, createdAt: old, sheet: "Trans", status: { state }, results: [], anomalies: [] });
+
+test("prune keeps active jobs, drops finished ones", async () => {
+  const store = await getBatchStore(); // memory driver
+  for (const [id, state] of [["b_q", "queued"], ["b_r", "running"], ["b_done", "succeeded"]]) {
+    await store.saveBatch(rec(id, state));
+  }
+
+  await store.prune({ force: true });
+
+  assert.equal((await store.getBatch("b_q"))?.status.state, "queued");
+  assert.equal((await store.getBatch("b_r"))?.status.state, "running");
+  assert.equal(await store.getBatch("b_done"), null);
+});
+
+test("batches with a write journal stay available for rollback", async () => {
+  const store = await getBatchStore();
+  const twoHoursAgo = Date.now() - 2 * 60 * 60 * 1000;
+  const writes = [{ range: "Trans!D2", before: "", after: "x" }];
+  await store.saveBatch({ ...rec("b_w", "succeeded"), createdAt: twoHoursAgo, writes });
+  await store.saveBatch({ ...rec("b_dry", "succeeded"), createdAt: twoHoursAgo, writes: [] });
+  await store.saveBatch({ ...rec("b_wold", "succeeded"), writes });
+
+  await store.prune({ force: true });
+
+  assert.equal(await store.getBatch("b_w"), null); // results past BATCH_RETENTION_MS
+  assert.deepEqual((await store.getBatch("b_w", { journal: true }))?.writes, writes);
+  assert.equal(await store.getBatch("b_dry", { journal: true }), null);
+  assert.equal(await store.getBatch("b_wold", { journal: true }), null); // past BATCH_JOURNAL_RETENTION_MS
+});
+
+test("file driver honors keep", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "batch-store-"));
+  try {
+    const driver = createFileDriver({ dir });
+    await driver.saveBatch(rec("b_r", "running"));
+    await driver.saveBatch(rec("b_done", "failed"));
+
+    const removed = await driver.deleteBatchesBefore(Date.now() + 1000, { keep: (r) => r.status?.state === "running" });
+
+    assert.equal(removed, 1);
+    assert.ok(await driver.getBatch("b_r"));
+    assert.equal(await driver.getBatch("b_done"), null);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
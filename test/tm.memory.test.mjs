@@ -0,0 +1,58 @@
+// test/tm.memory.test.mjs
+// - buildTranslationMemory: which stored batch rows become TM entries
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildTranslationMemory } from "../src/tm/memory.mjs";
+
+function batch(batchId, { rows, writes = rows, anomalies = [], rollback, state = "succeeded" }) {
+  return {
+    batchId,
+    createdAt: Date.now(),
+    sheet: "Trans",
+    status: { state },
+    request: { sourceLang: "ko-KR", targetLang: "en-US", upload: writes.length > 0 },
+    writes: writes.map((ri) => ({ range: `Trans!C${ri}`, before: "", after: `t${ri}` })),
+    anomalies: anomalies.map(([ri, type]) => ({ rowIndex: ri, type })),
+    ...(rollback ? { rollback } : {}),
+    results: rows.map((ri) => ({ rowIndex: ri, sourceText: `${batchId} s${ri}`, translatedText: `t${ri}`, meta: {} })),
+  };
+}
+
+function fakeStore(records) {
+  const loaded = [];
+  return {
+    loaded,
+    async listBatches({ headOnly } = {}) {
+      return records.map(({ results, anomalies, ...head }) => (headOnly ? head : { ...head, results, anomalies }));
+    },
+    async getBatch(id) {
+      loaded.push(id);
+      return records.find((r) => r.batchId === id) ?? null;
+    },
+  };
+}
+
+const build = (store) =>
+  buildTranslationMemory({ cache: null, sourceLangKey: "ko-kr", targetLangKey: "en-us", store, maxBatches: 20 });
+
+test("only written, anomaly-free rows of kept batches are ingested", async () => {
+  const store = fakeStore([
+    batch("ok", { rows: [2, 3, 4, 5], writes: [2, 3, 4], anomalies: [[3, "mask_lost"], [4, "conflict"]] }),
+    batch("dry", { rows: [2], writes: [] }),
+    batch("rolled", { rows: [2], rollback: { dryRun: false, restored: 1 } }),
+    batch("rollbackPreview", { rows: [6], rollback: { dryRun: true } }),
+    batch("failed", { rows: [2], state: "failed" }),
+  ]);
+
+  const { tm, sources } = await build(store);
+
+  assert.equal(sources.batches, 2);
+  assert.equal(tm.lookupExact("ok s2")?.target, "t2");
+  assert.equal(tm.lookupExact("ok s3"), null); // mask_lost
+  assert.equal(tm.lookupExact("ok s4"), null); // conflict
+  assert.equal(tm.lookupExact("ok s5"), null); // never written
+  assert.equal(tm.lookupExact("rollbackPreview s6")?.target, "t6");
+  assert.deepEqual(store.loaded, ["ok", "rollbackPreview"]);
+});
@@ -0,0 +1,70 @@
+// test/translate.retry.test.mjs
+// - translateItemsWithGpt41: retryable request failures fall back only for their own rows,
+//   permanent ones (4xx, missing key) fail the call
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// backoff read at import: no waiting between transport retries here
+process.env.OPENAI_RETRY_BASE_MS = "0";
+const { translateItemsWithGpt41 } = await import("../src/translate/openaiTranslate.mjs");
+const { registerLlmProvider, getLlmProvider } = await import("../src/translate/providers.mjs");
+
+let calls = 0;
+
+// echo, except that any request carrying row 3 fails with `failure()`
+function flaky(name, failure) {
+  registerLlmProvider({
+    name,
+    defaultModel: "echo",
+    async complete(opts) {
+      calls += 1;
+      const input = opts.messages.find((m) => m.role === "user")?.content ?? "";
+      if (/(^|\u241E)3\t/.test(input)) throw failure();
+      return getLlmProvider("mock").complete({ ...opts, model: "echo" });
+    },
+  });
+}
+
+flaky("test-unavailable", () => Object.assign(new Error("upstream 503"), { status: 502, retryable: true }));
+flaky("test-bad-request", () => Object.assign(new Error("upstream 400"), { status: 502, retryable: false }));
+
+const item = (rowIndex) => ({ rowIndex, sourceText: `src ${rowIndex}`, textForTranslate: `text ${rowIndex}` });
+const items = [item(2), item(3), item(4), item(5)];
+
+test("retryable failure keeps other rows and chunks", async () => {
+  const { results, meta } = await translateItemsWithGpt41({
+    sourceLang: "ko-KR",
+    targetLang: "en-US",
+    model: "test-unavailable",
+    chunkSize: 2,
+    items,
+  });
+
+  const byRow = new Map(results.map((r) => [r.rowIndex, r]));
+  assert.equal(results.length, 4);
+
+  // row 2 shared the failed first-pass request, then succeeded on its own
+  assert.equal(byRow.get(2).translatedText, "text 2");
+  assert.equal(byRow.get(2)._fallbackUsed, false);
+  assert.equal(byRow.get(2)._attempts, 2);
+
+  assert.equal(byRow.get(3)._fallbackUsed, true);
+  assert.equal(byRow.get(3)._parseError, "request_failed");
+  assert.equal(byRow.get(3)._error, "upstream 503");
+  assert.ok(byRow.get(3)._attempts > 1);
+
+  // second chunk untouched
+  assert.equal(byRow.get(4)._attempts, 1);
+  assert.equal(byRow.get(5).translatedText, "text 5");
+  assert.ok(meta.failedRequests >= 2);
+});
+
+test("non-retryable failure fails the call without row retries", async () => {
+  calls = 0;
+  await assert.rejects(
+    translateItemsWithGpt41({ sourceLang: "ko-KR", targetLang: "en-US", model: "test-bad-request", chunkSize: 2, items }),
+    /upstream 400/
+  );
+  assert.equal(calls, 1);
+});